@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, dialog, shell, Menu, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, shell, Menu, Notification, clipboard } = require('electron');
 const path = require('path');
 const isDev = require('electron-is-dev');
 const { spawn, execSync } = require('child_process');
@@ -10,6 +10,26 @@ const { pipeline } = require('stream');
 const crypto = require('crypto');
 const pipelineAsync = promisify(pipeline);
 const DependencyManager = require('../scripts/dependency-manager');
+const DownloadQueue = require('../scripts/download-queue');
+const DownloadHistory = require('../scripts/download-history');
+const DownloadArchive = require('../scripts/download-archive');
+const { PROGRESS_ARGS, ProgressParser, describeProgressEvent } = require('../scripts/ytdlp-progress');
+const { OutputManifest, describeOutput } = require('../scripts/output-files');
+const { DEFAULT_OUTPUT_TEMPLATE, SAMPLE_TEMPLATE_INFO, normalizeOutputTemplate, addFilenamePrefix, sanitizeSegment, renderOutputTemplate } = require('../scripts/output-template');
+const { writeM3u8 } = require('../scripts/playlist-file');
+const { getPlaylistFilterArgs } = require('../scripts/playlist-filters');
+const SubscriptionManager = require('../scripts/subscription-manager');
+const { ClipboardWatcher } = require('../scripts/clipboard-watcher');
+const { upsertPreset, serializePresets, parsePresetFile, pickPresetParameters } = require('../scripts/download-presets');
+const { getAudioExtension, getYtDlpAudioArgs, getFfmpegAudioArgs, describeAudioOptions } = require('../scripts/audio-options');
+const { parseArtistTitle, getDefaultTags, normalizeTags, canTagFile, getTaggingArgs } = require('../scripts/audio-metadata');
+const { normalizeChapters, getChapterArgs, hasChapterSections, addSectionSuffix } = require('../scripts/chapters');
+const { listSubtitleLanguages, getSubtitleArgs } = require('../scripts/subtitles');
+const { normalizeNetworkSettings, getYtDlpNetworkArgs, getFfmpegNetworkArgs, getRequestOptions, redactProxy } = require('../scripts/network-options');
+const { BandwidthScheduler, normalizeSchedule, getNextUnlimitedTime, parseRate, formatRate } = require('../scripts/bandwidth-scheduler');
+const { normalizeDownloadOptions, getBatchItemOptions } = require('../scripts/download-options');
+const { IPC_VERSION, isInvokeChannel, validateInvokeArgs, checkEventPayload, getChannelMap } = require('../scripts/ipc-contract');
+const { AutomationServer, normalizeAutomationSettings, DEFAULT_PORT: DEFAULT_AUTOMATION_PORT } = require('../scripts/automation-server');
 
 // Conditionally require YtDlpInstaller only in development
 let YtDlpInstaller;
@@ -22,6 +42,16 @@ try {
 
 let mainWindow;
 let dependencyManager = new DependencyManager();
+let downloadQueue = null;
+let downloadHistory = null;
+let downloadArchive = null;
+let subscriptionManager = null;
+let bandwidthScheduler = null;
+let automationServer = null;
+let automationError = null;
+let automationUpdate = Promise.resolve(); // Settings changes are applied one at a time
+let clipboardWatcher = null;
+const jobProcesses = new Map(); // jobId -> Set of child processes
 
 function createWindow() {
   // Remove the default menu bar
@@ -36,6 +66,7 @@ function createWindow() {
       nodeIntegration: false,
       contextIsolation: true,
       enableRemoteModule: false,
+      sandbox: true,
       preload: path.join(__dirname, 'preload.js')
     },
     titleBarStyle: 'default',
@@ -48,6 +79,9 @@ function createWindow() {
     ? 'http://localhost:3000' 
     : `file://${path.join(__dirname, '../build/index.html')}`;
     
+  if (isDev) {
+    warnOnUnexpectedEvents(mainWindow.webContents);
+  }
   mainWindow.loadURL(startUrl);
 
   mainWindow.once('ready-to-show', () => {
@@ -70,7 +104,18 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
+  initDownloadHistory();
+  initDownloadArchive();
+  initDownloadQueue();
+  initSubscriptions();
+  initBandwidthScheduler();
   createWindow();
+  bandwidthScheduler.start();
+  downloadQueue.start();
+  subscriptionManager.start();
+  initClipboardWatcher();
+  initAutomationServer();
+  applyNetworkSettings(loadAppSettings());
   // Start automatic update checker after app is ready
   startAutoUpdateChecker();
 }).catch((error) => {
@@ -90,8 +135,43 @@ app.on('activate', () => {
   }
 });
 
+// Register a handler for a channel of the IPC contract (scripts/ipc-contract.js);
+// requests whose arguments do not match it are rejected before the handler runs
+function handleIpc(channel, handler) {
+  if (!isInvokeChannel(channel)) {
+    console.warn(`⚠️ IPC handler "${channel}" is not in the IPC contract; the renderer cannot call it`);
+  }
+
+  ipcMain.handle(channel, (event, ...args) => {
+    validateInvokeArgs(channel, args);
+    return handler(event, ...args);
+  });
+}
+
+handleIpc('get-ipc-version', async () => {
+  return IPC_VERSION;
+});
+
+// The sandboxed preload asks for the channel list once, synchronously, before exposing electronAPI;
+// in development it also warns about calls outside the contract
+ipcMain.on('ipc-contract', (event) => {
+  event.returnValue = { ...getChannelMap(), isDev };
+});
+
+// Development only: flag events whose channel or payload is not in the IPC contract
+function warnOnUnexpectedEvents(contents) {
+  const send = contents.send.bind(contents);
+  contents.send = (channel, ...args) => {
+    const problem = checkEventPayload(channel, args[0]);
+    if (problem) {
+      console.warn(`⚠️ Unexpected "${channel}" event: ${problem}`, args[0]);
+    }
+    send(channel, ...args);
+  };
+}
+
 // IPC Handlers for Dependency Management
-ipcMain.handle('check-dependencies', async () => {
+handleIpc('check-dependencies', async () => {
   const ytdlpCheck = dependencyManager.checkYtDlp();
   const ffmpegCheck = dependencyManager.checkFfmpeg();
   
@@ -101,7 +181,7 @@ ipcMain.handle('check-dependencies', async () => {
   };
 });
 
-ipcMain.handle('install-ytdlp', async (event) => {
+handleIpc('install-ytdlp', async (event) => {
   try {
     // Check if already installed
     const existingCheck = dependencyManager.checkYtDlp();
@@ -182,7 +262,7 @@ ipcMain.handle('install-ytdlp', async (event) => {
   }
 });
 
-ipcMain.handle('install-ffmpeg', async (event) => {
+handleIpc('install-ffmpeg', async (event) => {
   try {
     const result = await dependencyManager.installFfmpeg((progress) => {
       event.sender.send('installation-progress', { tool: 'ffmpeg', message: progress });
@@ -193,12 +273,12 @@ ipcMain.handle('install-ffmpeg', async (event) => {
   }
 });
 
-ipcMain.handle('get-installation-instructions', async () => {
+handleIpc('get-installation-instructions', async () => {
   return dependencyManager.getInstallationInstructions();
 });
 
 // Handler for selecting custom installation directory
-ipcMain.handle('select-installation-directory', async () => {
+handleIpc('select-installation-directory', async () => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
       properties: ['openDirectory'],
@@ -217,7 +297,20 @@ ipcMain.handle('select-installation-directory', async () => {
 });
 
 // IPC Handlers
-ipcMain.handle('get-video-info', async (event, url) => {
+handleIpc('get-video-info', async (event, url, { playlistFilters = null, requestId = null } = {}) => {
+  return getVideoInfo(url, {
+    playlistFilters,
+    onPlaylistEntries: (progress) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('video-info-progress', { requestId, ...progress });
+      }
+    }
+  });
+});
+
+// Analyse a URL with yt-dlp: a video's formats and metadata, or a playlist's entries.
+// Playlist entries are passed to onPlaylistEntries in small batches as they are found.
+function getVideoInfo(url, { playlistFilters = null, onPlaylistEntries = null } = {}) {
   return new Promise(async (resolve, reject) => {
     // Check if yt-dlp is available before proceeding
     const ytDlpPath = getYtDlpPath();
@@ -246,22 +339,31 @@ ipcMain.handle('get-video-info', async (event, url) => {
     const allowPlaylist = isPlaylist && platformInfo.supportsPlaylists;
     
     // Load settings for cookie configuration
-    let settings = {};
-    try {
-      const settingsPath = path.join(app.getPath('userData'), 'settings.json');
-      if (fs.existsSync(settingsPath)) {
-        settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-      }
-    } catch (error) {
-      console.warn('Could not load settings for cookie configuration:', error.message);
-    }
+    const settings = loadAppSettings();
     
     const args = [
       '--dump-json',
       allowPlaylist ? '--yes-playlist' : '--no-playlist'
     ];
     
-
+    // Playlists are listed without visiting every video; full metadata is fetched per item when needed.
+    // Upload dates are only known after visiting a video, so date filters need the full extraction.
+    if (allowPlaylist && !(playlistFilters && (playlistFilters.dateAfter || playlistFilters.dateBefore))) {
+      args.push('--flat-playlist');
+    }
+    
+    // Trim playlists with yt-dlp itself (item ranges, match filters, archive)
+    if (allowPlaylist && playlistFilters) {
+      try {
+        args.push(...getPlaylistFilterArgs(playlistFilters, { archivePath: downloadArchive.storagePath }));
+      } catch (filterError) {
+        reject(filterError);
+        return;
+      }
+    }
+    
+    args.push(...getCookieArgs(url, settings));
+    args.push(...getYtDlpNetworkArgs(settings.network));
     
     // Add URL last
     args.push(url);
@@ -270,9 +372,41 @@ ipcMain.handle('get-video-info', async (event, url) => {
 
     let stdout = '';
     let stderr = '';
+    let pendingLine = '';
+    const playlistEntries = [];
+    let reportedEntries = 0;
+    
+    // Playlists print one JSON object per entry; parse them as they arrive instead of buffering everything
+    const addPlaylistEntry = (line) => {
+      if (!line.trim()) return;
+      try {
+        playlistEntries.push(JSON.parse(line));
+      } catch (parseError) {
+        console.warn('Failed to parse playlist entry:', parseError.message);
+      }
+    };
+    
+    // Report newly discovered entries in small batches
+    const reportPlaylistEntries = () => {
+      if (playlistEntries.length === reportedEntries || !onPlaylistEntries) return;
+      onPlaylistEntries({
+        url,
+        items: playlistEntries.slice(reportedEntries).map(toPlaylistVideo),
+        found: playlistEntries.length
+      });
+      reportedEntries = playlistEntries.length;
+    };
+    const reportTimer = allowPlaylist ? setInterval(reportPlaylistEntries, 300) : null;
 
     process.stdout.on('data', (data) => {
-      stdout += data.toString();
+      if (!allowPlaylist) {
+        stdout += data.toString();
+        return;
+      }
+      
+      const lines = (pendingLine + data.toString()).split('\n');
+      pendingLine = lines.pop();
+      lines.forEach(addPlaylistEntry);
     });
 
     process.stderr.on('data', (data) => {
@@ -280,202 +414,220 @@ ipcMain.handle('get-video-info', async (event, url) => {
     });
 
     process.on('close', (code) => {
+      if (allowPlaylist) {
+        clearInterval(reportTimer);
+        addPlaylistEntry(pendingLine);
+        reportPlaylistEntries();
+        
+        // Unavailable entries make yt-dlp exit non-zero; keep whatever was found
+        if (playlistEntries.length > 0) {
+          if (code !== 0) {
+            console.warn(`Playlist listed with errors (code ${code}):`, stderr.trim());
+          }
+          resolve(buildPlaylistInfo(playlistEntries, url, platformInfo));
+        } else if (isAuthRequiredError(stderr)) {
+          reject(new Error(getAuthRequiredMessage(url, settings)));
+        } else if (code === 0) {
+          reject(new Error(playlistFilters
+            ? 'No playlist items match the selected filters'
+            : 'No videos found in this playlist'));
+        } else {
+          reject(new Error(stderr || 'Failed to get playlist information'));
+        }
+        return;
+      }
+      
       if (code === 0) {
         try {
-          // Handle both single video and playlist responses
-          const lines = stdout.trim().split('\n').filter(line => line.trim());
-          
-          if (lines.length === 0) {
+          const line = stdout.split('\n').find(item => item.trim());
+          if (!line) {
             reject(new Error('No video information found'));
             return;
           }
           
-          // Parse each line as JSON (for playlists, each video is a separate JSON object)
-          const videos = [];
-          for (const line of lines) {
-            try {
-              const videoInfo = JSON.parse(line);
-              videos.push(videoInfo);
-            } catch (parseError) {
-              console.warn('Failed to parse video info line:', parseError);
-            }
-          }
-          
-          if (videos.length === 0) {
-            reject(new Error('Failed to parse video information'));
-            return;
-          }
-          
-          // If it's a single video, return single video format
-          if (videos.length === 1 && !allowPlaylist) {
-            const videoInfo = videos[0];
-            resolve({
-              title: videoInfo.title,
-              duration: videoInfo.duration,
-              thumbnail: videoInfo.thumbnail,
-              uploader: videoInfo.uploader,
-              url: videoInfo.webpage_url || url,
-              isPlaylist: false,
-              platform: platformInfo,
-              formats: (() => {
-              if (!videoInfo.formats) return [];
+          const videoInfo = JSON.parse(line);
+          const archiveKey = DownloadArchive.makeKey(videoInfo.extractor_key, videoInfo.id);
+          resolve({
+            id: videoInfo.id,
+            extractor: videoInfo.extractor_key,
+            archiveKey,
+            isArchived: downloadArchive.has(archiveKey),
+            title: videoInfo.title,
+            duration: videoInfo.duration,
+            thumbnail: videoInfo.thumbnail,
+            uploader: videoInfo.uploader,
+            uploadDate: videoInfo.upload_date,
+            url: videoInfo.webpage_url || url,
+            isPlaylist: false,
+            chapters: normalizeChapters(videoInfo.chapters),
+            ...listSubtitleLanguages(videoInfo),
+            tags: getDefaultTags(videoInfo),
+            parsedTitle: parseArtistTitle(videoInfo.title),
+            platform: platformInfo,
+            formats: (() => {
+            if (!videoInfo.formats) return [];
+            
+            // Remove duplicates and filter valid formats
+            const uniqueFormats = new Map();
+            
+            videoInfo.formats.forEach(format => {
+              // Skip invalid formats - must have proper codec info and not be thumbnails/banners
+              if (!format.format_id || (!format.vcodec && !format.acodec)) return;
               
-              // Remove duplicates and filter valid formats
-              const uniqueFormats = new Map();
+              // Skip thumbnail and banner formats
+              if (format.format_note && (
+                format.format_note.toLowerCase().includes('thumbnail') ||
+                format.format_note.toLowerCase().includes('banner') ||
+                format.format_note.toLowerCase().includes('storyboard') ||
+                format.format_note.toLowerCase().includes('preview')
+              )) return;
               
-              videoInfo.formats.forEach(format => {
-                // Skip invalid formats - must have proper codec info and not be thumbnails/banners
-                if (!format.format_id || (!format.vcodec && !format.acodec)) return;
-                
-                // Skip thumbnail and banner formats
-                if (format.format_note && (
-                  format.format_note.toLowerCase().includes('thumbnail') ||
-                  format.format_note.toLowerCase().includes('banner') ||
-                  format.format_note.toLowerCase().includes('storyboard') ||
-                  format.format_note.toLowerCase().includes('preview')
-                )) return;
-                
-                // Skip formats without proper video dimensions for video content
-                const hasVideo = format.vcodec && format.vcodec !== 'none';
-                const hasAudio = format.acodec && format.acodec !== 'none';
-                
-                if (hasVideo && (!format.height || format.height < 144)) return; // Skip very low quality or invalid video
-                
-                // Create unique key for deduplication
-                const key = `${format.format_id}_${format.ext}_${format.height || 'audio'}_${format.vcodec || 'none'}_${format.acodec || 'none'}`;
-                
-                // Only keep if not duplicate or if this one has better quality info
-                if (!uniqueFormats.has(key) || 
-                    (format.filesize && !uniqueFormats.get(key).filesize)) {
-                  uniqueFormats.set(key, {
-                    format_id: format.format_id,
-                    ext: format.ext,
-                    quality: format.quality,
-                    filesize: format.filesize,
-                    format_note: format.format_note,
-                    height: format.height,
-                    width: format.width,
-                    fps: format.fps,
-                    vcodec: format.vcodec === 'none' ? null : format.vcodec,
-                    acodec: format.acodec === 'none' ? null : format.acodec,
-                    abr: format.abr, // Audio bitrate
-                    vbr: format.vbr, // Video bitrate
-                    tbr: format.tbr, // Total bitrate
-                    // Add format type for better categorization
-                    type: hasVideo && hasAudio ? 'combined' :
-                          hasVideo ? 'video' : 'audio'
-                  });
-                }
-              });
+              // Skip formats without proper video dimensions for video content
+              const hasVideo = format.vcodec && format.vcodec !== 'none';
+              const hasAudio = format.acodec && format.acodec !== 'none';
               
-              return Array.from(uniqueFormats.values());
-            })()
-          });
-          } else {
-            // Handle playlist - return playlist information with video list
-            const playlistVideos = videos.map(video => ({
-              id: video.id,
-              title: video.title,
-              duration: video.duration,
-              thumbnail: video.thumbnail,
-              uploader: video.uploader,
-              url: video.webpage_url,
-              playlist_index: video.playlist_index
-            }));
-            
-            // Get playlist metadata from first video
-            const firstVideo = videos[0];
-            resolve({
-              title: firstVideo.playlist_title || `Playlist (${videos.length} videos)`,
-              duration: videos.reduce((total, video) => total + (video.duration || 0), 0),
-              thumbnail: firstVideo.thumbnail,
-              uploader: firstVideo.uploader,
-              url: url,
-              isPlaylist: true,
-              videoCount: videos.length,
-              videos: playlistVideos,
-              platform: platformInfo,
-              formats: [] // Playlists don't have formats, individual videos do
+              if (hasVideo && (!format.height || format.height < 144)) return; // Skip very low quality or invalid video
+              
+              // Create unique key for deduplication
+              const key = `${format.format_id}_${format.ext}_${format.height || 'audio'}_${format.vcodec || 'none'}_${format.acodec || 'none'}`;
+              
+              // Only keep if not duplicate or if this one has better quality info
+              if (!uniqueFormats.has(key) || 
+                  (format.filesize && !uniqueFormats.get(key).filesize)) {
+                uniqueFormats.set(key, {
+                  format_id: format.format_id,
+                  ext: format.ext,
+                  quality: format.quality,
+                  filesize: format.filesize,
+                  format_note: format.format_note,
+                  height: format.height,
+                  width: format.width,
+                  fps: format.fps,
+                  vcodec: format.vcodec === 'none' ? null : format.vcodec,
+                  acodec: format.acodec === 'none' ? null : format.acodec,
+                  abr: format.abr, // Audio bitrate
+                  vbr: format.vbr, // Video bitrate
+                  tbr: format.tbr, // Total bitrate
+                  // Add format type for better categorization
+                  type: hasVideo && hasAudio ? 'combined' :
+                        hasVideo ? 'video' : 'audio'
+                });
+              }
             });
-          }
+            
+            return Array.from(uniqueFormats.values());
+          })()
+        });
         } catch (error) {
           reject(new Error('Failed to parse video information'));
         }
+      } else if (isAuthRequiredError(stderr)) {
+        reject(new Error(getAuthRequiredMessage(url, settings)));
       } else {
         reject(new Error(stderr || 'Failed to get video information'));
       }
     });
   });
-});
+}
 
-// Batch download handler for playlists and multiple videos
-ipcMain.handle('download-batch', async (event, options) => {
-  const { videos, outputPath, downloadOptions } = options;
+// One playlist entry as shown in the batch view. Flat-playlist entries only carry
+// the basics (id, url, title, duration); the rest is fetched per video when needed.
+function toPlaylistVideo(video) {
+  const extractor = video.extractor_key || video.ie_key;
+  const archiveKey = DownloadArchive.makeKey(extractor, video.id);
+  const thumbnails = video.thumbnails || [];
   
-  if (!videos || !Array.isArray(videos) || videos.length === 0) {
-    throw new Error('No videos provided for batch download');
-  }
+  return {
+    id: video.id,
+    extractor,
+    archiveKey,
+    isArchived: downloadArchive.has(archiveKey),
+    title: video.title || video.id,
+    duration: video.duration,
+    thumbnail: video.thumbnail || (thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null),
+    uploader: video.uploader || video.channel,
+    url: video.webpage_url || video.url,
+    playlist_index: video.playlist_index
+  };
+}
+
+function buildPlaylistInfo(entries, url, platformInfo) {
+  const playlistVideos = entries.map(toPlaylistVideo);
   
-  const results = [];
+  // Get playlist metadata from first entry
+  const firstEntry = entries[0];
+  return {
+    title: firstEntry.playlist_title || firstEntry.playlist || `Playlist (${entries.length} videos)`,
+    duration: entries.reduce((total, video) => total + (video.duration || 0), 0),
+    thumbnail: playlistVideos[0].thumbnail,
+    uploader: firstEntry.playlist_uploader || firstEntry.uploader || firstEntry.channel,
+    url: url,
+    isPlaylist: true,
+    videoCount: entries.length,
+    videos: playlistVideos,
+    archivedCount: playlistVideos.filter(video => video.isArchived).length,
+    platform: platformInfo,
+    formats: [] // Playlists don't have formats, individual videos do
+  };
+}
+
+// Batch download handler for playlists and multiple videos
+handleIpc('download-batch', async (event, options) => {
+  const { batchId, jobs } = enqueueBatch(options);
   let completedCount = 0;
   
+  // The window can be closed while the batch is still downloading
+  const send = (channel, data) => {
+    if (!event.sender.isDestroyed()) {
+      event.sender.send(channel, data);
+    }
+  };
+  
   // Send initial progress
-  event.sender.send('batch-download-progress', {
-    total: videos.length,
+  send('batch-download-progress', {
+    batchId,
+    total: jobs.length,
     completed: 0,
     current: null,
     status: 'starting'
   });
   
-  for (let i = 0; i < videos.length; i++) {
-    const video = videos[i];
-    
+  // Items run in the queue's worker pool; each reports as soon as it settles
+  const results = await Promise.all(jobs.map(async (job) => {
     try {
-      // Send progress update
-      event.sender.send('batch-download-progress', {
-        total: videos.length,
+      await downloadQueue.waitFor(job.id);
+      completedCount++;
+      
+      send('batch-download-progress', {
+        batchId,
+        total: jobs.length,
         completed: completedCount,
         current: {
-          index: i + 1,
-          title: video.title,
-          url: video.url
+          index: job.batchIndex,
+          title: job.title,
+          url: job.url
         },
         status: 'downloading'
       });
       
-      // Download individual video
-      const videoOptions = {
-        ...downloadOptions,
-        url: video.url,
-        outputPath: outputPath,
-        title: video.title
-      };
-      
-      // Use existing download logic
-      await new Promise((resolve, reject) => {
-        downloadWithFfmpeg(video.url, outputPath, videoOptions)
-          .then(resolve)
-          .catch(reject);
-      });
-      
-      completedCount++;
-      results.push({ success: true, video: video.title });
-      
+      return { success: true, video: job.title, index: job.batchIndex, jobId: job.id };
     } catch (error) {
-      results.push({ success: false, video: video.title, error: error.message });
-      
       // Send error for this video but continue with others
-      event.sender.send('batch-download-error', {
-        video: video.title,
+      send('batch-download-error', {
+        batchId,
+        video: job.title,
         error: error.message,
-        index: i + 1
+        index: job.batchIndex
       });
+      
+      return { success: false, video: job.title, index: job.batchIndex, jobId: job.id, error: error.message };
     }
-  }
+  }));
   
   // Send final progress
-  event.sender.send('batch-download-progress', {
-    total: videos.length,
+  send('batch-download-progress', {
+    batchId,
+    total: jobs.length,
     completed: completedCount,
     current: null,
     status: 'completed'
@@ -483,8 +635,9 @@ ipcMain.handle('download-batch', async (event, options) => {
   
   return {
     success: true,
+    batchId,
     results: results,
-    totalVideos: videos.length,
+    totalVideos: jobs.length,
     successCount: results.filter(r => r.success).length,
     errorCount: results.filter(r => !r.success).length
   };
@@ -577,7 +730,7 @@ function detectPlatformType(url) {
   };
 }
 
-function downloadWithFfmpeg(url, outputPath, options = {}) {
+function downloadWithFfmpeg(url, outputPath, options = {}, report = createJobReporter(null)) {
   return new Promise((resolve, reject) => {
     const { 
       quality = 'best', 
@@ -606,69 +759,83 @@ function downloadWithFfmpeg(url, outputPath, options = {}) {
         const ytDlpPath = getYtDlpPath();
         if (ytDlpPath) {
           // Load settings for cookie configuration
-          let settings = {};
-          try {
-            const settingsPath = path.join(app.getPath('userData'), 'settings.json');
-            if (fs.existsSync(settingsPath)) {
-              settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-            }
-          } catch (error) {
-            console.warn('Could not load settings for cookie configuration:', error.message);
-          }
+          const settings = loadAppSettings();
           
           const args = ['-g', '--no-warnings'];
           
-
+          args.push(...getCookieArgs(url, settings));
+          args.push(...getYtDlpNetworkArgs(settings.network));
           
           // Add URL last
           args.push(url);
           
           const getUrlProcess = spawn(ytDlpPath, args);
+          report.attach(getUrlProcess);
           let streamUrls = '';
+          let urlErrors = '';
           
           getUrlProcess.stdout.on('data', (data) => {
             streamUrls += data.toString();
           });
           
+          getUrlProcess.stderr.on('data', (data) => {
+            urlErrors += data.toString();
+          });
+          
           getUrlProcess.on('close', (urlCode) => {
-            if (urlCode === 0 && streamUrls.trim()) {
+            if (report.isAborted()) {
+              reject(new Error('Download stopped'));
+            } else if (urlCode !== 0 && isAuthRequiredError(urlErrors)) {
+              // The page itself is gated; a direct ffmpeg read cannot get past it either
+              reject(new Error(getAuthRequiredMessage(url, settings)));
+            } else if (urlCode === 0 && streamUrls.trim()) {
               const urls = streamUrls.trim().split('\n');
               const videoUrl = urls[0]; // Use first URL (usually best quality)
-              downloadWithFfmpegDirect(videoUrl, outputPath, options, resolve, reject);
+              downloadWithFfmpegDirect(videoUrl, outputPath, options, resolve, reject, report);
             } else {
               // Fallback to direct URL (might not work for YouTube)
-              downloadWithFfmpegDirect(url, outputPath, options, resolve, reject);
+              downloadWithFfmpegDirect(url, outputPath, options, resolve, reject, report);
             }
           });
           
           getUrlProcess.on('error', () => {
-            downloadWithFfmpegDirect(url, outputPath, options, resolve, reject);
+            downloadWithFfmpegDirect(url, outputPath, options, resolve, reject, report);
           });
         } else {
-          downloadWithFfmpegDirect(url, outputPath, options, resolve, reject);
+          downloadWithFfmpegDirect(url, outputPath, options, resolve, reject, report);
         }
       } else {
-        downloadWithFfmpegDirect(url, outputPath, options, resolve, reject);
+        downloadWithFfmpegDirect(url, outputPath, options, resolve, reject, report);
       }
   });
 }
 
-function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
+function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject, report) {
   // Build ffmpeg command with proper options
   const { quality, format, extractAudio, audioFormat, startTime, endTime, platformType = 'other' } = options;
   
-  // Determine output filename and format
+  // Determine output format
   let outputExtension = 'mp4';
-  let outputFilename = 'downloaded_video';
   
   if (extractAudio) {
-    outputExtension = audioFormat || 'mp3';
-    outputFilename = 'downloaded_audio';
+    outputExtension = getAudioExtension(audioFormat);
   } else if (format && format !== 'best') {
     outputExtension = format;
   }
   
-  const outputFile = path.join(outputPath, `${outputFilename}.${outputExtension}`);
+  // Name the file with the same template yt-dlp would use. A resumed job writes over
+  // the file its paused run started instead of leaving it behind under a new name.
+  let outputFile = report.getFallbackFile();
+  if (!outputFile) {
+    try {
+      outputFile = getFfmpegOutputFile(outputPath, options, outputExtension);
+    } catch (error) {
+      reject(new Error(`Could not prepare the output file: ${error.message}`));
+      return;
+    }
+    report.setFallbackFile(outputFile);
+  }
+  report.trackFile(outputFile);
   
   const args = ['-i', url];
   
@@ -677,6 +844,9 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
     args.splice(1, 0, '-user_agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
     args.splice(3, 0, '-headers', 'Referer: https://www.tiktok.com/');
   }
+  
+  // Proxy, timeout and reconnect options apply to the input, so they go in front
+  args.unshift(...getFfmpegNetworkArgs(loadAppSettings().network, url));
       
       // Add time range if specified
       if (startTime) {
@@ -712,12 +882,11 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
       // Audio extraction or video processing
       if (extractAudio) {
         args.push('-vn'); // No video
-        if (audioFormat === 'mp3') {
-          args.push('-c:a', 'libmp3lame', '-b:a', '192k');
-        } else if (audioFormat === 'aac') {
-          args.push('-c:a', 'aac', '-b:a', '128k');
-        } else {
-          args.push('-c:a', 'copy');
+        try {
+          args.push(...getFfmpegAudioArgs(options));
+        } catch (error) {
+          reject(error);
+          return;
         }
       } else {
         // Video processing with better audio handling
@@ -733,6 +902,7 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
       
       const ffmpegPath = dependencyManager.checkFfmpeg().path;
       const downloadProcess = spawn(ffmpegPath, args);
+      report.attach(downloadProcess);
       let processCompleted = false;
       let totalDuration = null;
       
@@ -776,9 +946,9 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
         const speedMatch = output.match(/speed=\s*([\d\.]+)x/);
         const bitrateMatch = output.match(/bitrate=\s*([\d\.]+\w*bits\/s)/);
         
-        if (timeMatch && mainWindow) {
+        if (timeMatch) {
           let progress = 50; // Default progress
-          let eta = 'Calculating...';
+          let eta;
           
           if (totalDuration && totalDuration > 0) {
             const currentTime = parseTimeToSeconds(timeMatch[1]);
@@ -786,27 +956,30 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
             
             // Calculate ETA if speed is available
             if (speedMatch && parseFloat(speedMatch[1]) > 0) {
-              const remainingTime = (totalDuration - currentTime) / parseFloat(speedMatch[1]);
-              const minutes = Math.floor(remainingTime / 60);
-              const seconds = Math.floor(remainingTime % 60);
-              eta = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+              eta = Math.round((totalDuration - currentTime) / parseFloat(speedMatch[1]));
             }
           }
           
           const speed = speedMatch ? `${speedMatch[1]}x speed` : 'Processing with FFmpeg';
           const bitrate = bitrateMatch ? ` (${bitrateMatch[1]})` : '';
+          const percent = Math.round(progress * 100) / 100;
           
-          mainWindow.webContents.send('download-progress', {
-            progress: Math.round(progress * 100) / 100,
+          report('download-progress', {
+            phase: 'download',
+            status: 'downloading',
+            percent,
+            progress: percent,
             speed: speed + bitrate,
-            eta: eta
+            eta,
+            message: `Downloading with FFmpeg... ${percent.toFixed(1)}% (${speed}${bitrate})`,
+            type: 'progress'
           });
         }
         
         // Check for FFmpeg errors
         if (output.includes('Invalid data found') || output.includes('Connection refused') || output.includes('Server returned 4')) {
           cleanup();
-          mainWindow.webContents.send('download-error', { 
+          report('download-error', { 
             error: 'FFmpeg failed to process the video stream. The URL may be invalid or expired.' 
           });
         }
@@ -815,7 +988,7 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
       downloadProcess.on('close', (code) => {
         cleanup();
         if (code === 0) {
-          resolve({ success: true, message: 'Download completed with FFmpeg' });
+          resolve({ success: true, message: 'Download completed with FFmpeg', filePath: outputFile });
         } else {
           reject(new Error('FFmpeg download failed'));
         }
@@ -827,7 +1000,148 @@ function downloadWithFfmpegDirect(url, outputPath, options, resolve, reject) {
       });
 }
 
-ipcMain.handle('download-video', async (event, options) => {
+// Send download-complete with the files a download actually produced,
+// once the post-download steps (audio tagging) are done with them
+function reportDownloadOutput(report, mediaPaths, extra = {}) {
+  const output = describeOutput(mediaPaths.filter(Boolean));
+  if (!output) {
+    throw new Error('No video/audio file was produced');
+  }
+  
+  const options = report.job ? report.job.options : {};
+  return applyAudioTags(output.filePath, options).then(() => {
+    const result = { success: true, ...output, fileSize: getFileSize(output.filePath, output.fileSize), ...extra };
+    report('download-complete', result);
+    return result;
+  });
+}
+
+function getFileSize(filePath, fallback = 0) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Rewrite the tags (and cover art) of an extracted audio file. Tagging never fails the
+// download: without the cover it is retried once, and otherwise the file is kept as is.
+async function applyAudioTags(filePath, options = {}) {
+  if (!options.extractAudio || !options.audioTags || !canTagFile(filePath)) {
+    return false;
+  }
+  
+  const tags = normalizeTags(options.audioTags);
+  if (Object.keys(tags).length === 0 && !options.coverArtUrl) {
+    return false;
+  }
+  
+  const ffmpeg = dependencyManager.checkFfmpeg();
+  if (!ffmpeg.available) {
+    console.warn('⚠️ FFmpeg not available, skipping audio tags');
+    return false;
+  }
+  
+  const ext = path.extname(filePath);
+  const tempPath = `${filePath.slice(0, -ext.length)}.tagging${ext}`;
+  const attempts = options.coverArtUrl ? [options.coverArtUrl, null] : [null];
+  
+  for (const coverUrl of attempts) {
+    try {
+      const coverInputArgs = coverUrl ? getFfmpegNetworkArgs(loadAppSettings().network, coverUrl) : [];
+      await runFfmpeg(ffmpeg.path, getTaggingArgs(filePath, tempPath, tags, { coverUrl, coverInputArgs }));
+      fs.renameSync(tempPath, filePath);
+      console.log(`🏷️ Tagged ${path.basename(filePath)}${coverUrl ? ' with cover art' : ''}`);
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Tagging ${coverUrl ? 'with cover art ' : ''}failed:`, error.message);
+      try {
+        if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+      } catch (cleanupError) {
+        // A leftover temp file is harmless
+      }
+    }
+  }
+  return false;
+}
+
+function runFfmpeg(ffmpegPath, args, timeout = 60000) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, args);
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), timeout);
+    
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    child.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(stderr.trim().split('\n').pop() || `FFmpeg exited with code ${code}`));
+      }
+    });
+  });
+}
+
+// Expand the output template for the ffmpeg fallback, never overwriting an earlier download
+function getFfmpegOutputFile(outputPath, options, extension) {
+  const settings = loadAppSettings();
+  const restrictFilenames = settings.restrictFilenames !== false;
+  const template = addFilenamePrefix(normalizeOutputTemplate(settings.outputTemplate), options.filenamePrefix);
+  const relativePath = renderOutputTemplate(template, {
+    title: options.videoTitle || (options.extractAudio ? 'downloaded_audio' : 'downloaded_video'),
+    id: options.videoId,
+    uploader: options.uploader,
+    uploadDate: options.uploadDate,
+    extractor: options.extractor,
+    playlistTitle: options.playlistTitle,
+    playlistIndex: options.playlistIndex,
+    ext: extension
+  }, { restrictFilenames });
+  
+  const targetPath = path.join(outputPath, ...relativePath.split('/'));
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  
+  const ext = path.extname(targetPath);
+  const base = targetPath.slice(0, -ext.length);
+  let candidate = targetPath;
+  for (let counter = 1; fs.existsSync(candidate); counter++) {
+    candidate = restrictFilenames ? `${base}_${counter}${ext}` : `${base} (${counter})${ext}`;
+  }
+  return candidate;
+}
+
+// Build a -f selector for a format_id chosen by the user. Video-only formats are paired
+// with the best audio in a container-compatible codec, falling back to any audio.
+function buildSelectedFormatSelector({ formatId, type, ext, extractAudio, integratedAudio, fallback }) {
+  if (extractAudio) {
+    // Only an audio-bearing pick can feed audio extraction directly
+    return type === 'video' ? fallback : `${formatId}/${fallback}`;
+  }
+  
+  if (type === 'video' && integratedAudio) {
+    const compatibleAudio = {
+      mp4: 'bestaudio[ext=m4a]',
+      m4a: 'bestaudio[ext=m4a]',
+      webm: 'bestaudio[ext=webm]'
+    }[ext];
+    
+    const pairs = [compatibleAudio, 'bestaudio']
+      .filter(Boolean)
+      .map(audio => `${formatId}+${audio}`);
+    return [...pairs, formatId].join('/');
+  }
+  
+  return formatId;
+}
+
+function downloadVideo(options, report) {
   return new Promise(async (resolve, reject) => {
     // First try yt-dlp
     const ytDlpPath = getYtDlpPath();
@@ -874,8 +1188,8 @@ ipcMain.handle('download-video', async (event, options) => {
     if (!ytDlpAvailable) {
       // Try ffmpeg as fallback
       try {
-        const result = await downloadWithFfmpeg(options.url, options.outputPath, options);
-        resolve(result);
+        const result = await downloadWithFfmpeg(options.url, options.outputPath, options, report);
+        resolve(reportDownloadOutput(report, [result.filePath]));
         return;
       } catch (ffmpegError) {
         reject(new Error('yt-dlp not found and ffmpeg fallback failed. Please install yt-dlp or ffmpeg.'));
@@ -893,16 +1207,20 @@ ipcMain.handle('download-video', async (event, options) => {
       integratedAudio = true,
       downloadSubtitles = false,
       embedThumbnail = false,
+      embedSubtitles = false,
       startTime = null,
       endTime = null,
       customArgs = '',
       videoTitle = null,
       preferHEVC = false,
-      videoCodec = 'auto'
+      videoCodec = 'auto',
+      selectedFormatId = null,
+      selectedFormatType = null,
+      selectedFormatExt = null
     } = options;
 
     // Create organized folder structure if downloading extras (subtitles or thumbnails)
-    const needsOrganizedFolder = downloadSubtitles || embedThumbnail;
+    const needsOrganizedFolder = (downloadSubtitles && !embedSubtitles) || embedThumbnail;
     let finalOutputPath = outputPath;
     let videoFolderName = '';
     
@@ -930,6 +1248,26 @@ ipcMain.handle('download-video', async (event, options) => {
       }
     }
 
+    // If we created an organized folder, include folder info in the result
+    const folderInfo = needsOrganizedFolder && videoFolderName ? {
+      isOrganized: true,
+      folderName: videoFolderName,
+      folderPath: finalOutputPath
+    } : { isOrganized: false };
+
+    // Check the audio and subtitle choices before anything is spawned
+    let audioArgs = [];
+    let subtitleArgs = [];
+    try {
+      if (extractAudio) {
+        audioArgs = getYtDlpAudioArgs(options);
+      }
+      subtitleArgs = getSubtitleArgs(options);
+    } catch (error) {
+      reject(error);
+      return;
+    }
+
     // Build codec preference string
     let codecPreference = '';
     if (videoCodec === 'h264') {
@@ -945,8 +1283,10 @@ ipcMain.handle('download-video', async (event, options) => {
     // Build format selector based on quality and format preferences
     let formatSelector;
     if (extractAudio) {
-      // Audio extraction - prioritize high quality audio formats
-      formatSelector = 'bestaudio[acodec!=opus]/bestaudio[ext=m4a]/bestaudio[ext=mp3]/bestaudio';
+      // Audio extraction - prioritize high quality audio formats; Opus output keeps an Opus source as is
+      formatSelector = audioFormat === 'opus'
+        ? 'bestaudio[acodec=opus]/bestaudio'
+        : 'bestaudio[acodec!=opus]/bestaudio[ext=m4a]/bestaudio[ext=mp3]/bestaudio';
     } else if (quality === 'best') {
       if (integratedAudio) {
         // Best quality with integrated audio - avoid banners and thumbnails
@@ -999,20 +1339,50 @@ ipcMain.handle('download-video', async (event, options) => {
       }
     }
 
+    // The exact format picked in FormatSelector takes precedence over quality presets
+    if (selectedFormatId) {
+      formatSelector = buildSelectedFormatSelector({
+        formatId: selectedFormatId,
+        type: selectedFormatType,
+        ext: selectedFormatExt,
+        extractAudio,
+        integratedAudio,
+        fallback: formatSelector
+      });
+      console.log('🎯 Using selected format:', formatSelector);
+    }
+
+    // Settings for the output template and cookie configuration
+    const settings = loadAppSettings();
+    let outputTemplate = addFilenamePrefix(normalizeOutputTemplate(settings.outputTemplate), options.filenamePrefix);
+    if (hasChapterSections(options)) {
+      outputTemplate = addSectionSuffix(outputTemplate);
+    }
+    
+    // yt-dlp reports the final path of each file it produces
+    const outputManifest = new OutputManifest();
+
     const args = [
       '-f', formatSelector,
-      '-o', path.join(finalOutputPath, '%(title).200s.%(ext)s').replace(/\\/g, '/'),
+      '-o', path.join(finalOutputPath, outputTemplate).replace(/\\/g, '/'),
       '--newline',
+      ...PROGRESS_ARGS,
+      ...outputManifest.getArgs(),
       '--no-post-overwrites',
       '--embed-metadata',
       '--write-info-json',
       '--no-playlist',
-      '--restrict-filenames',
+      '--continue', // Resume .part files left by a paused job
       '--no-check-certificates', // Handle SSL issues
       '--ignore-errors', // Continue on non-fatal errors
       '--no-warnings' // Reduce noise in output
     ];
 
+    // ASCII-only names without spaces unless the user turned it off
+    if (settings.restrictFilenames !== false) {
+      args.push('--restrict-filenames');
+    }
+
     // Add quality preservation arguments
     if (!extractAudio) {
       args.push('--merge-output-format', format);
@@ -1023,39 +1393,28 @@ ipcMain.handle('download-video', async (event, options) => {
     // Add audio extraction options
     if (extractAudio) {
       args.push('--extract-audio');
-      args.push('--audio-format', audioFormat);
-      args.push('--audio-quality', '0'); // Best audio quality
+      args.push(...audioArgs);
     }
 
-    // Add subtitle options
-    if (downloadSubtitles) {
-      args.push('--write-subs');
-      args.push('--write-auto-subs');
-    }
+    // Add subtitle options: languages, conversion and embedding
+    args.push(...subtitleArgs);
 
     // Add thumbnail embedding
     if (embedThumbnail) {
       args.push('--embed-thumbnail');
     }
 
-    // Add time range if specified
-    if (startTime || endTime) {
+    // Add time range if specified; picked chapters replace it
+    if ((startTime || endTime) && !hasChapterSections(options)) {
       const timeRange = `*${startTime || '0'}-${endTime || 'end'}`;
       args.push('--download-sections', timeRange);
     }
 
-    // Load settings for cookie configuration
-    let settings = {};
-    try {
-      const settingsPath = path.join(app.getPath('userData'), 'settings.json');
-      if (fs.existsSync(settingsPath)) {
-        settings = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-      }
-    } catch (error) {
-      console.warn('Could not load settings for cookie configuration:', error.message);
-    }
-    
+    // Embed or split chapters, or download only the chapters picked in VideoInfo
+    args.push(...getChapterArgs(options, finalOutputPath));
 
+    args.push(...getCookieArgs(url, settings));
+    args.push(...getYtDlpNetworkArgs(getDownloadNetworkSettings(settings)));
     
     // Add custom arguments
     if (customArgs.trim()) {
@@ -1066,13 +1425,53 @@ ipcMain.handle('download-video', async (event, options) => {
     // Add URL last
     args.push(url);
 
-    console.log('yt-dlp command:', ytDlpPath, args.join(' '));
+    // A proxy login must not end up in the logs
+    const loggedArgs = args.map((arg, index) => (args[index - 1] === '--proxy' ? redactProxy(arg) : arg));
+    console.log('yt-dlp command:', ytDlpPath, loggedArgs.join(' '));
 
     const process = spawn(ytDlpPath, args);
+    report.attach(process);
+
+    // Only one ffmpeg fallback per download, whichever failure is noticed first;
+    // yt-dlp is stopped so its exit does not start another one
+    let fallbackStarted = false;
+    const startFfmpegFallback = (fallbackOptions, targetPath, failure, delay = 0) => {
+      if (fallbackStarted) return;
+      fallbackStarted = true;
+      try {
+        if (!process.killed) {
+          process.kill('SIGTERM');
+        }
+      } catch (killError) {
+        console.log('Process already terminated');
+      }
+      
+      setTimeout(async () => {
+        if (report.isAborted()) {
+          reject(new Error('Download stopped'));
+          return;
+        }
+        try {
+          const result = await downloadWithFfmpeg(options.url, targetPath, fallbackOptions, report);
+          resolve(reportDownloadOutput(report, [result.filePath], folderInfo));
+        } catch (ffmpegError) {
+          report('download-error', { 
+            error: `Both yt-dlp and FFmpeg failed: ${ffmpegError.message}` 
+          });
+          reject(new Error(`${failure} and FFmpeg fallback failed: ${ffmpegError.message}`));
+        }
+      }, delay);
+    };
 
     // Handle process crashes
     process.on('error', async (error) => {
       console.error('yt-dlp process error:', error);
+      outputManifest.clear();
+      
+      if (report.isAborted()) {
+        reject(new Error('Download stopped'));
+        return;
+      }
       
       // Detect platform type for better fallback handling
       const platformType = detectPlatformType(url);
@@ -1080,82 +1479,73 @@ ipcMain.handle('download-video', async (event, options) => {
         `yt-dlp failed for ${platformType} platform, using FFmpeg fallback...` : 
         'yt-dlp crashed, attempting ffmpeg fallback...';
       
-      mainWindow.webContents.send('download-error', { 
+      report('download-error', { 
         error: fallbackMessage 
       });
       
-      try {
-        // Enhanced FFmpeg options for different platforms
-        const enhancedOptions = {
-          ...options,
-          platformType,
-          preferFFmpeg: platformType === 'other'
-        };
-        const result = await downloadWithFfmpeg(options.url, options.outputPath, enhancedOptions);
-        mainWindow.webContents.send('download-complete');
-        resolve(result);
-      } catch (ffmpegError) {
-        mainWindow.webContents.send('download-error', { 
-          error: `Both yt-dlp and ffmpeg failed: ${ffmpegError.message}` 
-        });
-        reject(new Error(`yt-dlp crashed and ffmpeg fallback failed: ${ffmpegError.message}`));
-      }
+      // Enhanced FFmpeg options for different platforms
+      const enhancedOptions = {
+        ...options,
+        platformType,
+        preferFFmpeg: platformType === 'other'
+      };
+      startFfmpegFallback(enhancedOptions, options.outputPath, 'yt-dlp crashed');
     });
 
-    let lastProgressSent = -1;
-    let progressBuffer = null;
+    const progressParser = new ProgressParser();
+    let lastProgressKey = null;
+    let lastProgressTime = 0;
+    let downloadedFormats = [];
+    let authRequired = false;
     
-    process.stdout.on('data', (data) => {
-      const output = data.toString();
-      console.log('yt-dlp output:', output);
+    const handleProgressEvent = (event) => {
+      // Throttle to whole-percent steps, phase changes, or twice a second when the size is unknown
+      const now = Date.now();
+      const key = `${event.phase}:${event.status}:${event.percent !== undefined ? Math.floor(event.percent) : ''}`;
+      if (key === lastProgressKey && now - lastProgressTime < 500) return;
+      if (key === lastProgressKey && event.percent !== undefined) return;
+      lastProgressKey = key;
+      lastProgressTime = now;
       
-      const progressMatch = output.match(/\[download\]\s+(\d+\.\d+)%/);
-      const speedMatch = output.match(/at\s+([\d\.]+\w+\/s)/);
-      const etaMatch = output.match(/ETA\s+(\d+:\d+)/);
-      const sizeMatch = output.match(/(\d+\.\d+\w+B)\s+at/);
+      report('download-progress', {
+        ...event,
+        progress: event.percent,
+        message: describeProgressEvent(event),
+        type: event.phase === 'download' && event.status !== 'finished' ? 'progress' : 'info'
+      });
+    };
+    
+    const handleOutputLine = (output) => {
+      console.log('yt-dlp output:', output);
       
-      if (progressMatch) {
-        const progress = parseFloat(progressMatch[1]);
-        const speed = speedMatch ? speedMatch[1] : '';
-        const eta = etaMatch ? etaMatch[1] : '';
-        const size = sizeMatch ? sizeMatch[1] : '';
-        
-        // Only send progress updates every 1% or significant changes
-        const progressInt = Math.floor(progress);
-        if (progressInt > lastProgressSent || progress >= 100) {
-          lastProgressSent = progressInt;
-          
-          const progressData = {
-            progress,
-            speed,
-            eta,
-            size,
-            message: `Downloading... ${progress.toFixed(1)}%${speed ? ` at ${speed}` : ''}${eta ? ` (ETA: ${eta})` : ''}`,
-            type: 'progress'
-          };
-          
-          mainWindow.webContents.send('download-progress', progressData);
-        }
+      // yt-dlp announces the format ids it settled on, e.g. "Downloading 1 format(s): 137+140"
+      const formatsMatch = output.match(/Downloading \d+ format\(s\): (\S+)/);
+      if (formatsMatch) {
+        downloadedFormats = formatsMatch[1].split('+');
+        report('download-progress', {
+          message: downloadedFormats.length > 1
+            ? `Merging formats: ${downloadedFormats.join(' + ')}`
+            : `Using format: ${downloadedFormats[0]}`,
+          type: 'info',
+          formats: downloadedFormats
+        });
       }
       
       // Handle other important messages
-      if (output.includes('[download] Destination:')) {
-        const destinationMatch = output.match(/\[download\] Destination: (.+)/);
-        if (destinationMatch) {
-          mainWindow.webContents.send('download-progress', {
-            message: `Saving to: ${path.basename(destinationMatch[1])}`,
-            type: 'info'
-          });
-        }
-      }
-      
-      if (output.includes('[download] 100%')) {
-        mainWindow.webContents.send('download-progress', {
-          message: 'Download completed, processing...',
-          type: 'success',
-          progress: 100
+      const destinationMatch = output.match(/\[download\] Destination: (.+)/);
+      if (destinationMatch) {
+        report.trackFile(path.resolve(destinationMatch[1].trim()));
+        report('download-progress', {
+          message: `Saving to: ${path.basename(destinationMatch[1])}`,
+          type: 'info'
         });
       }
+    };
+    
+    process.stdout.on('data', (data) => {
+      const { events, lines } = progressParser.push(data);
+      lines.forEach(handleOutputLine);
+      events.forEach(handleProgressEvent);
     });
 
     process.stderr.on('data', (data) => {
@@ -1164,34 +1554,34 @@ ipcMain.handle('download-video', async (event, options) => {
       
       // Check for common errors and provide helpful messages
       if (error.includes('Video unavailable')) {
-        mainWindow.webContents.send('download-error', { 
+        report('download-error', { 
           error: 'Video is unavailable or private' 
         });
-      } else if (error.includes('Sign in to confirm')) {
-        mainWindow.webContents.send('download-error', { 
-          error: 'Video requires sign-in to access' 
+      } else if (isAuthRequiredError(error)) {
+        // No fallback can get past a sign-in wall; stop and tell the user how to fix it
+        authRequired = true;
+        report('download-error', { 
+          error: getAuthRequiredMessage(url, settings),
+          code: 'AUTH_REQUIRED'
         });
+        try {
+          if (!process.killed) {
+            process.kill('SIGTERM');
+          }
+        } catch (killError) {
+          console.log('Process already terminated');
+        }
+        return;
       } else if (error.includes('Requested format is not available')) {
-        mainWindow.webContents.send('download-error', { 
+        report('download-error', { 
           error: `Requested quality (${quality}) is not available for this video. Try a lower quality.` 
         });
       } else if (error.includes('No video formats found')) {
-        mainWindow.webContents.send('download-error', { 
+        report('download-error', { 
           error: 'No compatible video formats found. Trying FFmpeg fallback...' 
         });
-        // Trigger FFmpeg fallback
-        setTimeout(async () => {
-          try {
-            const result = await downloadWithFfmpeg(options.url, options.outputPath, options);
-            mainWindow.webContents.send('download-complete');
-            resolve(result);
-          } catch (ffmpegError) {
-            mainWindow.webContents.send('download-error', { 
-              error: `Both yt-dlp and FFmpeg failed: ${ffmpegError.message}` 
-            });
-            reject(new Error(`yt-dlp failed and FFmpeg fallback failed: ${ffmpegError.message}`));
-          }
-        }, 1000);
+        startFfmpegFallback(options, options.outputPath, 'yt-dlp failed', 1000);
+        return;
       }
       
       // Enhanced error detection for non-YouTube platforms
@@ -1212,29 +1602,18 @@ ipcMain.handle('download-video', async (event, options) => {
       
       if (shouldFallbackToFFmpeg) {
         console.log(`Triggering FFmpeg fallback for ${platformType} platform`);
-        mainWindow.webContents.send('download-progress', {
+        report('download-progress', {
           message: `yt-dlp failed for ${platformType} platform, switching to FFmpeg...`,
           type: 'warning'
         });
         
-        setTimeout(async () => {
-          try {
-            const enhancedOptions = {
-              ...options,
-              platformType,
-              preferFFmpeg: true
-            };
-            const result = await downloadWithFfmpeg(options.url, options.outputPath, enhancedOptions);
-            mainWindow.webContents.send('download-complete');
-            resolve(result);
-          } catch (ffmpegError) {
-            mainWindow.webContents.send('download-error', { 
-              error: `Both yt-dlp and FFmpeg failed: ${ffmpegError.message}` 
-            });
-            reject(new Error(`yt-dlp failed and FFmpeg fallback failed: ${ffmpegError.message}`));
-          }
-        }, 1000);
-        return;
+        const enhancedOptions = {
+          ...options,
+          platformType,
+          preferFFmpeg: true
+        };
+        startFfmpegFallback(enhancedOptions, options.outputPath, 'yt-dlp failed', 1000);
+        return;
       }
       
       // Check for other critical errors
@@ -1242,24 +1621,16 @@ ipcMain.handle('download-video', async (event, options) => {
         error.includes('This video is not available') ||
         error.includes('nsig extraction failed') ||
         error.includes('Unable to extract signature') ||
-        error.includes('Sign in to confirm') ||
         error.includes('This video requires payment') ||
         error.includes('format not available')
       )) {
         console.log('Critical yt-dlp error detected, will fallback to ffmpeg');
-        // Properly terminate the current process and trigger fallback
-        try {
-          if (!process.killed) {
-            process.kill('SIGTERM');
-          }
-        } catch (killError) {
-          console.log('Process already terminated');
-        }
-        cleanup();
+        // Stops yt-dlp; its close handler leaves the outcome to the fallback
+        startFfmpegFallback(options, finalOutputPath, 'yt-dlp failed', 1000);
         return;
       }
       
-      mainWindow.webContents.send('download-error', { error });
+      report('download-error', { error });
     });
 
     const cleanup = () => {
@@ -1276,105 +1647,923 @@ ipcMain.handle('download-video', async (event, options) => {
 
     process.on('close', async (code) => {
       console.log('yt-dlp process closed with code:', code);
+      const remaining = progressParser.flush();
+      remaining.lines.forEach(handleOutputLine);
       cleanup();
-      if (code === 0) {
-        // Verify that the file was actually created
+      const mediaPaths = outputManifest.read();
+      outputManifest.clear();
+      
+      // A fallback started from stderr settles the download instead
+      if (fallbackStarted) {
+        return;
+      }
+      
+      // --ignore-errors exits non-zero when only a subtitle or thumbnail failed
+      if (code === 0 || (mediaPaths.length > 0 && !report.isAborted())) {
+        // Use the files yt-dlp reported rather than guessing from the folder contents
         try {
-          const files = fs.readdirSync(finalOutputPath);
-          const videoFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.mp4', '.webm', '.mkv', '.avi', '.mov', '.flv', '.mp3', '.m4a', '.wav', '.flac'].includes(ext);
-          });
-          
-          if (videoFiles.length > 0) {
-            const downloadedFile = videoFiles[videoFiles.length - 1]; // Get the most recent file
-            const filePath = path.join(finalOutputPath, downloadedFile);
-            const stats = fs.statSync(filePath);
-            
-            // If we created an organized folder, include folder info in response
-            const folderInfo = needsOrganizedFolder && videoFolderName ? {
-              isOrganized: true,
-              folderName: videoFolderName,
-              folderPath: finalOutputPath
-            } : { isOrganized: false };
-            
-            if (stats.size > 0) {
-              mainWindow.webContents.send('download-complete', {
-                success: true,
-                fileName: downloadedFile,
-                fileSize: stats.size,
-                filePath: filePath,
-                ...folderInfo
-              });
-              resolve({ success: true, fileName: downloadedFile, filePath: filePath, ...folderInfo });
-            } else {
-              throw new Error('Downloaded file is empty (0 bytes)');
-            }
-          } else {
-            throw new Error('No video/audio files found in download directory');
+          if (mediaPaths.length === 0) {
+            throw new Error('yt-dlp did not report any output file');
           }
+          
+          resolve(reportDownloadOutput(report, mediaPaths, {
+            ...folderInfo,
+            formats: downloadedFormats,
+            merged: downloadedFormats.length > 1
+          }));
         } catch (verificationError) {
           console.error('File verification failed:', verificationError.message);
-          mainWindow.webContents.send('download-error', { 
+          report('download-error', { 
             error: `Download completed but file verification failed: ${verificationError.message}` 
           });
-          cleanup();
           reject(new Error(`File verification failed: ${verificationError.message}`));
         }
+      } else if (report.isAborted()) {
+        // Paused or cancelled by the user; the queue records the outcome
+        reject(new Error('Download stopped'));
+      } else if (authRequired) {
+        reject(new Error(getAuthRequiredMessage(url, settings)));
       } else {
         console.log('yt-dlp failed, trying ffmpeg fallback...');
-        mainWindow.webContents.send('download-error', { 
+        report('download-error', { 
           error: 'yt-dlp failed, attempting ffmpeg fallback...' 
         });
-        
+        startFfmpegFallback(options, finalOutputPath, `Download failed: yt-dlp (code ${code})`);
+      }
+    });
+  });
+}
+
+// Hosts that share cookies with another site's profile
+const COOKIE_HOST_ALIASES = {
+  'youtu.be': 'youtube.com',
+  'music.youtube.com': 'youtube.com'
+};
+
+function getUrlHost(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    return COOKIE_HOST_ALIASES[host] || host;
+  } catch (error) {
+    return '';
+  }
+}
+
+// Pick the cookie file for a URL from settings.cookieProfiles ({ domain: cookieFile }).
+// The most specific matching domain wins; '*' applies to every other site.
+function findCookieFile(url, settings = {}) {
+  const profiles = settings.cookieProfiles || {};
+  const host = getUrlHost(url);
+  
+  const domain = Object.keys(profiles)
+    .filter(key => key !== '*' && profiles[key] && (host === key || host.endsWith(`.${key}`)))
+    .sort((a, b) => b.length - a.length)[0];
+  
+  return profiles[domain || '*'] || null;
+}
+
+// yt-dlp arguments for authenticated requests; shared by every yt-dlp invocation
+function getCookieArgs(url, settings = {}) {
+  const cookieFile = findCookieFile(url, settings);
+  if (!cookieFile) {
+    return [];
+  }
+  
+  if (!fs.existsSync(cookieFile)) {
+    console.warn('⚠️ Cookie file not found, continuing without it:', cookieFile);
+    return [];
+  }
+  
+  return ['--cookies', cookieFile];
+}
+
+// yt-dlp wording for age-gated, members-only and bot-check pages
+function isAuthRequiredError(stderr = '') {
+  return stderr.includes('Sign in to confirm') ||
+    stderr.includes('members-only content') ||
+    stderr.includes('Join this channel to get access') ||
+    stderr.includes('This video is only available for registered users');
+}
+
+function getAuthRequiredMessage(url, settings = {}) {
+  const host = getUrlHost(url) || 'this site';
+  
+  if (findCookieFile(url, settings)) {
+    return `Sign-in required: the cookies configured for ${host} were rejected. They may have expired - export a fresh cookies.txt and update it in Settings → Cookies.`;
+  }
+  return `Sign-in required: ${host} needs you to be logged in (age-restricted or members-only video). Add a cookies.txt file for ${host} in Settings → Cookies and try again.`;
+}
+
+// Read settings.json from userData; returns an empty object when missing or unreadable
+function loadAppSettings() {
+  try {
+    const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+    if (fs.existsSync(settingsPath)) {
+      return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.warn('Could not load settings:', error.message);
+  }
+  return {};
+}
+
+// Merge changes into settings.json, for settings the main process owns (e.g. presets)
+function updateAppSettings(changes) {
+  const settings = { ...loadAppSettings(), ...changes };
+  const settingsPath = path.join(app.getPath('userData'), 'settings.json');
+  fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
+  return settings;
+}
+
+function getPresetState(settings = loadAppSettings()) {
+  return {
+    presets: settings.downloadPresets || [],
+    platformDefaults: settings.platformPresets || {}
+  };
+}
+
+// Parameters of the default preset for the URL's platform, if one is set
+function getPlatformPresetParameters(url, settings) {
+  const { presets, platformDefaults } = getPresetState(settings);
+  const presetId = platformDefaults[detectPlatformType(url).type];
+  const preset = presets.find(item => item.id === presetId);
+  return preset ? preset.parameters : {};
+}
+
+// Download queue
+function initDownloadQueue() {
+  const settings = loadAppSettings();
+  
+  downloadQueue = new DownloadQueue({
+    storagePath: path.join(app.getPath('userData'), 'download-queue.json'),
+    concurrency: settings.maxConcurrentDownloads,
+    runJob: runQueuedJob,
+    onCancelled: cleanupCancelledJob,
+    onFinished: handleJobFinished,
+    onChange: (job) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('queue-updated', job);
+      }
+      if (automationServer) {
+        automationServer.broadcast('job', job);
+      }
+    }
+  });
+}
+
+// Runs once per job when it reaches done, failed or cancelled
+function handleJobFinished(job) {
+  if (job.status === 'done' && job.options.archiveKey && downloadArchive) {
+    downloadArchive.add(job.options.archiveKey);
+  }
+  
+  recordDownloadHistory(job);
+}
+
+// Archive of downloaded videos, compatible with yt-dlp --download-archive
+function initDownloadArchive() {
+  downloadArchive = new DownloadArchive({
+    storagePath: path.join(app.getPath('userData'), 'download-archive.txt')
+  });
+}
+
+// Time windows with a bandwidth cap; running downloads restart with the new --limit-rate
+// when a window opens or closes, and jobs scheduled for later start on the next tick
+function initBandwidthScheduler() {
+  bandwidthScheduler = new BandwidthScheduler({
+    getSchedule: () => normalizeSchedule(loadAppSettings().bandwidthSchedule || {}),
+    onRateChange: () => {
+      // FFmpeg downloads have no rate limit, so restarting them would only lose progress
+      const restarted = downloadQueue.restartRunning(job => !isRunningFfmpeg(job.id));
+      if (restarted > 0) {
+        console.log(`🚦 Restarting ${restarted} download(s) with the new bandwidth limit`);
+      }
+    },
+    onTick: () => downloadQueue.processNext()
+  });
+}
+
+// Network settings for a download, with the scheduled cap shared between the download slots
+function getDownloadNetworkSettings(settings) {
+  const network = settings.network || {};
+  const scheduledRate = bandwidthScheduler ? bandwidthScheduler.currentRate : null;
+  if (scheduledRate === null) {
+    return network;
+  }
+  
+  const perDownload = scheduledRate / DownloadQueue.normalizeConcurrency(settings.maxConcurrentDownloads);
+  const networkRate = parseRate(network.rateLimit);
+  return {
+    ...network,
+    rateLimit: formatRate(networkRate === null ? perDownload : Math.min(perDownload, networkRate))
+  };
+}
+
+// Channel and playlist subscriptions
+function initSubscriptions() {
+  subscriptionManager = new SubscriptionManager({
+    storagePath: path.join(app.getPath('userData'), 'subscriptions.json'),
+    checkSubscription: checkSubscriptionForUploads,
+    onChange: (subscription) => {
+      if (mainWindow) {
+        mainWindow.webContents.send('subscriptions-updated', subscription);
+      }
+    }
+  });
+}
+
+// Queue the subscription's uploads that are not in the download archive yet; resolves with how many were queued
+async function checkSubscriptionForUploads(subscription) {
+  const entries = await listSubscriptionEntries(subscription);
+  const videos = entries.map(toPlaylistVideo).filter(video => video.archiveKey && video.url);
+  
+  // The first check only remembers what is already there, unless the backlog was requested too
+  if (!subscription.downloadExisting && !subscription.knownKeys) {
+    subscriptionManager.setKnownKeys(subscription.id, videos.map(video => video.archiveKey));
+    console.log(`📺 Subscribed to ${subscription.url}; ${videos.length} existing videos will be skipped`);
+    return 0;
+  }
+  
+  const known = new Set(subscription.knownKeys || []);
+  const pending = new Set(downloadQueue.list()
+    .filter(job => ['queued', 'running', 'paused'].includes(job.status))
+    .map(job => job.options.archiveKey)
+    .filter(Boolean));
+  
+  // Oldest first, so the queue follows upload order
+  const newVideos = videos
+    .filter(video => !video.isArchived && !known.has(video.archiveKey) && !pending.has(video.archiveKey))
+    .reverse();
+  
+  if (newVideos.length === 0) {
+    return 0;
+  }
+  
+  enqueueBatch({
+    videos: newVideos,
+    outputPath: subscription.outputPath,
+    downloadOptions: subscription.downloadOptions,
+    playlistLayout: 'flat',
+    source: 'subscription'
+  });
+  
+  const name = subscription.name || getUrlHost(subscription.url);
+  console.log(`📺 Queued ${newVideos.length} new videos from ${name}`);
+  showSystemNotification(
+    `📺 New videos from ${name}`,
+    newVideos.length === 1 ? `Downloading "${newVideos[0].title}"` : `Downloading ${newVideos.length} new videos`,
+    'subscription'
+  );
+  
+  return newVideos.length;
+}
+
+// Latest entries of a channel or playlist, without visiting each video.
+// yt-dlp already leaves out everything listed in the download archive.
+function listSubscriptionEntries(subscription) {
+  return new Promise((resolve, reject) => {
+    const ytDlpPath = getYtDlpPath();
+    if (!ytDlpPath) {
+      reject(new Error('yt-dlp not found. Please install yt-dlp first.'));
+      return;
+    }
+    
+    const settings = loadAppSettings();
+    const args = [
+      '--flat-playlist',
+      '--dump-json',
+      '--playlist-end', String(subscription.maxItems),
+      '--download-archive', downloadArchive.storagePath,
+      ...getCookieArgs(subscription.url, settings),
+      ...getYtDlpNetworkArgs(settings.network),
+      subscription.url
+    ];
+    
+    const process = spawn(ytDlpPath, args);
+    let stdout = '';
+    let stderr = '';
+    
+    process.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    
+    process.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    process.on('error', (error) => {
+      reject(new Error(`Failed to start yt-dlp: ${error.message}`));
+    });
+    
+    process.on('close', (code) => {
+      const entries = [];
+      stdout.split('\n').filter(line => line.trim()).forEach(line => {
         try {
-          const result = await downloadWithFfmpeg(options.url, finalOutputPath, options);
-          // Verify FFmpeg download as well
-          const files = fs.readdirSync(finalOutputPath);
-          const videoFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.mp4', '.webm', '.mkv', '.avi', '.mov', '.flv', '.mp3', '.m4a', '.wav', '.flac'].includes(ext);
-          });
-          
-          if (videoFiles.length > 0) {
-            const downloadedFile = videoFiles[videoFiles.length - 1];
-            const filePath = path.join(finalOutputPath, downloadedFile);
-            const stats = fs.statSync(filePath);
-            
-            const folderInfo = needsOrganizedFolder && videoFolderName ? {
-              isOrganized: true,
-              folderName: videoFolderName,
-              folderPath: finalOutputPath
-            } : { isOrganized: false };
-            
-            if (stats.size > 0) {
-              mainWindow.webContents.send('download-complete', {
-                success: true,
-                fileName: downloadedFile,
-                fileSize: stats.size,
-                filePath: filePath,
-                ...folderInfo
-              });
-              resolve({ success: true, fileName: downloadedFile, filePath: filePath, ...folderInfo });
-            } else {
-              throw new Error('FFmpeg downloaded file is empty');
-            }
-          } else {
-            throw new Error('FFmpeg did not create any video/audio files');
-          }
-        } catch (ffmpegError) {
-          mainWindow.webContents.send('download-error', { 
-            error: `Both yt-dlp and ffmpeg failed: ${ffmpegError.message}` 
-          });
-          cleanup();
-          reject(new Error(`Download failed: yt-dlp (code ${code}) and ffmpeg fallback failed: ${ffmpegError.message}`));
+          entries.push(JSON.parse(line));
+        } catch (parseError) {
+          console.warn('Failed to parse subscription entry:', parseError.message);
         }
+      });
+      
+      if (entries.length > 0 || code === 0) {
+        resolve(entries);
+      } else if (isAuthRequiredError(stderr)) {
+        reject(new Error(getAuthRequiredMessage(subscription.url, settings)));
+      } else {
+        reject(new Error(stderr.trim() || `yt-dlp exited with code ${code}`));
       }
     });
   });
+}
+
+// Opt-in clipboard monitor for copied video links
+function initClipboardWatcher() {
+  clipboardWatcher = new ClipboardWatcher({
+    readText: () => clipboard.readText(),
+    isSupportedUrl: (url) => detectPlatformType(url).type !== 'other',
+    onUrl: handleCopiedUrl
+  });
+  applyClipboardMonitorSetting(loadAppSettings());
+}
+
+// Local automation API (scripts/automation-server.js), served only while enabled in the settings
+function initAutomationServer() {
+  automationServer = new AutomationServer({
+    getStatus: () => ({
+      app: 'Puyt',
+      version: app.getVersion(),
+      queue: downloadQueue.list().reduce((counts, job) => ({ ...counts, [job.status]: (counts[job.status] || 0) + 1 }), {})
+    }),
+    analyze: (url, options) => getVideoInfo(url, options),
+    listPresets: () => getPresetState().presets,
+    enqueue: enqueueFromAutomation,
+    listJobs: () => downloadQueue.list(),
+    getJob: (id) => {
+      const job = downloadQueue.get(id);
+      return job ? { ...job } : null;
+    },
+    cancelJob: (id) => downloadQueue.cancel(id)
+  });
+  applyAutomationSettings(loadAppSettings());
+}
+
+// Start, stop or restart the server when its settings change
+function applyAutomationSettings(settings) {
+  automationUpdate = automationUpdate.then(() => updateAutomationServer(settings));
+  return automationUpdate;
+}
+
+async function updateAutomationServer(settings) {
+  if (!automationServer) return;
+  
+  let config;
+  try {
+    config = normalizeAutomationSettings(settings.automationApi || {});
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid automation API settings:', error.message);
+    config = { enabled: false };
+  }
+  
+  const current = automationServer.running ? automationServer.config : null;
+  if (current && config.enabled && current.port === config.port && current.token === config.token) {
+    return;
+  }
+  
+  await automationServer.stop();
+  automationError = null;
+  if (!config.enabled) return;
+  
+  try {
+    await automationServer.start(config);
+  } catch (error) {
+    automationError = error.message;
+    console.error('Failed to start the automation API:', error.message);
+  }
+}
+
+// Queue a download for an API client: the URL's default options, then the named preset,
+// then any options given explicitly
+function enqueueFromAutomation({ url, preset = null, outputPath = null, options = {}, title = null, startAt = null }) {
+  const settings = loadAppSettings();
+  const downloadOptions = getDefaultDownloadOptions(url, settings);
+  
+  if (preset) {
+    const wanted = String(preset).toLowerCase();
+    const match = getPresetState(settings).presets
+      .find(item => item.id === preset || item.name.toLowerCase() === wanted);
+    if (!match) {
+      throw new Error(`Preset "${preset}" not found`);
+    }
+    Object.assign(downloadOptions, match.parameters);
+  }
+  
+  // Raw yt-dlp arguments only come from presets saved in the app, never from API clients
+  const { customArgs, ...typedOptions } = pickPresetParameters(options || {});
+  if (customArgs !== undefined) {
+    throw new Error('"customArgs" is not accepted by the automation API');
+  }
+  Object.assign(downloadOptions, typedOptions);
+  ['startTime', 'endTime'].forEach(key => {
+    if (options && options[key]) downloadOptions[key] = String(options[key]);
+  });
+  
+  if (outputPath) {
+    if (typeof outputPath !== 'string' || !path.isAbsolute(outputPath)) {
+      throw new Error('"outputPath" must be an absolute path');
+    }
+    downloadOptions.outputPath = outputPath;
+  }
+  if (title) {
+    downloadOptions.videoTitle = String(title);
+  }
+  if (startAt && Number.isNaN(new Date(startAt).getTime())) {
+    throw new Error(`Invalid start time "${startAt}"`);
+  }
+  
+  return { ...queueDownload(downloadOptions, {
+    title: title || undefined,
+    source: 'api',
+    startAt: startAt ? new Date(startAt).toISOString() : null
+  }) };
+}
+
+// The dependency installer keeps its own request options; yt-dlp and ffmpeg read the settings per run
+function applyNetworkSettings(settings) {
+  dependencyManager.setRequestOptions(getRequestOptions(settings.network));
+}
+
+function applyClipboardMonitorSetting(settings) {
+  if (!clipboardWatcher) return;
+  
+  if (settings.clipboardMonitor) {
+    clipboardWatcher.start();
+  } else {
+    clipboardWatcher.stop();
+  }
+}
+
+// The renderer shows a prompt; when the app is in the background a notification points to it
+function handleCopiedUrl(url) {
+  const platform = detectPlatformType(url);
+  
+  if (mainWindow) {
+    mainWindow.webContents.send('clipboard-url-detected', { url, platform });
+  }
+  
+  if (!mainWindow || !mainWindow.isFocused()) {
+    showSystemNotification(
+      `📋 ${platform.name} link copied`,
+      `Click to analyze or download it in Puyt: ${url}`,
+      'clipboard'
+    );
+  }
+}
+
+// Options for downloads started without visiting the downloader, taken from Settings
+function getDefaultDownloadOptions(url, settings) {
+  return {
+    url,
+    outputPath: settings.downloadPath || path.join(os.homedir(), 'Downloads'),
+    quality: settings.videoQuality || 'best',
+    format: settings.videoFormat || 'mp4',
+    audioFormat: settings.audioFormat || 'mp3',
+    extractAudio: settings.extractAudio || false,
+    integratedAudio: settings.integratedAudio !== false,
+    downloadSubtitles: settings.downloadSubtitles || false,
+    embedThumbnail: settings.embedThumbnail || false,
+    ...getPlatformPresetParameters(url, settings)
+  };
+}
+
+// Download history
+function initDownloadHistory() {
+  downloadHistory = new DownloadHistory({
+    storagePath: path.join(app.getPath('userData'), 'download-history.json')
+  });
+}
+
+// Short human-readable description of the format a job was downloaded with
+function describeDownloadFormat(options = {}, downloadedFormats = []) {
+  if (options.extractAudio) {
+    return `${describeAudioOptions(options)} audio`;
+  }
+  
+  const parts = [options.quality || 'best', (options.format || 'mp4').toUpperCase()];
+  if (downloadedFormats && downloadedFormats.length > 0) {
+    parts.push(`(format ${downloadedFormats.join('+')})`);
+  } else if (options.selectedFormatId) {
+    parts.push(`(format ${options.selectedFormatId})`);
+  }
+  return parts.join(' ');
+}
+
+function recordDownloadHistory(job) {
+  if (!downloadHistory) return;
+  
+  const result = job.result || {};
+  const entry = downloadHistory.add({
+    jobId: job.id,
+    url: job.url,
+    title: job.title,
+    uploader: job.uploader,
+    format: describeDownloadFormat(job.options, result.formats),
+    options: job.options,
+    outputPath: result.folderPath || job.options.outputPath,
+    fileName: result.fileName || null,
+    filePath: result.filePath || null,
+    fileSize: result.fileSize || null,
+    artifacts: result.artifacts || null,
+    status: job.status,
+    error: job.error,
+    date: job.finishedAt || new Date().toISOString()
+  });
+  
+  if (mainWindow) {
+    mainWindow.webContents.send('history-updated', entry);
+  }
+}
+
+// Send a download event to the renderer, tagged with the queue job it belongs to.
+// The reporter also lets download code register its processes and partial files.
+function createJobReporter(job, control = null) {
+  const report = (channel, payload = {}) => {
+    const data = job ? { ...payload, jobId: job.id, batchId: job.batchId, batchIndex: job.batchIndex } : payload;
+    
+    if (job && channel === 'download-progress' && downloadQueue) {
+      downloadQueue.updateProgress(job.id, data);
+    }
+    
+    if (mainWindow) {
+      mainWindow.webContents.send(channel, data);
+    }
+  };
+  
+  report.attach = (child) => {
+    if (!job || !child) return;
+    
+    const processes = jobProcesses.get(job.id) || new Set();
+    processes.add(child);
+    jobProcesses.set(job.id, processes);
+    child.once('exit', () => processes.delete(child));
+    
+    // The job may have been stopped while this process was being spawned
+    if (control && control.aborted) {
+      killJobProcesses(job.id);
+    }
+  };
+  
+  report.trackFile = (filePath) => {
+    if (job && downloadQueue) {
+      downloadQueue.trackFile(job.id, filePath);
+    }
+  };
+  
+  // The FFmpeg fallback's output file, kept on the job across pause and resume
+  report.getFallbackFile = () => {
+    const current = job && downloadQueue ? downloadQueue.get(job.id) : null;
+    return (current && current.fallbackFile) || null;
+  };
+  report.setFallbackFile = (filePath) => {
+    if (job && downloadQueue) {
+      downloadQueue.update(job.id, { fallbackFile: filePath });
+    }
+  };
+  
+  report.isAborted = () => Boolean(control && control.aborted);
+  report.job = job;
+  
+  return report;
+}
+
+function killJobProcesses(jobId) {
+  const processes = jobProcesses.get(jobId);
+  if (!processes) return;
+  
+  processes.forEach(child => {
+    try {
+      if (child.exitCode === null && !child.killed) {
+        child.kill('SIGTERM');
+      }
+    } catch (error) {
+      console.log('Error terminating download process:', error.message);
+    }
+  });
+}
+
+// True while a job is on the FFmpeg fallback rather than yt-dlp
+function isRunningFfmpeg(jobId) {
+  return Array.from(jobProcesses.get(jobId) || [])
+    .some(child => /^ffmpeg/i.test(path.basename(child.spawnfile || '')));
+}
+
+// Resolve once every process of a job has exited (or after a timeout)
+function waitForJobProcesses(jobId, timeout = 5000) {
+  const processes = Array.from(jobProcesses.get(jobId) || []);
+  const exits = processes
+    .filter(child => child.exitCode === null && child.signalCode === null)
+    .map(child => new Promise(resolve => child.once('exit', resolve)));
+  
+  return Promise.race([
+    Promise.all(exits),
+    new Promise(resolve => setTimeout(resolve, timeout))
+  ]).then(() => jobProcesses.delete(jobId));
+}
+
+// Delete what a cancelled job left behind: .part/.ytdl files, fragments and unfinished outputs
+async function cleanupCancelledJob(job) {
+  await waitForJobProcesses(job.id);
+  
+  for (const filePath of job.partialFiles || []) {
+    const dir = path.dirname(filePath);
+    const base = path.basename(filePath);
+    const candidates = [filePath, `${filePath}.part`, `${filePath}.ytdl`];
+    
+    try {
+      fs.readdirSync(dir)
+        .filter(name => name.startsWith(`${base}.part-Frag`))
+        .forEach(name => candidates.push(path.join(dir, name)));
+    } catch (error) {
+      // Directory is gone, nothing left to clean
+      continue;
+    }
+    
+    candidates.forEach(candidate => {
+      try {
+        if (fs.existsSync(candidate)) {
+          fs.unlinkSync(candidate);
+          console.log('🗑️ Removed partial file:', candidate);
+        }
+      } catch (error) {
+        console.warn('Could not remove partial file:', candidate, error.message);
+      }
+    });
+  }
+}
+
+// Every queued job, single or batch, runs through downloadVideo: yt-dlp first, FFmpeg only as fallback
+function runQueuedJob(job, control) {
+  const report = createJobReporter(job, control);
+  control.onAbort(() => killJobProcesses(job.id));
+  
+  // A restarted job's previous process may still be exiting and holding its partial files
+  return waitForJobProcesses(job.id).then(() => downloadVideo(job.options, report));
+}
+
+// Single downloads from every source go through here so they get the same defaults as batch items
+function queueDownload(options, meta) {
+  return downloadQueue.add(normalizeDownloadOptions(options), meta);
+}
+
+function enqueueBatch(options = {}) {
+  const { videos, outputPath, downloadOptions = {}, playlistLayout = 'playlist', writePlaylistFile = false, source = 'batch' } = options;
+  
+  if (!videos || !Array.isArray(videos) || videos.length === 0) {
+    throw new Error('No videos provided for batch download');
+  }
+  
+  const restrictFilenames = loadAppSettings().restrictFilenames !== false;
+  const batchId = crypto.randomUUID();
+  const jobs = downloadQueue.addMany(videos.map((video, index) => ({
+    options: getBatchItemOptions(downloadOptions, {
+      url: video.url,
+      outputPath,
+      ...getPlaylistPlacement(video, outputPath, playlistLayout, restrictFilenames),
+      videoTitle: video.title,
+      videoId: video.id || null,
+      uploader: video.uploader || null,
+      uploadDate: video.uploadDate || null,
+      extractor: video.extractor || null,
+      archiveKey: video.archiveKey || null,
+      ...getBatchAudioTagOptions(video, downloadOptions)
+    }),
+    meta: {
+      title: video.title,
+      uploader: video.uploader,
+      source,
+      batchId,
+      batchIndex: index + 1
+    }
+  })));
+  
+  if (writePlaylistFile) {
+    writePlaylistFilesWhenDone(jobs, videos);
+  }
+  
+  return { batchId, jobs };
+}
+
+// Batch items have no tag editor; they are tagged the way the single-video form pre-fills it
+function getBatchAudioTagOptions(video, downloadOptions) {
+  if (!downloadOptions.extractAudio) {
+    return { audioTags: null, coverArtUrl: null };
+  }
+  
+  return {
+    audioTags: video.tags || getDefaultTags({ title: video.title, uploader: video.uploader, upload_date: video.uploadDate }),
+    coverArtUrl: video.thumbnail || null
+  };
+}
+
+// Playlist videos go to their own folder with a zero-padded index prefix ("007 - "),
+// or straight into the download folder with the flat layout
+function getPlaylistPlacement(video, outputPath, playlistLayout, restrictFilenames) {
+  if (!video.playlistTitle || playlistLayout === 'flat') {
+    return { outputPath, playlistTitle: video.playlistTitle || null, playlistIndex: video.playlistIndex || null };
+  }
+  
+  const folderName = sanitizeSegment(video.playlistTitle, restrictFilenames).substring(0, 100) || 'Playlist';
+  const width = Math.max(2, String(video.playlistCount || video.playlistIndex || 0).length);
+  
+  return {
+    outputPath: path.join(outputPath, folderName),
+    playlistTitle: video.playlistTitle,
+    playlistIndex: video.playlistIndex || null,
+    filenamePrefix: video.playlistIndex ? `${String(video.playlistIndex).padStart(width, '0')} - ` : ''
+  };
+}
+
+// Write one .m3u8 per playlist once all of its queued videos have settled
+function writePlaylistFilesWhenDone(jobs, videos) {
+  const playlists = new Map();
+  jobs.forEach((job, index) => {
+    const video = videos[index];
+    if (!video.playlistTitle) return;
+    
+    const key = `${job.options.outputPath}|${video.playlistTitle}`;
+    const group = playlists.get(key) || { title: video.playlistTitle, outputPath: job.options.outputPath, items: [] };
+    group.items.push({ job, video });
+    playlists.set(key, group);
+  });
+  
+  playlists.forEach(group => writePlaylistFile(group));
+}
+
+async function writePlaylistFile(group) {
+  const settled = await Promise.all(group.items.map(({ job, video }) => downloadQueue.waitFor(job.id)
+    .then(result => ({ result, video }))
+    .catch(() => null)));
+  
+  const entries = settled
+    .filter(item => item && item.result && item.result.filePath)
+    .sort((a, b) => (a.video.playlistIndex || 0) - (b.video.playlistIndex || 0))
+    .map(({ result, video }) => ({ filePath: result.filePath, title: video.title, duration: video.duration }));
+  
+  if (entries.length === 0) return;
+  
+  try {
+    const restrictFilenames = loadAppSettings().restrictFilenames !== false;
+    const fileName = `${sanitizeSegment(group.title, restrictFilenames).substring(0, 100) || 'Playlist'}.m3u8`;
+    const playlistPath = writeM3u8(path.join(group.outputPath, fileName), entries);
+    console.log(`🎶 Wrote playlist file with ${entries.length} entries:`, playlistPath);
+  } catch (error) {
+    console.error('Failed to write playlist file:', error.message);
+  }
+}
+
+// Kept for callers that await a single download; the work itself runs through the queue
+handleIpc('download-video', async (event, options) => {
+  const job = queueDownload(options, { source: 'single' });
+  return downloadQueue.waitFor(job.id);
+});
+
+handleIpc('queue-add', async (event, options, meta = {}) => {
+  return queueDownload(options, {
+    title: meta.title,
+    uploader: meta.uploader,
+    source: 'single'
+  });
+});
+
+handleIpc('queue-add-batch', async (event, options) => {
+  return enqueueBatch(options);
+});
+
+handleIpc('queue-list', async () => {
+  return downloadQueue.list();
+});
+
+handleIpc('queue-pause', async (event, jobId) => {
+  return downloadQueue.pause(jobId);
+});
+
+handleIpc('queue-resume', async (event, jobId) => {
+  return downloadQueue.resume(jobId);
+});
+
+handleIpc('queue-cancel', async (event, jobId) => {
+  return downloadQueue.cancel(jobId);
 });
 
-ipcMain.handle('select-download-folder', async () => {
+handleIpc('queue-retry', async (event, jobId) => {
+  return downloadQueue.retry(jobId);
+});
+
+handleIpc('queue-remove', async (event, jobId) => {
+  return downloadQueue.remove(jobId);
+});
+
+handleIpc('queue-clear-finished', async () => {
+  return downloadQueue.clearFinished();
+});
+
+handleIpc('queue-schedule', async (event, jobId, startAt) => {
+  return downloadQueue.schedule(jobId, startAt);
+});
+
+// Whether the automation API is listening, and why not if it failed to start
+handleIpc('automation-status', async () => {
+  const running = Boolean(automationServer && automationServer.running);
+  return {
+    running,
+    url: running ? `http://127.0.0.1:${automationServer.config.port}/api/v1` : null,
+    error: automationError
+  };
+});
+
+// Current cap and the next time downloads are unlimited, for "start when off-peak"
+handleIpc('bandwidth-status', async () => {
+  const schedule = normalizeSchedule(loadAppSettings().bandwidthSchedule || {});
+  const nextUnlimited = getNextUnlimitedTime(schedule);
+  return {
+    currentRate: bandwidthScheduler && bandwidthScheduler.currentRate !== null ? formatRate(bandwidthScheduler.currentRate) : null,
+    nextUnlimitedAt: nextUnlimited ? nextUnlimited.toISOString() : null
+  };
+});
+
+handleIpc('history-list', async (event, filter) => {
+  return downloadHistory.list(filter);
+});
+
+handleIpc('history-remove', async (event, entryId) => {
+  return downloadHistory.remove(entryId);
+});
+
+handleIpc('history-clear', async () => {
+  return downloadHistory.clear();
+});
+
+// Queue a copied link straight away with the default download settings
+handleIpc('clipboard-quick-download', async (event, url) => {
+  return queueDownload(getDefaultDownloadOptions(url, loadAppSettings()), { source: 'clipboard' });
+});
+
+handleIpc('subscriptions-list', async () => {
+  return subscriptionManager.list();
+});
+
+handleIpc('subscriptions-add', async (event, options) => {
+  const subscription = subscriptionManager.add(options);
+  // Check right away so the user sees the result of the first listing
+  subscriptionManager.check(subscription.id).catch(() => {});
+  return subscription;
+});
+
+handleIpc('subscriptions-update', async (event, id, changes) => {
+  return subscriptionManager.update(id, changes);
+});
+
+handleIpc('subscriptions-remove', async (event, id) => {
+  return subscriptionManager.remove(id);
+});
+
+handleIpc('subscriptions-check', async (event, id) => {
+  return subscriptionManager.check(id);
+});
+
+// Queue the same URL again with the options of the original download
+handleIpc('history-redownload', async (event, entryId) => {
+  const entry = downloadHistory.get(entryId);
+  if (!entry) {
+    throw new Error('History entry not found');
+  }
+  
+  return queueDownload(entry.options, {
+    title: entry.title,
+    uploader: entry.uploader,
+    source: 'history'
+  });
+});
+
+handleIpc('open-file', async (event, filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { success: false, error: 'File no longer exists' };
+  }
+  
+  const error = await shell.openPath(filePath);
+  return error ? { success: false, error } : { success: true };
+});
+
+handleIpc('show-item-in-folder', async (event, filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) {
+    return { success: false, error: 'File no longer exists' };
+  }
+  
+  shell.showItemInFolder(filePath);
+  return { success: true };
+});
+
+handleIpc('select-download-folder', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openDirectory'],
     defaultPath: path.join(os.homedir(), 'Downloads')
@@ -1383,19 +2572,19 @@ ipcMain.handle('select-download-folder', async () => {
   return result.canceled ? null : result.filePaths[0];
 });
 
-ipcMain.handle('open-folder', async (event, folderPath) => {
+handleIpc('open-folder', async (event, folderPath) => {
   shell.openPath(folderPath);
 });
 
 
 
-ipcMain.handle('update-ytdlp', async (event) => {
+handleIpc('update-ytdlp', async (event) => {
   try {
     if (!YtDlpInstaller) {
       return { success: false, error: 'YtDlpInstaller not available in production build' };
     }
     
-    const installer = new YtDlpInstaller();
+    const installer = new YtDlpInstaller({ requestOptions: getRequestOptions(loadAppSettings().network) });
     
     const result = await installer.update((message) => {
       event.sender.send('ytdlp-install-progress', message);
@@ -1407,12 +2596,12 @@ ipcMain.handle('update-ytdlp', async (event) => {
   }
 });
 
-ipcMain.handle('restart-app', async () => {
+handleIpc('restart-app', async () => {
   app.relaunch();
   app.exit();
 });
 
-ipcMain.handle('check-ytdlp', async () => {
+handleIpc('check-ytdlp', async () => {
   return new Promise((resolve) => {
     // Try to execute yt-dlp --version to verify it's working
     const process = spawn('yt-dlp', ['--version'], { shell: true });
@@ -1457,7 +2646,7 @@ ipcMain.handle('check-ytdlp', async () => {
 });
 
 // New handler for Settings component
-ipcMain.handle('check-ytdlp-status', async () => {
+handleIpc('check-ytdlp-status', async () => {
   try {
     if (!YtDlpInstaller) {
       // Fallback status check without installer
@@ -1479,11 +2668,11 @@ ipcMain.handle('check-ytdlp-status', async () => {
 });
 
 // Get home directory
-ipcMain.handle('get-home-directory', async () => {
+handleIpc('get-home-directory', async () => {
   return os.homedir();
 });
 
-ipcMain.handle('validate-path', async (event, pathToValidate) => {
+handleIpc('validate-path', async (event, pathToValidate) => {
   try {
     if (!pathToValidate) return false;
     return fs.existsSync(pathToValidate) && fs.statSync(pathToValidate).isDirectory();
@@ -1494,7 +2683,7 @@ ipcMain.handle('validate-path', async (event, pathToValidate) => {
 });
 
 // Settings management
-ipcMain.handle('get-settings', async () => {
+handleIpc('get-settings', async () => {
   try {
     const settingsPath = path.join(app.getPath('userData'), 'settings.json');
     
@@ -1517,7 +2706,17 @@ ipcMain.handle('get-settings', async () => {
       downloadPath: path.join(os.homedir(), 'Downloads'),
       videoQuality: 'best',
       audioFormat: 'mp3',
-      videoFormat: 'mp4'
+      videoFormat: 'mp4',
+      maxConcurrentDownloads: 2,
+      cookieProfiles: {},
+      outputTemplate: DEFAULT_OUTPUT_TEMPLATE,
+      restrictFilenames: true,
+      clipboardMonitor: false,
+      network: {},
+      bandwidthSchedule: { enabled: false, windows: [] },
+      automationApi: { enabled: false, port: DEFAULT_AUTOMATION_PORT, token: '' },
+      downloadPresets: [],
+      platformPresets: {}
     };
     return { success: true, data: defaultSettings };
   } catch (error) {
@@ -1526,7 +2725,14 @@ ipcMain.handle('get-settings', async () => {
   }
 });
 
-ipcMain.handle('save-settings', async (event, settings) => {
+// Settings sections that are validated before saving, each on its own
+const VALIDATED_SETTINGS = {
+  network: normalizeNetworkSettings,
+  bandwidthSchedule: normalizeSchedule,
+  automationApi: normalizeAutomationSettings
+};
+
+handleIpc('save-settings', async (event, settings) => {
   try {
     if (!settings || typeof settings !== 'object') {
       return { success: false, error: 'Invalid settings data provided' };
@@ -1540,6 +2746,25 @@ ipcMain.handle('save-settings', async (event, settings) => {
       fs.mkdirSync(userDataDir, { recursive: true });
     }
     
+    // Presets are managed through their own handlers; keep the stored ones
+    const { presets, platformDefaults } = getPresetState();
+    settings = { ...settings, downloadPresets: presets, platformPresets: platformDefaults };
+    
+    // A section yt-dlp or the API server would fail on keeps its stored value, while the
+    // rest of the settings are still saved; the Settings page shows why and reverts it
+    const storedSettings = loadAppSettings();
+    const rejected = {};
+    const restored = {};
+    Object.entries(VALIDATED_SETTINGS).forEach(([key, normalize]) => {
+      try {
+        settings[key] = normalize(settings[key] || {});
+      } catch (validationError) {
+        rejected[key] = validationError.message;
+        settings[key] = storedSettings[key] !== undefined ? storedSettings[key] : normalize({});
+        restored[key] = settings[key];
+      }
+    });
+    
     // Create backup of existing settings
     if (fs.existsSync(settingsPath)) {
       const backupPath = settingsPath + '.backup';
@@ -1567,7 +2792,19 @@ ipcMain.handle('save-settings', async (event, settings) => {
       throw new Error('Settings file was not created');
     }
     
-    return { success: true, message: 'Settings saved successfully' };
+    // Apply the new worker pool size to the running queue
+    if (downloadQueue && settings.maxConcurrentDownloads !== undefined) {
+      downloadQueue.setConcurrency(settings.maxConcurrentDownloads);
+    }
+    
+    applyClipboardMonitorSetting(settings);
+    applyNetworkSettings(settings);
+    if (bandwidthScheduler) {
+      bandwidthScheduler.check();
+    }
+    applyAutomationSettings(settings);
+    
+    return { success: true, message: 'Settings saved successfully', rejected, restored };
   } catch (error) {
     console.error('Error saving settings:', error);
     
@@ -1587,7 +2824,127 @@ ipcMain.handle('save-settings', async (event, settings) => {
   }
 });
 
-ipcMain.handle('select-download-path', async () => {
+// Preview a filename template against the analyzed video, or sample data
+handleIpc('preview-output-template', async (event, { template, videoInfo, restrictFilenames = true, ext = 'mp4' } = {}) => {
+  try {
+    const info = videoInfo ? { ...videoInfo, ext } : { ...SAMPLE_TEMPLATE_INFO, ext };
+    return {
+      success: true,
+      template: normalizeOutputTemplate(template),
+      preview: renderOutputTemplate(template, info, { restrictFilenames })
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+});
+
+handleIpc('select-cookie-file', async () => {
+  try {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ['openFile'],
+      title: 'Select Cookies File (Netscape format)',
+      filters: [
+        { name: 'Cookies', extensions: ['txt'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    });
+    
+    if (!result.canceled && result.filePaths.length > 0) {
+      return {
+        canceled: false,
+        filePath: result.filePaths[0]
+      };
+    }
+    return {
+      canceled: true,
+      filePath: null
+    };
+  } catch (error) {
+    console.error('Error selecting cookie file:', error);
+    return {
+      canceled: true,
+      filePath: null,
+      error: `Failed to open file dialog: ${error.message || 'Dialog system error'}`
+    };
+  }
+});
+
+// Download presets, stored in settings.json as downloadPresets and platformPresets (platform type -> preset id)
+handleIpc('presets-list', async () => {
+  return getPresetState();
+});
+
+handleIpc('presets-save', async (event, preset) => {
+  const { presets } = getPresetState();
+  return getPresetState(updateAppSettings({ downloadPresets: upsertPreset(presets, preset) }));
+});
+
+handleIpc('presets-delete', async (event, presetId) => {
+  const { presets, platformDefaults } = getPresetState();
+  const remainingDefaults = Object.fromEntries(Object.entries(platformDefaults).filter(([, id]) => id !== presetId));
+  
+  return getPresetState(updateAppSettings({
+    downloadPresets: presets.filter(preset => preset.id !== presetId),
+    platformPresets: remainingDefaults
+  }));
+});
+
+handleIpc('presets-set-platform-default', async (event, platformType, presetId) => {
+  const { platformDefaults } = getPresetState();
+  const next = { ...platformDefaults };
+  if (presetId) {
+    next[platformType] = presetId;
+  } else {
+    delete next[platformType];
+  }
+  
+  return getPresetState(updateAppSettings({ platformPresets: next }));
+});
+
+handleIpc('presets-export', async () => {
+  const { presets } = getPresetState();
+  if (presets.length === 0) {
+    return { success: false, error: 'There are no presets to export' };
+  }
+  
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Download Presets',
+    defaultPath: path.join(os.homedir(), 'puyt-presets.json'),
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { success: false, canceled: true };
+  }
+  
+  try {
+    fs.writeFileSync(result.filePath, serializePresets(presets), 'utf8');
+    return { success: true, filePath: result.filePath, count: presets.length };
+  } catch (error) {
+    return { success: false, error: `Failed to export presets: ${error.message}` };
+  }
+});
+
+handleIpc('presets-import', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Download Presets',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { success: false, canceled: true };
+  }
+  
+  try {
+    const imported = parsePresetFile(fs.readFileSync(result.filePaths[0], 'utf8'));
+    // Presets with the same name as an existing one replace it
+    const presets = imported.reduce((list, preset) => upsertPreset(list, preset), getPresetState().presets);
+    return { success: true, count: imported.length, ...getPresetState(updateAppSettings({ downloadPresets: presets })) };
+  } catch (error) {
+    return { success: false, error: `Failed to import presets: ${error.message}` };
+  }
+});
+
+handleIpc('select-download-path', async () => {
   try {
     const result = await dialog.showOpenDialog(mainWindow, {
       properties: ['openDirectory'],
@@ -1680,12 +3037,12 @@ function getVersionInfo() {
 }
 
 // Get app version
-ipcMain.handle('get-app-version', async () => {
+handleIpc('get-app-version', async () => {
   return getVersionInfo();
 });
 
 // Check for updates
-ipcMain.handle('check-for-updates', async (event, channel = 'stable') => {
+handleIpc('check-for-updates', async (event, channel = 'stable') => {
   if (isCheckingForUpdates) {
     throw new Error('Update check already in progress');
   }
@@ -1730,7 +3087,7 @@ ipcMain.handle('check-for-updates', async (event, channel = 'stable') => {
 });
 
 // Download update
-ipcMain.handle('download-update', async (event) => {
+handleIpc('download-update', async (event) => {
   if (!updateInfo) {
     throw new Error('No update available to download');
   }
@@ -1776,7 +3133,7 @@ ipcMain.handle('download-update', async (event) => {
 });
 
 // Install update
-ipcMain.handle('install-update', async (event) => {
+handleIpc('install-update', async (event) => {
   if (!updateInfo || !updateInfo.localPath) {
     throw new Error('No update downloaded');
   }
@@ -1822,6 +3179,7 @@ async function fetchGitHubReleases(channel) {
     };
     
     const options = {
+      ...getRequestOptions(loadAppSettings().network),
       hostname: 'api.github.com',
       path: `/repos/${REPO_OWNER}/${REPO_NAME}/releases`,
       method: 'GET',
@@ -1992,6 +3350,7 @@ async function downloadFile(url, outputPath, onProgress, options = {}) {
       console.log(`🔄 Download attempt ${attempt}/${maxRetries + 1} for ${url}`);
 
       const requestOptions = {
+        ...getRequestOptions(loadAppSettings().network),
         timeout: timeout,
         headers: {}
       };
@@ -2189,13 +3548,14 @@ async function downloadYtDlpDirectly(event) {
       event.sender.send('ytdlp-install-progress', `Downloading from: ${downloadUrl}`);
     }
     
-    https.get(downloadUrl, (response) => {
+    const requestOptions = getRequestOptions(loadAppSettings().network);
+    https.get(downloadUrl, requestOptions, (response) => {
       if (response.statusCode === 302 || response.statusCode === 301) {
         if (event) {
           event.sender.send('ytdlp-install-progress', 'Following redirect...');
         }
         // Handle redirect
-        https.get(response.headers.location, (redirectResponse) => {
+        https.get(response.headers.location, requestOptions, (redirectResponse) => {
           const totalSize = parseInt(redirectResponse.headers['content-length'], 10);
           let downloadedSize = 0;
           
@@ -2658,11 +4018,11 @@ async function performAutoUpdateCheck() {
 
 
 // IPC handlers for automatic update settings
-ipcMain.handle('get-auto-update-settings', () => {
+handleIpc('get-auto-update-settings', () => {
   return autoUpdateSettings;
 });
 
-ipcMain.handle('set-auto-update-settings', (event, settings) => {
+handleIpc('set-auto-update-settings', (event, settings) => {
   const oldEnabled = autoUpdateSettings.enabled;
   const oldInterval = autoUpdateSettings.interval;
   
@@ -2680,7 +4040,7 @@ ipcMain.handle('set-auto-update-settings', (event, settings) => {
   return autoUpdateSettings;
 });
 
-ipcMain.handle('trigger-manual-update-check', async (event, channel) => {
+handleIpc('trigger-manual-update-check', async (event, channel) => {
   // This is for manual checks triggered by user, not silent
   const originalSilent = autoUpdateSettings.silent;
   autoUpdateSettings.silent = false;
@@ -1,97 +1,75 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webFrame } = require('electron');
 
-// Expose protected methods that allow the renderer process to use
-// the ipcRenderer without exposing the entire object
-contextBridge.exposeInMainWorld('electronAPI', {
-  getVideoInfo: (url) => ipcRenderer.invoke('get-video-info', url),
-  downloadVideo: (options) => ipcRenderer.invoke('download-video', options),
-  selectDownloadFolder: () => ipcRenderer.invoke('select-download-folder'),
-  openFolder: (folderPath) => ipcRenderer.invoke('open-folder', folderPath),
-  checkYtDlp: () => ipcRenderer.invoke('check-ytdlp'),
-  installYtDlp: () => ipcRenderer.invoke('install-ytdlp'),
-  updateYtDlp: () => ipcRenderer.invoke('update-ytdlp'),
-  restartApp: () => ipcRenderer.invoke('restart-app'),
-  
-  // Settings-related APIs
-  checkYtDlpStatus: () => ipcRenderer.invoke('check-ytdlp-status'),
-  getSettings: () => ipcRenderer.invoke('get-settings'),
-  saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
-  selectDownloadPath: () => ipcRenderer.invoke('select-download-path'),
-  validatePath: (path) => ipcRenderer.invoke('validate-path', path),
-  getHomeDirectory: () => ipcRenderer.invoke('get-home-directory'),
-  selectCookieFile: () => ipcRenderer.invoke('select-cookie-file'),
-  
-  // Update system APIs
-  getAppVersion: () => ipcRenderer.invoke('get-app-version'),
-  checkForUpdates: (channel) => ipcRenderer.invoke('check-for-updates', channel),
-  downloadUpdate: () => ipcRenderer.invoke('download-update'),
-  installUpdate: () => ipcRenderer.invoke('install-update'),
-  
-  // Automatic update APIs
-  getAutoUpdateSettings: () => ipcRenderer.invoke('get-auto-update-settings'),
-  setAutoUpdateSettings: (settings) => ipcRenderer.invoke('set-auto-update-settings', settings),
-  triggerManualUpdateCheck: (channel) => ipcRenderer.invoke('trigger-manual-update-check', channel),
-  
-  // Dependency Management APIs
-  checkDependencies: () => ipcRenderer.invoke('check-dependencies'),
-  installYtDlpNew: () => ipcRenderer.invoke('install-ytdlp'),
-  installFfmpeg: () => ipcRenderer.invoke('install-ffmpeg'),
-  getInstallationInstructions: () => ipcRenderer.invoke('get-installation-instructions'),
-  selectInstallationDirectory: () => ipcRenderer.invoke('select-installation-directory'),
-  
-  // Event listeners
-  onDownloadProgress: (callback) => {
-    ipcRenderer.on('download-progress', (event, data) => callback(data));
-  },
-  onDownloadError: (callback) => {
-    ipcRenderer.on('download-error', (event, data) => callback(data));
-  },
-  onYtDlpInstallProgress: (callback) => {
-    ipcRenderer.on('ytdlp-install-progress', (event, data) => callback(data));
-  },
-  onDownloadComplete: (callback) => {
-    ipcRenderer.on('download-complete', (event, data) => callback(data));
-  },
-  
-  // Update event listeners
-  onUpdateAvailable: (callback) => {
-    ipcRenderer.on('update-available', (event, data) => callback(data));
-  },
-  onUpdateNotAvailable: (callback) => {
-    ipcRenderer.on('update-not-available', (event, data) => callback(data));
-  },
-  onUpdateDownloadProgress: (callback) => {
-    ipcRenderer.on('update-download-progress', (event, data) => callback(data));
-  },
-  onUpdateDownloaded: (callback) => {
-    ipcRenderer.on('update-downloaded', (event, data) => callback(data));
-  },
-  onUpdateError: (callback) => {
-    ipcRenderer.on('update-error', (event, data) => callback(data));
-  },
-  onAutoUpdateNotification: (callback) => {
-    ipcRenderer.on('auto-update-notification', (event, data) => callback(data));
-  },
-  onInstallationProgress: (callback) => {
-    ipcRenderer.on('installation-progress', (event, data) => callback(data));
-  },
-  
-  // Remove listeners
-  removeAllListeners: (channel) => {
+// The preload runs sandboxed, so it cannot require scripts/ipc-contract.js;
+// the main process hands over the channel list instead and validates every request
+const contract = ipcRenderer.sendSync('ipc-contract');
+const eventChannels = new Set(Object.values(contract.events));
+
+// Listeners on channels outside the contract are ignored, with a warning in development
+const isEventChannel = (channel) => {
+  if (eventChannels.has(channel)) return true;
+  if (contract.isDev) {
+    console.warn(`⚠️ IPC channel "${channel}" is not an event channel of the IPC contract (scripts/ipc-contract.js); available: ${Array.from(eventChannels).join(', ')}`);
+  }
+  return false;
+};
+
+const api = { ipcVersion: contract.version };
+
+Object.entries(contract.invoke).forEach(([method, channel]) => {
+  api[method] = (...args) => ipcRenderer.invoke(channel, ...args);
+});
+
+// Listeners return an unsubscribe function so several views can listen at once
+Object.entries(contract.events).forEach(([method, channel]) => {
+  api[method] = (callback) => {
+    const listener = (event, data) => callback(data);
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+  };
+});
+
+// Remove listeners
+api.removeAllListeners = (channel) => {
+  if (isEventChannel(channel)) {
     ipcRenderer.removeAllListeners(channel);
-  },
-  
-  // Generic event listener management
-  on: (channel, callback) => {
+  }
+};
+
+// Generic event listener management
+api.on = (channel, callback) => {
+  if (isEventChannel(channel)) {
     ipcRenderer.on(channel, callback);
-  },
-  off: (channel, callback) => {
+  }
+};
+api.off = (channel, callback) => {
+  if (isEventChannel(channel)) {
     ipcRenderer.off(channel, callback);
   }
-});
+};
+
+// Expose protected methods that allow the renderer process to use
+// the ipcRenderer without exposing the entire object
+if (contract.isDev) {
+  // contextBridge copies objects, so the warning Proxy for methods missing from the contract
+  // is created in the page itself, around the copy
+  contextBridge.exposeInMainWorld('__puytElectronAPI', api);
+  webFrame.executeJavaScript(`
+    window.electronAPI = new Proxy(window.__puytElectronAPI, {
+      get(api, key) {
+        if (typeof key === 'string' && key !== 'then' && !(key in api)) {
+          console.warn('⚠️ electronAPI.' + key + ' is not in the IPC contract (scripts/ipc-contract.js); available: ' + Object.keys(api).join(', '));
+        }
+        return api[key];
+      }
+    });
+  `);
+} else {
+  contextBridge.exposeInMainWorld('electronAPI', api);
+}
 
 // Expose a limited API for window controls if needed
 contextBridge.exposeInMainWorld('windowAPI', {
   platform: process.platform,
   versions: process.versions
-});
\ No newline at end of file
+});
@@ -0,0 +1,126 @@
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const net = require('net');
+const { AutomationServer, normalizeAutomationSettings, DEFAULT_PORT } = require('../automation-server');
+
+const TOKEN = 'test-token-0123456789abcdef';
+const jobs = [];
+let server;
+let port;
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port: freePort } = probe.address();
+      probe.close(() => resolve(freePort));
+    });
+  });
+}
+
+function request(method, route, { body, token = TOKEN, host = `127.0.0.1:${port}` } = {}) {
+  return new Promise((resolve, reject) => {
+    const headers = { Host: host };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const req = http.request({ host: '127.0.0.1', port, method, path: route, headers }, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+before(async () => {
+  mock.method(console, 'log', () => {});
+  port = await getFreePort();
+  server = new AutomationServer({
+    getStatus: () => ({ version: 'test' }),
+    analyze: async (url) => {
+      if (url.includes('broken')) throw new Error('Unsupported URL');
+      return { title: 'Video' };
+    },
+    listPresets: () => [],
+    enqueue: async (request) => {
+      if (request.preset === 'missing') throw new Error('Preset "missing" not found');
+      const job = { id: `job-${jobs.length + 1}`, url: request.url, status: 'queued' };
+      jobs.push(job);
+      return job;
+    },
+    listJobs: () => jobs,
+    getJob: id => jobs.find(job => job.id === id) || null,
+    cancelJob: () => {
+      throw new Error('Only queued jobs can be cancelled');
+    }
+  });
+  await server.start({ port, token: TOKEN });
+});
+
+after(async () => {
+  await server.stop();
+  mock.restoreAll();
+});
+
+test('validates the settings', () => {
+  assert.deepStrictEqual(normalizeAutomationSettings({}), { enabled: false, port: DEFAULT_PORT, token: '' });
+  assert.deepStrictEqual(normalizeAutomationSettings({ enabled: true, port: '8080', token: ` ${TOKEN} ` }), { enabled: true, port: 8080, token: TOKEN });
+  assert.throws(() => normalizeAutomationSettings({ port: 80 }), /between 1024 and 65535/);
+  assert.throws(() => normalizeAutomationSettings({ port: 8080.5 }), /whole number/);
+  assert.throws(() => normalizeAutomationSettings({ enabled: true, token: 'short' }), /24–128/);
+  assert.throws(() => normalizeAutomationSettings({ enabled: true, token: `${TOKEN} $(id)` }), /24–128/);
+});
+
+test('requires the token, as a header or a query parameter', async () => {
+  assert.strictEqual((await request('GET', '/api/v1/status', { token: null })).status, 401);
+  assert.strictEqual((await request('GET', '/api/v1/status', { token: `${TOKEN}x` })).status, 401);
+  assert.strictEqual((await request('GET', '/api/v1/status', { token: TOKEN.slice(0, -1) })).status, 401);
+
+  const ok = await request('GET', '/api/v1/status');
+  assert.strictEqual(ok.status, 200);
+  assert.deepStrictEqual(ok.body, { version: 'test' });
+  assert.strictEqual((await request('GET', `/api/v1/status?token=${TOKEN}`, { token: null })).status, 200);
+});
+
+test('only answers requests addressed to localhost', async () => {
+  assert.strictEqual((await request('GET', '/api/v1/status', { host: `localhost:${port}` })).status, 200);
+  // A rebound DNS name or another port means the request did not come from a local client
+  assert.strictEqual((await request('GET', '/api/v1/status', { host: `evil.example:${port}` })).status, 403);
+  assert.strictEqual((await request('GET', '/api/v1/status', { host: '127.0.0.1' })).status, 403);
+  assert.strictEqual((await request('GET', '/api/v1/status', { host: `localhost.evil.example:${port}` })).status, 403);
+});
+
+test('queues downloads with typed options only', async () => {
+  const created = await request('POST', '/api/v1/downloads', { body: { url: ' https://example.com/v ', options: { quality: '720' } } });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.url, 'https://example.com/v');
+
+  const withArgs = await request('POST', '/api/v1/downloads', { body: { url: 'https://example.com/v', options: { customArgs: '--exec id' } } });
+  assert.strictEqual(withArgs.status, 400);
+  assert.match(withArgs.body.error, /customArgs/);
+  assert.strictEqual((await request('POST', '/api/v1/downloads', { body: { url: 'https://example.com/v', customArgs: '--exec id' } })).status, 400);
+
+  assert.strictEqual((await request('POST', '/api/v1/downloads', { body: {} })).status, 400);
+  assert.strictEqual((await request('POST', '/api/v1/downloads', { body: '[1, 2]' })).status, 400);
+  assert.strictEqual((await request('POST', '/api/v1/downloads', { body: '{nope' })).status, 400);
+  assert.strictEqual((await request('POST', '/api/v1/downloads', { body: { url: 'u', preset: 'missing' } })).status, 400);
+  assert.strictEqual(jobs.length, 1);
+});
+
+test('maps handler errors and unknown routes to status codes', async () => {
+  assert.strictEqual((await request('POST', '/api/v1/analyze', { body: { url: 'https://broken.example' } })).status, 422);
+  assert.strictEqual((await request('GET', '/api/v1/downloads/job-1')).status, 200);
+  assert.strictEqual((await request('GET', '/api/v1/downloads/job-9')).status, 404);
+  assert.strictEqual((await request('POST', '/api/v1/downloads/job-1/cancel')).status, 409);
+  assert.strictEqual((await request('DELETE', '/api/v1/downloads')).status, 405);
+  assert.strictEqual((await request('GET', '/api/v1/unknown')).status, 404);
+  assert.strictEqual((await request('GET', '/other')).status, 404);
+});
+
+test('cannot be started twice', async () => {
+  await assert.rejects(server.start({ port, token: TOKEN }), /already running/);
+});
@@ -0,0 +1,90 @@
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const {
+  BandwidthScheduler,
+  normalizeSchedule,
+  getScheduledRate,
+  getNextUnlimitedTime,
+  parseRate,
+  formatRate
+} = require('../bandwidth-scheduler');
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+// Local times; 2024-01-15 is a Monday
+const at = (day, time) => new Date(`2024-01-${day}T${time}:00`);
+
+const schedule = normalizeSchedule({
+  enabled: true,
+  windows: [
+    { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5], rateLimit: '1m' },
+    { start: '22:00', end: '06:00', days: [0], rateLimit: '200K' }
+  ]
+});
+
+test('parses and formats yt-dlp rates', () => {
+  assert.strictEqual(parseRate('500K'), 500 * 1024);
+  assert.strictEqual(parseRate('1.5m'), 1.5 * 1024 * 1024);
+  assert.strictEqual(parseRate('2048'), 2048);
+  assert.strictEqual(parseRate(''), null);
+  assert.throws(() => parseRate('fast'), /Invalid bandwidth/);
+
+  assert.strictEqual(formatRate(1536 * 1024), '1536K');
+  assert.strictEqual(formatRate(10), '1K');
+});
+
+test('validates windows', () => {
+  assert.deepStrictEqual(normalizeSchedule({}), { enabled: false, windows: [] });
+  assert.throws(() => normalizeSchedule({ windows: [{ start: '9:00', end: '18:00', rateLimit: '1M' }] }), /start and end times/);
+  assert.throws(() => normalizeSchedule({ windows: [{ start: '09:00', end: '09:00', rateLimit: '1M' }] }), /is empty/);
+  assert.throws(() => normalizeSchedule({ windows: [{ start: '09:00', end: '18:00' }] }), /Set a bandwidth limit/);
+
+  const [window] = normalizeSchedule({ windows: [{ start: '09:00', end: '18:00', rateLimit: '1m', days: [] }] }).windows;
+  assert.deepStrictEqual(window.days, [0, 1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(window.rateLimit, '1M');
+});
+
+test('applies the cap only inside a window on its days', () => {
+  assert.strictEqual(getScheduledRate(schedule, at(15, '10:00')), 1024 * 1024);
+  assert.strictEqual(getScheduledRate(schedule, at(15, '18:00')), null);
+  assert.strictEqual(getScheduledRate(schedule, at(20, '10:00')), null); // Saturday
+  assert.strictEqual(getScheduledRate({ ...schedule, enabled: false }, at(15, '10:00')), null);
+});
+
+test('a window crossing midnight belongs to the day it starts on', () => {
+  assert.strictEqual(getScheduledRate(schedule, at(14, '23:00')), 200 * 1024); // Sunday night
+  assert.strictEqual(getScheduledRate(schedule, at(15, '05:59')), 200 * 1024); // ...into Monday
+  assert.strictEqual(getScheduledRate(schedule, at(15, '06:00')), null);
+  assert.strictEqual(getScheduledRate(schedule, at(15, '23:00')), null); // Monday night
+});
+
+test('finds the next minute without a cap', () => {
+  assert.deepStrictEqual(getNextUnlimitedTime(schedule, at(15, '10:30')), at(15, '18:00'));
+
+  const free = at(15, '07:00');
+  assert.strictEqual(getNextUnlimitedTime(schedule, free), free);
+
+  const always = normalizeSchedule({ enabled: true, windows: [{ start: '00:00', end: '23:59', rateLimit: '1M' }, { start: '23:59', end: '00:00', rateLimit: '1M' }] });
+  assert.strictEqual(getNextUnlimitedTime(always, at(15, '10:00')), null);
+});
+
+test('the scheduler reports only changes of the cap', () => {
+  mock.method(console, 'log', () => {});
+  let current = { enabled: false, windows: [] };
+  const changes = [];
+  const scheduler = new BandwidthScheduler({
+    getSchedule: () => current,
+    onRateChange: (rate, previous) => changes.push([rate, previous])
+  });
+
+  scheduler.check();
+  current = normalizeSchedule({ enabled: true, windows: [{ start: '00:00', end: '23:59', rateLimit: '1K' }, { start: '23:59', end: '00:00', rateLimit: '1K' }] });
+  scheduler.check();
+  scheduler.check();
+  current = { enabled: false, windows: [] };
+  scheduler.check();
+
+  assert.deepStrictEqual(changes, [[1024, null], [null, 1024]]);
+});
@@ -0,0 +1,57 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DownloadArchive = require('../download-archive');
+
+let tempDir;
+let storagePath;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'puyt-archive-'));
+  storagePath = path.join(tempDir, 'archive.txt');
+  mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('keys use yt-dlp\'s "<extractor> <id>" format', () => {
+  assert.strictEqual(DownloadArchive.makeKey('Youtube', 'dQw4w9WgXcQ'), 'youtube dQw4w9WgXcQ');
+  assert.strictEqual(DownloadArchive.makeKey('youtube', null), null);
+  assert.strictEqual(DownloadArchive.makeKey(null, 'abc'), null);
+});
+
+test('appends each key once, one per line', () => {
+  const archive = new DownloadArchive({ storagePath });
+
+  assert.strictEqual(archive.add('youtube a'), true);
+  assert.strictEqual(archive.add('youtube a'), false);
+  assert.strictEqual(archive.add('vimeo 1'), true);
+  assert.strictEqual(archive.add(null), false);
+
+  assert.strictEqual(fs.readFileSync(storagePath, 'utf8'), 'youtube a\nvimeo 1\n');
+});
+
+test('loads files written by yt-dlp, including CRLF line endings', () => {
+  fs.writeFileSync(storagePath, 'youtube a\r\n\r\nvimeo 1\r\n');
+  const archive = new DownloadArchive({ storagePath });
+
+  assert.ok(archive.has('youtube a'));
+  assert.ok(archive.has('vimeo 1'));
+  assert.ok(!archive.has(''));
+  assert.strictEqual(archive.keys.size, 2);
+});
+
+test('removing a key rewrites the file without it', () => {
+  const archive = new DownloadArchive({ storagePath });
+  archive.add('youtube a');
+  archive.add('youtube b');
+
+  assert.strictEqual(archive.remove('youtube a'), true);
+  assert.strictEqual(archive.remove('youtube a'), false);
+  assert.strictEqual(fs.readFileSync(storagePath, 'utf8'), 'youtube b\n');
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { upsertPreset, serializePresets, parsePresetFile } = require('../download-presets');
+
+test('presets only keep known download parameters', () => {
+  const [preset] = upsertPreset([], { name: '  Audio  ', parameters: { extractAudio: true, url: 'https://example.com', startTime: '0:10' } });
+
+  assert.strictEqual(preset.name, 'Audio');
+  assert.deepStrictEqual(preset.parameters, { extractAudio: true });
+  assert.throws(() => upsertPreset([], { name: ' ' }), /need a name/);
+});
+
+test('a preset with the same name replaces the existing one', () => {
+  const presets = upsertPreset([], { name: 'Audio', parameters: { audioFormat: 'mp3' } });
+  const updated = upsertPreset(presets, { name: 'audio', parameters: { audioFormat: 'flac' } });
+
+  assert.strictEqual(updated.length, 1);
+  assert.strictEqual(updated[0].id, presets[0].id);
+  assert.deepStrictEqual(updated[0].parameters, { audioFormat: 'flac' });
+});
+
+test('imports exported files and bare arrays with fresh ids', () => {
+  const presets = upsertPreset([], { name: 'HD', parameters: { quality: '1080' } });
+  const [imported] = parsePresetFile(serializePresets(presets));
+
+  assert.strictEqual(imported.name, 'HD');
+  assert.deepStrictEqual(imported.parameters, { quality: '1080' });
+  assert.notStrictEqual(imported.id, presets[0].id);
+  assert.strictEqual(parsePresetFile('[{"name": "Plain"}]')[0].name, 'Plain');
+});
+
+test('imported presets never carry custom yt-dlp arguments', () => {
+  const file = JSON.stringify([{ name: 'Shared', parameters: { quality: '720', customArgs: '--exec "rm -rf ~"' } }]);
+
+  assert.deepStrictEqual(parsePresetFile(file)[0].parameters, { quality: '720' });
+});
+
+test('refuses files that are not presets', () => {
+  assert.throws(() => parsePresetFile('not json'), /not valid JSON/);
+  assert.throws(() => parsePresetFile('{"type": "other"}'), /No presets found/);
+});
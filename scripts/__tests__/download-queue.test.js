@@ -0,0 +1,180 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DownloadQueue = require('../download-queue');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'puyt-queue-'));
+  // The queue logs every state change
+  ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// A runner whose jobs finish only when the test says so
+function createFakeRunner() {
+  const runs = new Map();
+  const runJob = (job, control) => new Promise((resolve, reject) => {
+    runs.set(job.url, { job, control, resolve, reject });
+  });
+  return { runs, runJob };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+function createQueue(options = {}) {
+  return new DownloadQueue({ storagePath: path.join(tempDir, 'queue.json'), ...options });
+}
+
+test('runs no more jobs at once than the concurrency allows', async () => {
+  const { runs, runJob } = createFakeRunner();
+  const queue = createQueue({ runJob, concurrency: 2 });
+  queue.start();
+
+  ['a', 'b', 'c'].forEach(url => queue.add({ url }));
+  await tick();
+  assert.deepStrictEqual([...runs.keys()], ['a', 'b']);
+
+  runs.get('a').resolve({ files: [] });
+  await tick();
+  assert.deepStrictEqual([...runs.keys()], ['a', 'b', 'c']);
+});
+
+test('waitFor resolves with the result and rejects with the error', async () => {
+  const { runs, runJob } = createFakeRunner();
+  const queue = createQueue({ runJob });
+  queue.start();
+
+  const ok = queue.add({ url: 'ok' });
+  const bad = queue.add({ url: 'bad' });
+  await tick();
+  runs.get('ok').resolve({ file: 'video.mp4' });
+  runs.get('bad').reject(new Error('HTTP 403'));
+
+  assert.deepStrictEqual(await queue.waitFor(ok.id), { file: 'video.mp4' });
+  await assert.rejects(queue.waitFor(bad.id), /HTTP 403/);
+  assert.strictEqual(queue.get(bad.id).status, 'failed');
+});
+
+test('cancelling a running job stops it and cleans up its files', async () => {
+  const { runs, runJob } = createFakeRunner();
+  const cancelled = [];
+  const queue = createQueue({ runJob, onCancelled: job => cancelled.push(job.id) });
+  queue.start();
+
+  const job = queue.add({ url: 'a' });
+  await tick();
+  const waiting = queue.waitFor(job.id);
+  queue.cancel(job.id);
+
+  await assert.rejects(waiting, /cancelled/);
+  assert.strictEqual(runs.get('a').control.reason, 'cancel');
+  assert.strictEqual(queue.get(job.id).status, 'cancelled');
+  await tick();
+  assert.deepStrictEqual(cancelled, [job.id]);
+});
+
+test('a paused job keeps its waiters until it is resumed and finishes', async () => {
+  const { runs, runJob } = createFakeRunner();
+  const queue = createQueue({ runJob });
+  queue.start();
+
+  const job = queue.add({ url: 'a' });
+  await tick();
+  const waiting = queue.waitFor(job.id);
+  queue.pause(job.id);
+  await tick();
+  assert.strictEqual(queue.get(job.id).status, 'paused');
+
+  queue.resume(job.id);
+  await tick();
+  runs.get('a').resolve('done');
+  assert.strictEqual(await waiting, 'done');
+});
+
+test('a large batch does not take every slot from a single download', async () => {
+  const { runs, runJob } = createFakeRunner();
+  const queue = createQueue({ runJob, concurrency: 2 });
+
+  ['b1', 'b2', 'b3'].forEach((url, index) => queue.add({ url }, { batchId: 'batch', batchIndex: index + 1 }));
+  queue.add({ url: 'single' });
+  queue.start();
+  await tick();
+
+  assert.deepStrictEqual([...runs.keys()], ['b1', 'single']);
+});
+
+test('scheduled jobs wait until their start time', async () => {
+  const { runs, runJob } = createFakeRunner();
+  const queue = createQueue({ runJob });
+  queue.start();
+
+  const later = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const job = queue.add({ url: 'later' }, { startAt: later });
+  await tick();
+  assert.strictEqual(runs.size, 0);
+
+  queue.schedule(job.id, null);
+  await tick();
+  assert.ok(runs.has('later'));
+});
+
+test('restores interrupted jobs as queued and leaves progress out of the saved file', async () => {
+  const { runJob } = createFakeRunner();
+  const queue = createQueue({ runJob });
+  queue.start();
+
+  const job = queue.add({ url: 'a' });
+  await tick();
+  queue.updateProgress(job.id, { percent: 42 });
+  assert.strictEqual(queue.get(job.id).progress.percent, 42);
+
+  const saved = JSON.parse(fs.readFileSync(path.join(tempDir, 'queue.json'), 'utf8'));
+  assert.strictEqual(saved.jobs[0].status, 'running');
+  assert.ok(!('progress' in saved.jobs[0]));
+
+  const restored = createQueue({ runJob });
+  assert.strictEqual(restored.get(job.id).status, 'queued');
+});
+
+test('rejects jobs without a URL and clamps the concurrency', () => {
+  const queue = createQueue({ runJob: () => {} });
+
+  assert.throws(() => queue.add({}), /URL is required/);
+  assert.strictEqual(queue.setConcurrency(50), 8);
+  assert.strictEqual(queue.setConcurrency('nope'), 2);
+});
+
+test('a job whose runner stops its own process on an error frees its slot', async () => {
+  const started = [];
+  // Like downloadVideo: a fatal stderr line kills the process, and the close settles the job
+  const runJob = job => new Promise((resolve, reject) => {
+    const child = new EventEmitter();
+    child.kill = () => setImmediate(() => child.emit('close', null));
+    child.on('stderr', (line) => {
+      if (line.startsWith('ERROR:')) child.kill();
+    });
+    child.on('close', code => (code === 0 ? resolve('done') : reject(new Error(`yt-dlp exited with ${code}`))));
+    started.push({ url: job.url, child });
+  });
+  const queue = createQueue({ runJob, concurrency: 1 });
+  queue.start();
+
+  const first = queue.add({ url: 'a' });
+  queue.add({ url: 'b' });
+  await tick();
+  started[0].child.emit('stderr', 'ERROR: nsig extraction failed');
+
+  await assert.rejects(queue.waitFor(first.id), /exited with null/);
+  await tick();
+  assert.deepStrictEqual(started.map(run => run.url), ['a', 'b']);
+  assert.strictEqual(queue.get(first.id).status, 'failed');
+});
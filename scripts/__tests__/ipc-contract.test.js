@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  IPC_VERSION,
+  INVOKE_API,
+  EVENT_API,
+  isInvokeChannel,
+  isEventChannel,
+  validateInvokeArgs,
+  checkEventPayload,
+  getChannelMap
+} = require('../ipc-contract');
+
+test('channels are either requests or events, never both', () => {
+  Object.values(INVOKE_API).forEach(({ channel }) => assert.ok(!isEventChannel(channel), channel));
+  Object.values(EVENT_API).forEach(({ channel }) => assert.ok(!isInvokeChannel(channel), channel));
+  assert.ok(!isInvokeChannel('toString'));
+  assert.ok(!isEventChannel('__proto__'));
+});
+
+test('accepts requests that match the contract', () => {
+  assert.doesNotThrow(() => validateInvokeArgs('get-video-info', ['https://example.com']));
+  assert.doesNotThrow(() => validateInvokeArgs('get-video-info', ['https://example.com', { requestId: 'a' }]));
+  assert.doesNotThrow(() => validateInvokeArgs('download-video', [{ url: 'u', outputPath: '/tmp', extra: 1 }]));
+  assert.doesNotThrow(() => validateInvokeArgs('validate-path', [null]));
+  assert.doesNotThrow(() => validateInvokeArgs('check-ytdlp'));
+});
+
+test('rejects unknown channels, extra arguments and wrong types', () => {
+  assert.throws(() => validateInvokeArgs('run-shell', []), /Unknown IPC channel "run-shell"/);
+  assert.throws(() => validateInvokeArgs('check-ytdlp', ['x']), /at most 0 argument/);
+  assert.throws(() => validateInvokeArgs('open-folder', []), /argument 1 is required/);
+  assert.throws(() => validateInvokeArgs('open-folder', [42]), /argument 1 must be a string, got number/);
+  assert.throws(() => validateInvokeArgs('save-settings', [[]]), /argument 1 must be an object, got array/);
+  assert.throws(() => validateInvokeArgs('download-video', [{ url: 'u' }]), /argument 1\.outputPath is required/);
+  assert.throws(() => validateInvokeArgs('download-batch', [{ videos: {}, outputPath: '/tmp' }]), /argument 1\.videos must be an array/);
+});
+
+test('checks event payloads', () => {
+  assert.strictEqual(checkEventPayload('queue-updated', { id: 'a', status: 'queued' }), null);
+  assert.strictEqual(checkEventPayload('update-not-available', undefined), null);
+  assert.match(checkEventPayload('queue-updated', { status: 'queued' }), /payload\.id is required/);
+  assert.match(checkEventPayload('ytdlp-install-progress', {}), /must be a string/);
+  assert.match(checkEventPayload('nope', {}), /Unknown IPC channel/);
+});
+
+test('the channel map for the preload mirrors the contract', () => {
+  const map = getChannelMap();
+
+  assert.strictEqual(map.version, IPC_VERSION);
+  assert.strictEqual(map.invoke.getVideoInfo, 'get-video-info');
+  assert.strictEqual(map.events.onQueueUpdated, 'queue-updated');
+  assert.strictEqual(Object.keys(map.invoke).length, Object.keys(INVOKE_API).length);
+  assert.strictEqual(Object.keys(map.events).length, Object.keys(EVENT_API).length);
+  // Sent through sendSync, so it has to survive structured cloning
+  assert.deepStrictEqual(structuredClone(map), map);
+});
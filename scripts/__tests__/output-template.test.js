@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_OUTPUT_TEMPLATE,
+  SAMPLE_TEMPLATE_INFO,
+  normalizeOutputTemplate,
+  addFilenamePrefix,
+  sanitizeSegment,
+  renderOutputTemplate
+} = require('../output-template');
+
+test('templates stay inside the download folder', () => {
+  assert.strictEqual(normalizeOutputTemplate(''), DEFAULT_OUTPUT_TEMPLATE);
+  assert.strictEqual(normalizeOutputTemplate('/etc/%(title)s'), DEFAULT_OUTPUT_TEMPLATE);
+  assert.strictEqual(normalizeOutputTemplate('C:\\Windows\\%(title)s'), DEFAULT_OUTPUT_TEMPLATE);
+  assert.strictEqual(normalizeOutputTemplate('%(uploader)s/../../%(title)s'), DEFAULT_OUTPUT_TEMPLATE);
+  assert.strictEqual(normalizeOutputTemplate('%(uploader)s\\%(title)s'), '%(uploader)s/%(title)s.%(ext)s');
+});
+
+test('the extension is added when the template does not end with it', () => {
+  assert.strictEqual(normalizeOutputTemplate('%(title)s'), '%(title)s.%(ext)s');
+  assert.strictEqual(normalizeOutputTemplate('%(title)s.%(ext)s'), '%(title)s.%(ext)s');
+});
+
+test('renders fields with precision, padding and missing values', () => {
+  const rendered = renderOutputTemplate(
+    '%(uploader)s/%(playlist_index)03d - %(title).7s [%(id)s] %(resolution)s %(upload_date)s',
+    SAMPLE_TEMPLATE_INFO,
+    { restrictFilenames: false }
+  );
+  assert.strictEqual(rendered, 'Example Channel/003 - Example [dQw4w9WgXcQ] 1920x1080 20240115.mp4');
+
+  assert.strictEqual(renderOutputTemplate('%(uploader)s/%(title)s', { title: 'a', ext: 'mp4' }), 'NA/a.mp4');
+  assert.strictEqual(renderOutputTemplate('100%% %(title)s', { title: 'a', ext: 'mp4' }), '100% a.mp4');
+});
+
+test('field values cannot add folders or invalid characters', () => {
+  const info = { title: '../AC/DC: "Live"?', ext: 'mp4' };
+
+  assert.strictEqual(renderOutputTemplate('%(title)s', info, { restrictFilenames: false }), '..-AC-DC- -Live--.mp4');
+  assert.strictEqual(renderOutputTemplate('%(title)s', info), '.._AC_DC_Live_.mp4');
+});
+
+test('restricted file names are reduced to ASCII', () => {
+  assert.strictEqual(sanitizeSegment('Café Ñandú', true), 'Cafe_Nandu');
+  assert.strictEqual(sanitizeSegment('Café Ñandú', false), 'Café Ñandú');
+});
+
+test('prefixes go in front of the file name, with "%" escaped', () => {
+  assert.strictEqual(addFilenamePrefix('%(uploader)s/%(title)s.%(ext)s', '007 - '), '%(uploader)s/007 - %(title)s.%(ext)s');
+  assert.strictEqual(addFilenamePrefix('%(title)s.%(ext)s', '50% '), '50%% %(title)s.%(ext)s');
+  assert.strictEqual(addFilenamePrefix('%(title)s.%(ext)s', ''), '%(title)s.%(ext)s');
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { getPlaylistFilterArgs, buildMatchFilter, normalizePlaylistItems } = require('../playlist-filters');
+
+test('item ranges follow the documented syntax', () => {
+  assert.strictEqual(normalizePlaylistItems(' 1-10, 15, 20- '), '1-10,15,20-');
+  assert.strictEqual(normalizePlaylistItems(''), null);
+  assert.throws(() => normalizePlaylistItems('1-10;rm -rf'), /Invalid item range/);
+  assert.throws(() => normalizePlaylistItems('-5'), /Invalid item range/);
+});
+
+test('durations and dates become "?" conditions joined with "&"', () => {
+  assert.strictEqual(
+    buildMatchFilter({ minDuration: '1.5', maxDuration: 10, dateAfter: '2024-01-15', dateBefore: '20241231' }),
+    'duration >=? 90 & duration <=? 600 & upload_date >=? 20240115 & upload_date <=? 20241231'
+  );
+  assert.strictEqual(buildMatchFilter({ minDuration: '' }), null);
+});
+
+test('invalid durations, dates and patterns are refused', () => {
+  assert.throws(() => buildMatchFilter({ minDuration: '-1' }), /Invalid minimum duration/);
+  assert.throws(() => buildMatchFilter({ maxDuration: 'ten' }), /Invalid maximum duration/);
+  assert.throws(() => buildMatchFilter({ dateAfter: '15/01/2024' }), /Invalid date/);
+  assert.throws(() => buildMatchFilter({ titleRegex: '(unclosed' }), /Invalid title pattern/);
+});
+
+test('title patterns are quoted so they cannot end the filter string early', () => {
+  assert.strictEqual(buildMatchFilter({ titleRegex: 'live' }), "title ~= '(?i)live'");
+  // A quote would close the value, and "&" would start a new condition
+  assert.strictEqual(
+    buildMatchFilter({ titleRegex: "it's Q&A" }),
+    "title ~= '(?i)it\\'s Q\\&A'"
+  );
+  assert.strictEqual(
+    buildMatchFilter({ titleRegex: "x' & duration >? 0 & title ~= 'y" }),
+    "title ~= '(?i)x\\' \\& duration >? 0 \\& title ~= \\'y'"
+  );
+});
+
+test('builds the yt-dlp arguments', () => {
+  assert.deepStrictEqual(
+    getPlaylistFilterArgs({ items: '1-3', maxDuration: 5, excludeDownloaded: true }, { archivePath: '/data/archive.txt' }),
+    ['--playlist-items', '1-3', '--match-filter', 'duration <=? 300', '--download-archive', '/data/archive.txt']
+  );
+  assert.deepStrictEqual(getPlaylistFilterArgs({ excludeDownloaded: true }), []);
+  assert.deepStrictEqual(getPlaylistFilterArgs(), []);
+});
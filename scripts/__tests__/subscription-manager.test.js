@@ -0,0 +1,58 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SubscriptionManager = require('../subscription-manager');
+
+let tempDir;
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'puyt-subscriptions-'));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+function createManager() {
+  return new SubscriptionManager({
+    storagePath: path.join(tempDir, 'subscriptions.json'),
+    checkSubscription: async () => 0
+  });
+}
+
+const channel = { url: 'https://www.youtube.com/@example', outputPath: '/downloads' };
+
+test('maxItems is a positive whole number when added and when updated', () => {
+  const manager = createManager();
+  const subscription = manager.add({ ...channel, maxItems: '10.4' });
+  assert.strictEqual(subscription.maxItems, 10);
+
+  // It ends up as yt-dlp's --playlist-end
+  ['abc', -3, 0, 'Infinity', '5 --exec x'].forEach(maxItems => {
+    assert.strictEqual(manager.update(subscription.id, { maxItems }).maxItems, 25);
+  });
+  assert.strictEqual(manager.update(subscription.id, { maxItems: '50' }).maxItems, 50);
+});
+
+test('the interval has a lower bound', () => {
+  const manager = createManager();
+  const subscription = manager.add({ ...channel, intervalMinutes: 1 });
+
+  assert.strictEqual(subscription.intervalMinutes, 15);
+  assert.strictEqual(manager.update(subscription.id, { intervalMinutes: 'soon' }).intervalMinutes, 60);
+});
+
+test('stop() also cancels the first check scheduled by start()', () => {
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  const manager = createManager();
+  const checkDue = mock.method(manager, 'checkDue');
+
+  manager.start();
+  manager.stop();
+  mock.timers.tick(60 * 1000);
+
+  assert.strictEqual(checkDue.mock.callCount(), 0);
+});
@@ -0,0 +1,126 @@
+// ID3/MP4 tags written after an audio download. yt-dlp's --embed-metadata only
+// copies what the site reports, so music needs a pass with the user's own values.
+
+const TAG_FIELDS = ['title', 'artist', 'album', 'albumArtist', 'track', 'year', 'genre'];
+
+// ffmpeg metadata keys; the muxers map them onto ID3 frames and MP4 atoms
+const FFMPEG_KEYS = {
+  title: 'title',
+  artist: 'artist',
+  album: 'album',
+  albumArtist: 'album_artist',
+  track: 'track',
+  year: 'date',
+  genre: 'genre'
+};
+
+// Containers that can hold an attached cover picture
+const COVER_ART_EXTENSIONS = ['mp3', 'm4a', 'flac'];
+const TAGGABLE_EXTENSIONS = [...COVER_ART_EXTENSIONS, 'opus', 'ogg', 'wav'];
+
+const COVER_SIZE = 600;
+
+// Noise that uploaders add to music video titles
+const TITLE_NOISE = /\s*[([](official\s*(music\s*)?(video|audio|lyric\s*video|visualizer)|lyrics?(\s*video)?|audio|hd|hq|4k|video\s*oficial)[)\]]/gi;
+const ARTIST_SEPARATOR = /\s+[-–—]\s+/;
+
+// Split "Artist - Title (Official Video)" into its parts
+function parseArtistTitle(title) {
+  const cleaned = String(title || '').replace(TITLE_NOISE, '').trim();
+  const parts = cleaned.split(ARTIST_SEPARATOR);
+  if (parts.length < 2 || !parts[0]) {
+    return null;
+  }
+
+  return {
+    artist: parts[0].trim(),
+    title: parts.slice(1).join(' - ').trim()
+  };
+}
+
+// Pre-fill tags from yt-dlp's info JSON; music sites report track/artist/album directly
+function getDefaultTags(info = {}) {
+  const uploadYear = info.upload_date ? String(info.upload_date).substring(0, 4) : '';
+
+  return {
+    title: info.track || info.title || '',
+    artist: info.artist || info.creator || info.uploader || '',
+    album: info.album || '',
+    albumArtist: info.album_artist || '',
+    track: info.track_number ? String(info.track_number) : '',
+    year: info.release_year ? String(info.release_year) : uploadYear,
+    genre: info.genre || ''
+  };
+}
+
+function normalizeTags(tags = {}) {
+  return TAG_FIELDS.reduce((normalized, field) => {
+    const value = String(tags[field] === undefined || tags[field] === null ? '' : tags[field]).trim();
+    if (value) {
+      normalized[field] = value.substring(0, 250);
+    }
+    return normalized;
+  }, {});
+}
+
+function getExtension(filePath) {
+  return String(filePath).split('.').pop().toLowerCase();
+}
+
+function canTagFile(filePath) {
+  return TAGGABLE_EXTENSIONS.includes(getExtension(filePath));
+}
+
+function supportsCoverArt(filePath) {
+  return COVER_ART_EXTENSIONS.includes(getExtension(filePath));
+}
+
+// ffmpeg arguments that copy the audio stream and rewrite its tags. The cover is
+// cropped to a centered square and scaled, since players expect square album art;
+// `coverInputArgs` are input options (e.g. a proxy) for fetching the cover.
+function getTaggingArgs(inputPath, outputPath, tags, { coverUrl = null, coverInputArgs = [] } = {}) {
+  const withCover = Boolean(coverUrl) && supportsCoverArt(inputPath);
+  const args = ['-hide_banner', '-loglevel', 'error', '-i', inputPath];
+
+  if (withCover) {
+    // The new cover replaces any picture already embedded (e.g. by --embed-thumbnail)
+    args.push(
+      ...coverInputArgs,
+      '-i', coverUrl,
+      '-map', '0:a',
+      '-c:a', 'copy',
+      '-map_metadata', '0',
+      '-map', '1:v',
+      '-c:v', 'mjpeg',
+      '-vf', `crop='min(iw,ih)':'min(iw,ih)',scale=${COVER_SIZE}:${COVER_SIZE}`,
+      '-frames:v', '1',
+      '-disposition:v', 'attached_pic',
+      '-metadata:s:v', 'title=Album cover',
+      '-metadata:s:v', 'comment=Cover (front)'
+    );
+  } else {
+    args.push('-map', '0', '-c', 'copy', '-map_metadata', '0');
+  }
+
+  Object.entries(normalizeTags(tags)).forEach(([field, value]) => {
+    args.push('-metadata', `${FFMPEG_KEYS[field]}=${value}`);
+  });
+
+  if (getExtension(inputPath) === 'mp3') {
+    // ID3v2.3 is what most players and car stereos read
+    args.push('-id3v2_version', '3');
+  }
+
+  args.push('-y', outputPath);
+  return args;
+}
+
+module.exports = {
+  TAG_FIELDS,
+  parseArtistTitle,
+  getDefaultTags,
+  normalizeTags,
+  canTagFile,
+  supportsCoverArt,
+  getTaggingArgs
+};
@@ -0,0 +1,128 @@
+// Audio extraction settings shared by the yt-dlp path (--extract-audio) and the
+// ffmpeg fallback, so both produce the same file for the same choices.
+
+// Mirrors yt-dlp's FFmpegExtractAudioPP: file extension and ffmpeg encoder per format
+const AUDIO_FORMATS = {
+  mp3: { ext: 'mp3', codec: 'libmp3lame', lossless: false },
+  aac: { ext: 'm4a', codec: 'aac', lossless: false },
+  m4a: { ext: 'm4a', codec: 'aac', lossless: false },
+  opus: { ext: 'opus', codec: 'libopus', lossless: false },
+  vorbis: { ext: 'ogg', codec: 'libvorbis', lossless: false },
+  flac: { ext: 'flac', codec: 'flac', lossless: true },
+  alac: { ext: 'm4a', codec: 'alac', lossless: true },
+  wav: { ext: 'wav', codec: 'pcm_s16le', lossless: true }
+};
+
+const DEFAULT_AUDIO_QUALITY = '0';
+
+// audioQuality is a yt-dlp --audio-quality value: a VBR level from 0 (best) to 9, or a bitrate like "192K"
+const VBR_PATTERN = /^\d$/;
+const BITRATE_PATTERN = /^(\d{2,3})k$/i;
+
+// Bitrates used where an encoder has no VBR scale comparable to LAME's
+const VBR_BITRATES = ['320k', '256k', '224k', '192k', '160k', '128k', '112k', '96k', '80k', '64k'];
+
+const SAMPLE_RATES = ['22050', '44100', '48000', '96000'];
+
+function getAudioFormat(format) {
+  return AUDIO_FORMATS[format] || AUDIO_FORMATS.mp3;
+}
+
+function getAudioExtension(format) {
+  return getAudioFormat(format).ext;
+}
+
+function normalizeAudioQuality(value) {
+  const quality = String(value === undefined || value === null || value === '' ? DEFAULT_AUDIO_QUALITY : value).trim();
+  if (VBR_PATTERN.test(quality)) {
+    return quality;
+  }
+
+  const bitrate = quality.match(BITRATE_PATTERN);
+  if (bitrate) {
+    return `${bitrate[1]}K`;
+  }
+  throw new Error(`Invalid audio quality "${value}"`);
+}
+
+// Extra ffmpeg arguments for sample rate and channel count
+function getResampleArgs({ audioSampleRate, audioChannels } = {}) {
+  const args = [];
+  if (audioSampleRate) {
+    if (!SAMPLE_RATES.includes(String(audioSampleRate))) {
+      throw new Error(`Unsupported sample rate "${audioSampleRate}"`);
+    }
+    args.push('-ar', String(audioSampleRate));
+  }
+  if (audioChannels) {
+    const channels = Number(audioChannels);
+    if (![1, 2].includes(channels)) {
+      throw new Error(`Unsupported channel count "${audioChannels}"`);
+    }
+    args.push('-ac', String(channels));
+  }
+  return args;
+}
+
+// Arguments for `yt-dlp --extract-audio`
+function getYtDlpAudioArgs(options = {}) {
+  const audioFormat = AUDIO_FORMATS[options.audioFormat] ? options.audioFormat : 'mp3';
+  const args = ['--audio-format', audioFormat];
+
+  if (!getAudioFormat(audioFormat).lossless) {
+    args.push('--audio-quality', normalizeAudioQuality(options.audioQuality));
+  }
+
+  const resampleArgs = getResampleArgs(options);
+  if (resampleArgs.length > 0) {
+    args.push('--postprocessor-args', `ExtractAudio:${resampleArgs.join(' ')}`);
+  }
+  return args;
+}
+
+// Encoder arguments for the ffmpeg fallback
+function getFfmpegAudioArgs(options = {}) {
+  const format = getAudioFormat(options.audioFormat);
+  const args = ['-c:a', format.codec];
+
+  if (!format.lossless) {
+    const quality = normalizeAudioQuality(options.audioQuality);
+    if (!VBR_PATTERN.test(quality)) {
+      args.push('-b:a', quality.toLowerCase());
+    } else if (format.codec === 'libmp3lame') {
+      args.push('-q:a', quality);
+    } else if (format.codec === 'libvorbis') {
+      // Vorbis runs the other way: 10 is best
+      args.push('-q:a', String(10 - Number(quality)));
+    } else {
+      args.push('-b:a', VBR_BITRATES[Number(quality)]);
+    }
+  }
+
+  return [...args, ...getResampleArgs(options)];
+}
+
+// Short label such as "MP3 192K" or "FLAC" for history and logs
+function describeAudioOptions(options = {}) {
+  const audioFormat = AUDIO_FORMATS[options.audioFormat] ? options.audioFormat : 'mp3';
+  const parts = [audioFormat.toUpperCase()];
+
+  if (!getAudioFormat(audioFormat).lossless && options.audioQuality && options.audioQuality !== DEFAULT_AUDIO_QUALITY) {
+    parts.push(VBR_PATTERN.test(options.audioQuality) ? `V${options.audioQuality}` : options.audioQuality.toUpperCase());
+  }
+  if (options.audioSampleRate) {
+    parts.push(`${Number(options.audioSampleRate) / 1000} kHz`);
+  }
+  if (Number(options.audioChannels) === 1) {
+    parts.push('mono');
+  }
+  return parts.join(' ');
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  getAudioExtension,
+  getYtDlpAudioArgs,
+  getFfmpegAudioArgs,
+  describeAudioOptions
+};
@@ -0,0 +1,290 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// Opt-in HTTP API on localhost so other tools can script downloads (Settings → Network).
+// Every request needs the token from the settings, either as "Authorization: Bearer <token>"
+// or, for EventSource clients that cannot set headers, as "?token=<token>".
+//
+//   GET    /api/v1/status                  app version and queue counts
+//   POST   /api/v1/analyze                 { url, playlistFilters? } → video or playlist info
+//   GET    /api/v1/presets                 saved download presets
+//   GET    /api/v1/downloads               every queued, running and finished job
+//   POST   /api/v1/downloads               { url, preset?, outputPath?, options?, title?, startAt? } → job
+//                                          (options are typed download options; free-form yt-dlp
+//                                          arguments such as "customArgs" are refused with 400)
+//   GET    /api/v1/downloads/:id           one job
+//   POST   /api/v1/downloads/:id/cancel    cancel a queued, running or paused job
+//   GET    /api/v1/events                  Server-Sent Events: "job" on every queue change (?job=:id for one job)
+const API_PREFIX = '/api/v1';
+const DEFAULT_PORT = 7789;
+const MAX_BODY_SIZE = 1024 * 1024;
+const KEEP_ALIVE_INTERVAL = 15 * 1000;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{24,128}$/;
+// Passed to yt-dlp as-is, so a client could run commands through --exec
+const FREE_FORM_FIELDS = ['customArgs'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Validate settings.automationApi; throws with a message fit for the Settings page
+function normalizeAutomationSettings(automation = {}) {
+  const port = automation.port === undefined || automation.port === null || automation.port === ''
+    ? DEFAULT_PORT
+    : Number(automation.port);
+  if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+    throw new Error('The automation API port must be a whole number between 1024 and 65535');
+  }
+
+  const token = String(automation.token || '').trim();
+  if (automation.enabled && !TOKEN_PATTERN.test(token)) {
+    throw new Error('The automation API token must be 24–128 letters, digits, "-" or "_"');
+  }
+
+  return { enabled: Boolean(automation.enabled), port, token };
+}
+
+// Throws a 400 when a download request carries raw yt-dlp arguments
+function checkDownloadRequest(body) {
+  const options = body.options && typeof body.options === 'object' ? body.options : {};
+  const field = FREE_FORM_FIELDS.find(name => name in body || name in options);
+  if (field) {
+    throw httpError(400, `"${field}" is not accepted by the automation API; use typed options or a saved preset`);
+  }
+}
+
+function tokensMatch(expected, received) {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(received || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(httpError(413, 'Request body is too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!body.trim()) {
+        resolve({});
+        return;
+      }
+      try {
+        const parsed = JSON.parse(body);
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+          throw new Error('not an object');
+        }
+        resolve(parsed);
+      } catch (error) {
+        reject(httpError(400, 'Request body must be a JSON object'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Cache-Control': 'no-store'
+  });
+  res.end(JSON.stringify(data));
+}
+
+// Serves the API with the app's own functions:
+// getStatus(), analyze(url, options), listPresets(), enqueue(request),
+// listJobs(), getJob(id) and cancelJob(id)
+class AutomationServer {
+  constructor(handlers) {
+    this.handlers = handlers;
+    this.server = null;
+    this.config = null;
+    this.clients = new Set(); // { res, jobId }
+    this.keepAliveTimer = null;
+  }
+
+  get running() {
+    return Boolean(this.server && this.server.listening);
+  }
+
+  // Resolves once listening on 127.0.0.1; rejects when the port cannot be used
+  start({ port, token }) {
+    if (this.server) {
+      return Promise.reject(new Error('The automation API is already running'));
+    }
+
+    this.config = { port, token };
+    const server = http.createServer((req, res) => this.handleRequest(req, res));
+    this.server = server;
+
+    return new Promise((resolve, reject) => {
+      server.once('error', (error) => {
+        this.server = null;
+        reject(error.code === 'EADDRINUSE'
+          ? new Error(`Port ${port} is already in use; pick another port for the automation API`)
+          : error);
+      });
+      server.listen(port, '127.0.0.1', () => {
+        this.keepAliveTimer = setInterval(() => this.keepAlive(), KEEP_ALIVE_INTERVAL);
+        console.log(`🤖 Automation API listening on http://127.0.0.1:${port}${API_PREFIX}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    clearInterval(this.keepAliveTimer);
+    this.keepAliveTimer = null;
+    this.clients.forEach(({ res }) => res.end());
+    this.clients.clear();
+
+    return new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => {
+        console.log('🤖 Automation API stopped');
+        resolve();
+      });
+    });
+  }
+
+  // Push an event to every connected /events client
+  broadcast(event, data) {
+    this.clients.forEach((client) => {
+      if (client.jobId && data && data.id !== client.jobId) return;
+      client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+  }
+
+  keepAlive() {
+    this.clients.forEach(({ res }) => res.write(': keep-alive\n\n'));
+  }
+
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, `http://127.0.0.1:${this.config.port}`);
+      this.checkAccess(req, url);
+
+      if (!url.pathname.startsWith(`${API_PREFIX}/`)) {
+        throw httpError(404, 'Not found');
+      }
+      const route = url.pathname.slice(API_PREFIX.length).replace(/\/+$/, '');
+
+      if (route === '/events' && req.method === 'GET') {
+        this.openEventStream(req, res, url.searchParams.get('job'));
+        return;
+      }
+
+      const { status = 200, data } = await this.route(req, route);
+      sendJson(res, status, data);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        console.error('Automation API error:', error);
+      }
+      sendJson(res, status, { error: error.message });
+    }
+  }
+
+  // Only this machine, addressed as localhost (which also rules out DNS rebinding), with the token
+  checkAccess(req, url) {
+    const allowedHosts = [`127.0.0.1:${this.config.port}`, `localhost:${this.config.port}`];
+    if (!allowedHosts.includes(String(req.headers.host || '').toLowerCase())) {
+      throw httpError(403, 'The automation API only answers requests to localhost');
+    }
+
+    const header = String(req.headers.authorization || '');
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : url.searchParams.get('token');
+    if (!tokensMatch(this.config.token, token)) {
+      throw httpError(401, 'Missing or invalid token');
+    }
+  }
+
+  async route(req, route) {
+    const { handlers } = this;
+    const jobMatch = route.match(/^\/downloads\/([\w-]+)(\/cancel)?$/);
+
+    if (route === '/status' && req.method === 'GET') {
+      return { data: handlers.getStatus() };
+    }
+    if (route === '/analyze' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      if (typeof body.url !== 'string' || !body.url.trim()) {
+        throw httpError(400, '"url" is required');
+      }
+      try {
+        return { data: await handlers.analyze(body.url.trim(), { playlistFilters: body.playlistFilters || null }) };
+      } catch (error) {
+        throw httpError(422, error.message);
+      }
+    }
+    if (route === '/presets' && req.method === 'GET') {
+      return { data: handlers.listPresets() };
+    }
+    if (route === '/downloads' && req.method === 'GET') {
+      return { data: handlers.listJobs() };
+    }
+    if (route === '/downloads' && req.method === 'POST') {
+      const body = await readJsonBody(req);
+      if (typeof body.url !== 'string' || !body.url.trim()) {
+        throw httpError(400, '"url" is required');
+      }
+      checkDownloadRequest(body);
+      try {
+        return { status: 201, data: await handlers.enqueue({ ...body, url: body.url.trim() }) };
+      } catch (error) {
+        throw httpError(400, error.message);
+      }
+    }
+    if (jobMatch) {
+      const job = handlers.getJob(jobMatch[1]);
+      if (!job) {
+        throw httpError(404, `Job ${jobMatch[1]} not found`);
+      }
+      if (!jobMatch[2] && req.method === 'GET') {
+        return { data: job };
+      }
+      if (jobMatch[2] && req.method === 'POST') {
+        try {
+          return { data: handlers.cancelJob(job.id) };
+        } catch (error) {
+          throw httpError(409, error.message);
+        }
+      }
+    }
+
+    const known = ['/status', '/analyze', '/presets', '/downloads'].includes(route) || jobMatch;
+    throw known ? httpError(405, `${req.method} is not supported here`) : httpError(404, 'Not found');
+  }
+
+  openEventStream(req, res, jobId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive'
+    });
+    res.write('retry: 3000\n\n');
+
+    const client = { res, jobId };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+
+    // Start with the current state so a client never misses a job that finished before it connected
+    this.handlers.listJobs()
+      .filter(job => !jobId || job.id === jobId)
+      .forEach(job => res.write(`event: job\ndata: ${JSON.stringify(job)}\n\n`));
+  }
+}
+
+module.exports = {
+  AutomationServer,
+  normalizeAutomationSettings,
+  DEFAULT_PORT
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+// Bandwidth windows such as "09:00–18:00 on weekdays at 1M". Outside every window
+// downloads are unlimited (or limited by the rate in the network settings).
+const CHECK_INTERVAL = 30 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const RATE_PATTERN = /^(\d+(?:\.\d+)?)([KMG]?)$/i;
+const RATE_UNITS = { '': 1, K: 1024, M: 1024 * 1024, G: 1024 * 1024 * 1024 };
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6]; // Date#getDay(): Sunday is 0
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = time.match(TIME_PATTERN);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+// Bytes per second for a yt-dlp rate like "1.5M"; null when unlimited
+function parseRate(rate) {
+  if (rate === undefined || rate === null || String(rate).trim() === '') return null;
+
+  const match = String(rate).trim().match(RATE_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid bandwidth "${rate}"; use bytes per second like 500K or 1M`);
+  }
+  return Math.round(Number(match[1]) * RATE_UNITS[match[2].toUpperCase()]);
+}
+
+// Back to yt-dlp's notation, rounded down to whole KiB
+function formatRate(bytesPerSecond) {
+  return `${Math.max(1, Math.floor(bytesPerSecond / 1024))}K`;
+}
+
+function normalizeWindow(window = {}) {
+  const start = String(window.start || '').trim();
+  const end = String(window.end || '').trim();
+  if (!TIME_PATTERN.test(start) || !TIME_PATTERN.test(end)) {
+    throw new Error('Bandwidth windows need start and end times like 09:00');
+  }
+  if (start === end) {
+    throw new Error(`The window ${start}–${end} is empty`);
+  }
+
+  const days = Array.isArray(window.days) && window.days.length > 0
+    ? ALL_DAYS.filter(day => window.days.map(Number).includes(day))
+    : ALL_DAYS;
+  const rateLimit = String(window.rateLimit || '').trim().toUpperCase();
+  if (!rateLimit) {
+    throw new Error(`Set a bandwidth limit for ${start}–${end}`);
+  }
+  parseRate(rateLimit);
+
+  return { id: window.id || crypto.randomUUID(), start, end, days, rateLimit };
+}
+
+// Validate settings.bandwidthSchedule; throws with a message fit for the Settings page
+function normalizeSchedule(schedule = {}) {
+  return {
+    enabled: Boolean(schedule.enabled),
+    windows: (Array.isArray(schedule.windows) ? schedule.windows : []).map(normalizeWindow)
+  };
+}
+
+// A window that crosses midnight (22:00–06:00) belongs to the day it starts on
+function isWindowActive(window, date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(window.start);
+  const end = toMinutes(window.end);
+
+  if (start < end) {
+    return window.days.includes(date.getDay()) && minutes >= start && minutes < end;
+  }
+  const previousDay = (date.getDay() + 6) % 7;
+  return (window.days.includes(date.getDay()) && minutes >= start) ||
+    (window.days.includes(previousDay) && minutes < end);
+}
+
+// Lowest cap among the windows open at `date`, in bytes per second
+function getScheduledRate(schedule, date = new Date()) {
+  if (!schedule || !schedule.enabled) return null;
+
+  const rates = schedule.windows
+    .filter(window => isWindowActive(window, date))
+    .map(window => parseRate(window.rateLimit));
+  return rates.length > 0 ? Math.min(...rates) : null;
+}
+
+// First minute after `date` when no window caps bandwidth; null if that never happens in a week
+function getNextUnlimitedTime(schedule, date = new Date()) {
+  if (getScheduledRate(schedule, date) === null) return date;
+
+  const candidate = new Date(date);
+  candidate.setSeconds(0, 0);
+  for (let step = 0; step < 7 * 24 * 60; step++) {
+    candidate.setMinutes(candidate.getMinutes() + 1);
+    if (getScheduledRate(schedule, candidate) === null) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Polls the schedule and reports when the cap changes, so running downloads
+// can be restarted with a new --limit-rate
+class BandwidthScheduler {
+  constructor({ getSchedule, onRateChange, onTick, interval = CHECK_INTERVAL }) {
+    this.getSchedule = getSchedule;
+    this.onRateChange = onRateChange;
+    this.onTick = onTick;
+    this.interval = interval;
+    this.timer = null;
+    this.currentRate = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.currentRate = this.computeRate();
+    this.timer = setInterval(() => this.check(), this.interval);
+    console.log('🚦 Bandwidth scheduler started');
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  computeRate() {
+    try {
+      return getScheduledRate(this.getSchedule());
+    } catch (error) {
+      console.warn('⚠️ Ignoring invalid bandwidth schedule:', error.message);
+      return null;
+    }
+  }
+
+  // Called on every tick and whenever the schedule is edited
+  check() {
+    const rate = this.computeRate();
+    if (rate !== this.currentRate) {
+      const previous = this.currentRate;
+      this.currentRate = rate;
+      console.log(`🚦 Bandwidth cap ${rate === null ? 'lifted' : `now ${formatRate(rate)}/s`}`);
+      this.onRateChange(rate, previous);
+    }
+
+    if (this.onTick) {
+      this.onTick();
+    }
+  }
+}
+
+module.exports = {
+  BandwidthScheduler,
+  normalizeSchedule,
+  getScheduledRate,
+  getNextUnlimitedTime,
+  parseRate,
+  formatRate
+};
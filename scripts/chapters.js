@@ -0,0 +1,70 @@
+const path = require('path');
+
+// Chapter markers from yt-dlp's info JSON, and the arguments to embed, split or
+// download a subset of them.
+
+// Files written by --split-chapters go into a folder next to the full download
+const CHAPTER_OUTPUT_TEMPLATE = '%(title).150s - chapters/%(section_number)03d %(section_title).100s.%(ext)s';
+
+// Each downloaded section gets its chapter number and title so sections don't overwrite each other
+const SECTION_SUFFIX = '%(section_number& - {:02d}|)s%(section_title& {}|)s';
+
+function normalizeChapters(chapters) {
+  if (!Array.isArray(chapters)) return [];
+
+  return chapters
+    .filter(chapter => chapter && Number.isFinite(chapter.start_time))
+    .map((chapter, index) => ({
+      index: index + 1,
+      title: chapter.title || '',
+      startTime: chapter.start_time,
+      endTime: Number.isFinite(chapter.end_time) ? chapter.end_time : null
+    }));
+}
+
+// --download-sections value for one chapter. Matching by title lets yt-dlp fill in
+// section_title/section_number; untitled chapters fall back to their time range.
+function toSection(chapter) {
+  if (chapter.title) {
+    return `^${chapter.title.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+  }
+  const end = chapter.endTime === null || chapter.endTime === undefined ? 'inf' : chapter.endTime;
+  return `*${chapter.startTime}-${end}`;
+}
+
+// Arguments for the chapter options; `chapterSections` holds the chapters picked in VideoInfo
+function getChapterArgs({ splitChapters = false, embedChapters = true, chapterSections = null } = {}, outputDir = '.') {
+  const args = [];
+
+  // --embed-metadata embeds chapters by default
+  if (!embedChapters) {
+    args.push('--no-embed-chapters');
+  }
+
+  if (splitChapters) {
+    const template = path.join(outputDir, CHAPTER_OUTPUT_TEMPLATE).replace(/\\/g, '/');
+    args.push('--split-chapters', '-o', `chapter:${template}`);
+  }
+
+  if (Array.isArray(chapterSections) && chapterSections.length > 0) {
+    chapterSections.forEach(chapter => args.push('--download-sections', toSection(chapter)));
+  }
+
+  return args;
+}
+
+function hasChapterSections(options = {}) {
+  return Array.isArray(options.chapterSections) && options.chapterSections.length > 0;
+}
+
+// Insert the section title before the extension of an output template
+function addSectionSuffix(template) {
+  return template.replace(/\.%\(ext\)s$/, `${SECTION_SUFFIX}.%(ext)s`);
+}
+
+module.exports = {
+  normalizeChapters,
+  getChapterArgs,
+  hasChapterSections,
+  addSectionSuffix
+};
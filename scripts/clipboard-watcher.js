@@ -0,0 +1,69 @@
+// Electron has no clipboard change event, so the text is polled and compared
+const POLL_INTERVAL = 1000;
+const URL_PATTERN = /https?:\/\/[^\s<>"']+/i;
+
+// Watches the clipboard for newly copied URLs that `isSupportedUrl` accepts.
+// Whatever is on the clipboard when watching starts is ignored, and the same
+// URL is only reported once until something else is copied.
+class ClipboardWatcher {
+  constructor({ readText, isSupportedUrl, onUrl, interval = POLL_INTERVAL }) {
+    this.readText = readText;
+    this.isSupportedUrl = isSupportedUrl;
+    this.onUrl = onUrl;
+    this.interval = interval;
+    this.timer = null;
+    this.lastText = null;
+  }
+
+  get running() {
+    return Boolean(this.timer);
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.lastText = this.safeRead();
+    this.timer = setInterval(() => this.poll(), this.interval);
+    console.log('📋 Clipboard monitor started');
+  }
+
+  stop() {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log('📋 Clipboard monitor stopped');
+  }
+
+  poll() {
+    const text = this.safeRead();
+    if (text === this.lastText) return;
+    this.lastText = text;
+
+    const url = extractUrl(text);
+    if (url && this.isSupportedUrl(url)) {
+      this.onUrl(url);
+    }
+  }
+
+  safeRead() {
+    try {
+      return this.readText() || '';
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+// First http(s) URL in the copied text, without trailing punctuation
+function extractUrl(text) {
+  if (!text || text.length > 2048) return null;
+
+  const match = text.trim().match(URL_PATTERN);
+  return match ? match[0].replace(/[).,;]+$/, '') : null;
+}
+
+module.exports = {
+  ClipboardWatcher,
+  extractUrl
+};
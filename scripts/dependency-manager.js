@@ -10,6 +10,12 @@ class DependencyManager {
     this.arch = os.arch();
     this.appDataPath = this.getAppDataPath();
     this.binPath = path.join(this.appDataPath, 'bin');
+    this.requestOptions = {};
+  }
+
+  // Proxy, bind address and timeout from the network settings
+  setRequestOptions(requestOptions = {}) {
+    this.requestOptions = requestOptions;
   }
 
   getAppDataPath() {
@@ -98,7 +104,7 @@ class DependencyManager {
     return new Promise((resolve, reject) => {
       const file = fs.createWriteStream(outputPath);
       
-      https.get(url, (response) => {
+      https.get(url, this.requestOptions, (response) => {
         if (response.statusCode === 302 || response.statusCode === 301) {
           // Handle redirect
           return this.downloadFile(response.headers.location, outputPath, onProgress)
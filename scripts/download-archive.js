@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+
+// Record of finished downloads in yt-dlp's --download-archive format:
+// one "<extractor> <id>" line per video, extractor key lowercased.
+// The same file can be handed to yt-dlp directly.
+class DownloadArchive {
+  constructor({ storagePath }) {
+    this.storagePath = storagePath;
+    this.keys = new Set();
+    this.load();
+  }
+
+  static makeKey(extractor, id) {
+    if (!extractor || !id) return null;
+    return `${String(extractor).toLowerCase()} ${id}`;
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storagePath)) {
+        return;
+      }
+
+      fs.readFileSync(this.storagePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean)
+        .forEach(line => this.keys.add(line));
+
+      console.log(`🗂️ Loaded download archive with ${this.keys.size} entries`);
+    } catch (error) {
+      console.error('Failed to load download archive:', error.message);
+    }
+  }
+
+  has(key) {
+    return Boolean(key) && this.keys.has(key);
+  }
+
+  add(key) {
+    if (!key || this.keys.has(key)) return false;
+
+    try {
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      // Append like yt-dlp does, so concurrent writers never lose earlier lines
+      fs.appendFileSync(this.storagePath, `${key}\n`, 'utf8');
+      this.keys.add(key);
+      return true;
+    } catch (error) {
+      console.error('Failed to update download archive:', error.message);
+      return false;
+    }
+  }
+
+  remove(key) {
+    if (!this.keys.delete(key)) return false;
+
+    try {
+      const contents = Array.from(this.keys).map(line => `${line}\n`).join('');
+      fs.writeFileSync(this.storagePath, contents, 'utf8');
+      return true;
+    } catch (error) {
+      console.error('Failed to update download archive:', error.message);
+      return false;
+    }
+  }
+}
+
+module.exports = DownloadArchive;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Oldest entries are dropped beyond this size to keep the file quick to load
+const MAX_ENTRIES = 5000;
+const SEARCH_FIELDS = ['title', 'url', 'uploader', 'format', 'fileName', 'outputPath', 'error'];
+
+class DownloadHistory {
+  constructor({ storagePath }) {
+    this.storagePath = storagePath;
+    this.entries = [];
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storagePath)) {
+        return;
+      }
+
+      const data = fs.readFileSync(this.storagePath, 'utf8');
+      if (!data.trim()) {
+        return;
+      }
+
+      const saved = JSON.parse(data);
+      this.entries = Array.isArray(saved.entries) ? saved.entries.filter(entry => entry && entry.id) : [];
+      console.log(`📚 Loaded download history with ${this.entries.length} entries`);
+    } catch (error) {
+      console.error('Failed to load download history:', error.message);
+      this.entries = [];
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, entries: this.entries }, null, 2), 'utf8');
+      fs.renameSync(tempPath, this.storagePath);
+    } catch (error) {
+      console.error('Failed to save download history:', error.message);
+    }
+  }
+
+  // Newest entries first
+  add(entry) {
+    const record = {
+      id: crypto.randomUUID(),
+      date: new Date().toISOString(),
+      ...entry
+    };
+
+    this.entries.unshift(record);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.length = MAX_ENTRIES;
+    }
+    this.save();
+    return { ...record };
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  // Every word of the query must appear in one of the searchable fields
+  list({ query = '', status = 'all' } = {}) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+
+    return this.entries
+      .filter(entry => status === 'all' || entry.status === status)
+      .filter(entry => {
+        if (terms.length === 0) return true;
+        const haystack = SEARCH_FIELDS
+          .map(field => entry[field])
+          .filter(Boolean)
+          .join(' ')
+          .toLowerCase();
+        return terms.every(term => haystack.includes(term));
+      })
+      .map(entry => ({ ...entry }));
+  }
+
+  remove(id) {
+    const before = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.id !== id);
+    if (this.entries.length !== before) {
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  clear() {
+    const count = this.entries.length;
+    this.entries = [];
+    this.save();
+    return count;
+  }
+}
+
+module.exports = DownloadHistory;
@@ -0,0 +1,77 @@
+// The options every download runs with, whether it was queued as a single video, a batch
+// item or a subscription upload. Missing values get the defaults of the single-video form.
+const DOWNLOAD_DEFAULTS = {
+  quality: 'best',
+  format: 'mp4',
+  audioFormat: 'mp3',
+  audioQuality: '0',
+  audioSampleRate: '',
+  audioChannels: '',
+  extractAudio: false,
+  integratedAudio: true,
+  downloadSubtitles: false,
+  subtitleLanguages: [],
+  includeAutoSubs: true,
+  subtitleFormat: '',
+  embedSubtitles: false,
+  embedThumbnail: false,
+  embedChapters: true,
+  splitChapters: false,
+  preferHEVC: false,
+  videoCodec: 'auto',
+  startTime: null,
+  endTime: null,
+  customArgs: ''
+};
+
+// Values that describe one particular video; a batch takes them from each item
+// instead of sharing one video's format pick, chapters or tags across all of them
+const VIDEO_FIELDS = [
+  'url',
+  'videoTitle',
+  'videoId',
+  'uploader',
+  'uploadDate',
+  'extractor',
+  'archiveKey',
+  'selectedFormatId',
+  'selectedFormatType',
+  'selectedFormatExt',
+  'chapterSections',
+  'audioTags',
+  'coverArtUrl'
+];
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+function normalizeDownloadOptions(options = {}) {
+  if (!options.url) {
+    throw new Error('A download needs a URL');
+  }
+  if (!options.outputPath) {
+    throw new Error('A download needs an output folder');
+  }
+
+  const normalized = { ...options };
+  Object.entries(DOWNLOAD_DEFAULTS).forEach(([key, value]) => {
+    if (isMissing(normalized[key])) {
+      normalized[key] = value;
+    }
+  });
+  return normalized;
+}
+
+// Shared batch parameters with one item's own values, e.g. from a playlist entry
+function getBatchItemOptions(parameters = {}, item = {}) {
+  const shared = Object.keys(parameters)
+    .filter(key => !VIDEO_FIELDS.includes(key))
+    .reduce((picked, key) => ({ ...picked, [key]: parameters[key] }), {});
+
+  return normalizeDownloadOptions({ ...shared, ...item });
+}
+
+module.exports = {
+  DOWNLOAD_DEFAULTS,
+  normalizeDownloadOptions,
+  getBatchItemOptions
+};
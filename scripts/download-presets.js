@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// Download parameters a preset remembers; per-video values such as trim times are left out
+const PRESET_FIELDS = [
+  'quality',
+  'format',
+  'audioFormat',
+  'audioQuality',
+  'audioSampleRate',
+  'audioChannels',
+  'extractAudio',
+  'integratedAudio',
+  'downloadSubtitles',
+  'subtitleLanguages',
+  'includeAutoSubs',
+  'subtitleFormat',
+  'embedSubtitles',
+  'embedThumbnail',
+  'embedChapters',
+  'splitChapters',
+  'preferHEVC',
+  'videoCodec',
+  'customArgs'
+];
+
+const MAX_NAME_LENGTH = 60;
+
+function pickPresetParameters(parameters = {}) {
+  return PRESET_FIELDS.reduce((picked, field) => {
+    if (parameters[field] !== undefined) {
+      picked[field] = parameters[field];
+    }
+    return picked;
+  }, {});
+}
+
+function normalizePreset(preset = {}) {
+  const name = String(preset.name || '').trim().substring(0, MAX_NAME_LENGTH);
+  if (!name) {
+    throw new Error('Presets need a name');
+  }
+
+  return {
+    id: preset.id || crypto.randomUUID(),
+    name,
+    parameters: pickPresetParameters(preset.parameters)
+  };
+}
+
+// Add or replace a preset; a preset with the same name is overwritten
+function upsertPreset(presets = [], preset) {
+  const normalized = normalizePreset(preset);
+  const existing = presets.find(item => item.id === normalized.id ||
+    item.name.toLowerCase() === normalized.name.toLowerCase());
+
+  if (existing) {
+    normalized.id = existing.id;
+    return presets.map(item => (item.id === existing.id ? normalized : item));
+  }
+  return [...presets, normalized];
+}
+
+function serializePresets(presets = []) {
+  return JSON.stringify({
+    type: 'puyt-presets',
+    version: 1,
+    presets: presets.map(({ name, parameters }) => ({ name, parameters }))
+  }, null, 2);
+}
+
+// Accepts an exported file, or a bare array of presets
+function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  const presets = Array.isArray(data) ? data : data && data.presets;
+  if (!Array.isArray(presets)) {
+    throw new Error('No presets found in this file');
+  }
+
+  // Imported presets always get fresh ids, and never raw yt-dlp arguments: a shared file
+  // could otherwise run commands through --exec on the next download
+  return presets.map((preset) => {
+    const { customArgs, ...parameters } = pickPresetParameters(preset && preset.parameters);
+    return normalizePreset({ name: preset && preset.name, parameters });
+  });
+}
+
+module.exports = {
+  PRESET_FIELDS,
+  pickPresetParameters,
+  normalizePreset,
+  upsertPreset,
+  serializePresets,
+  parsePresetFile
+};
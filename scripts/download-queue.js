@@ -0,0 +1,521 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Job lifecycle states
+const JOB_STATES = ['queued', 'running', 'paused', 'failed', 'cancelled', 'done'];
+const FINISHED_STATES = ['failed', 'cancelled', 'done'];
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+
+// Handle given to a running job so it can be stopped from outside
+class JobControl {
+  constructor() {
+    this.reason = null; // 'pause', 'cancel' or 'restart' once stopped
+    this.handlers = [];
+    this.stopped = new Promise((resolve, reject) => {
+      this.rejectStopped = reject;
+    });
+    // Only observed through Promise.race in execute()
+    this.stopped.catch(() => {});
+  }
+
+  get aborted() {
+    return this.reason !== null;
+  }
+
+  onAbort(handler) {
+    this.handlers.push(handler);
+  }
+
+  abort(reason) {
+    if (this.aborted) return;
+
+    this.reason = reason;
+    this.handlers.forEach(handler => {
+      try {
+        handler(reason);
+      } catch (error) {
+        console.warn('Abort handler failed:', error.message);
+      }
+    });
+    const messages = { pause: 'Download paused', restart: 'Download restarting' };
+    this.rejectStopped(new Error(messages[reason] || 'Download cancelled'));
+  }
+}
+
+class DownloadQueue {
+  constructor({ storagePath, runJob, onChange, onCancelled, onFinished, concurrency = DEFAULT_CONCURRENCY }) {
+    this.storagePath = storagePath;
+    this.runJob = runJob;
+    this.onChange = onChange;
+    this.onCancelled = onCancelled;
+    this.onFinished = onFinished;
+    this.concurrency = DownloadQueue.normalizeConcurrency(concurrency);
+    this.jobs = [];
+    this.activeJobs = new Map();
+    this.waiters = new Map();
+    this.started = false;
+    this.load();
+  }
+
+  // Restore the persisted queue, re-queueing jobs interrupted by an app exit
+  load() {
+    try {
+      if (!fs.existsSync(this.storagePath)) {
+        return;
+      }
+
+      const data = fs.readFileSync(this.storagePath, 'utf8');
+      if (!data.trim()) {
+        return;
+      }
+
+      const saved = JSON.parse(data);
+      this.jobs = (Array.isArray(saved.jobs) ? saved.jobs : [])
+        .filter(job => job && job.id && JOB_STATES.includes(job.status))
+        .map(job => job.status === 'running'
+          ? { ...job, status: 'queued', progress: null, updatedAt: new Date().toISOString() }
+          : job);
+
+      console.log(`📋 Restored download queue with ${this.jobs.length} job(s)`);
+    } catch (error) {
+      console.error('Failed to load download queue:', error.message);
+      this.jobs = [];
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      // Write to a temporary file first so a crash never leaves a truncated queue
+      const tempPath = `${this.storagePath}.tmp`;
+      // Live progress is not worth persisting; undefined fields are left out of the JSON
+      const jobs = this.jobs.map(job => ({ ...job, progress: undefined }));
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, jobs }, null, 2), 'utf8');
+      fs.renameSync(tempPath, this.storagePath);
+    } catch (error) {
+      console.error('Failed to save download queue:', error.message);
+    }
+  }
+
+  // Begin processing once the app (and its window) is ready
+  start() {
+    this.started = true;
+    this.processNext();
+  }
+
+  static normalizeConcurrency(value) {
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 1) {
+      return DEFAULT_CONCURRENCY;
+    }
+    return Math.min(parsed, MAX_CONCURRENCY);
+  }
+
+  // Takes effect immediately; lowering it lets running jobs finish rather than stopping them
+  setConcurrency(value) {
+    this.concurrency = DownloadQueue.normalizeConcurrency(value);
+    this.processNext();
+    return this.concurrency;
+  }
+
+  list() {
+    return this.jobs.map(job => ({ ...job }));
+  }
+
+  get(id) {
+    return this.jobs.find(job => job.id === id) || null;
+  }
+
+  createJob(options, meta = {}) {
+    if (!options || !options.url) {
+      throw new Error('A URL is required to queue a download');
+    }
+
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      url: options.url,
+      title: meta.title || options.videoTitle || options.url,
+      uploader: meta.uploader || null,
+      source: meta.source || 'single',
+      batchId: meta.batchId || null,
+      batchIndex: meta.batchIndex || null,
+      startAt: meta.startAt || null, // Held in the queue until then
+      options,
+      status: 'queued',
+      progress: null,
+      error: null,
+      result: null,
+      partialFiles: [],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null
+    };
+  }
+
+  add(options, meta = {}) {
+    return this.addMany([{ options, meta }])[0];
+  }
+
+  // Queue several jobs with a single write to disk
+  addMany(items) {
+    const jobs = items.map(({ options, meta }) => this.createJob(options, meta));
+
+    this.jobs.push(...jobs);
+    this.save();
+    jobs.forEach(job => this.notify(job));
+    this.processNext();
+    return jobs.map(job => ({ ...job }));
+  }
+
+  update(id, changes) {
+    const job = this.get(id);
+    if (!job) return null;
+
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    this.notify(job);
+    return job;
+  }
+
+  // Progress is high-frequency, so it is kept in memory only
+  updateProgress(id, progress) {
+    const job = this.get(id);
+    if (!job || job.status !== 'running') return;
+
+    job.progress = { ...job.progress, ...progress };
+    this.notify(job);
+  }
+
+  // Remember files a running job writes so they can be removed if it is cancelled
+  trackFile(id, filePath) {
+    const job = this.get(id);
+    if (!job || !filePath) return;
+
+    const partialFiles = job.partialFiles || [];
+    if (!partialFiles.includes(filePath)) {
+      this.update(id, { partialFiles: [...partialFiles, filePath] });
+    }
+  }
+
+  // Running jobs are stopped and later resumed from their partial files
+  pause(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+
+    if (job.status === 'running') {
+      this.activeJobs.get(id).control.abort('pause');
+      return { ...job };
+    }
+    if (job.status !== 'queued') {
+      throw new Error(`Only queued or running jobs can be paused (job is ${job.status})`);
+    }
+
+    return { ...this.update(id, { status: 'paused' }) };
+  }
+
+  cancel(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+
+    if (job.status === 'running') {
+      this.activeJobs.get(id).control.abort('cancel');
+      return { ...job };
+    }
+    if (!['queued', 'paused'].includes(job.status)) {
+      throw new Error(`Only queued, paused or running jobs can be cancelled (job is ${job.status})`);
+    }
+
+    const updated = this.update(id, {
+      status: 'cancelled',
+      error: null,
+      finishedAt: new Date().toISOString()
+    });
+    this.settleWaiters(updated);
+    this.cleanupCancelled(updated);
+    this.notifyFinished(updated);
+    return { ...updated };
+  }
+
+  retry(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      throw new Error(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+    }
+
+    const updated = { ...this.update(id, {
+      status: 'queued',
+      progress: null,
+      error: null,
+      result: null,
+      startedAt: null,
+      finishedAt: null
+    }) };
+    this.processNext();
+    return updated;
+  }
+
+  // Hold a queued or paused job until `startAt` (an ISO date), or clear the hold with null
+  schedule(id, startAt) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (!['queued', 'paused'].includes(job.status)) {
+      throw new Error(`Only queued or paused jobs can be scheduled (job is ${job.status})`);
+    }
+    if (startAt && Number.isNaN(new Date(startAt).getTime())) {
+      throw new Error(`Invalid start time "${startAt}"`);
+    }
+
+    const updated = { ...this.update(id, {
+      status: 'queued',
+      startAt: startAt ? new Date(startAt).toISOString() : null
+    }) };
+    this.processNext();
+    return updated;
+  }
+
+  // Stop running jobs and queue them again, e.g. to pick up a new bandwidth limit.
+  // They resume from their partial files like a paused job.
+  restartRunning(filter = () => true) {
+    const restarted = this.jobs.filter(job => job.status === 'running' && filter(job));
+    restarted.forEach(job => this.activeJobs.get(job.id).control.abort('restart'));
+    return restarted.length;
+  }
+
+  cleanupCancelled(job) {
+    if (!this.onCancelled) return;
+
+    Promise.resolve()
+      .then(() => this.onCancelled({ ...job }))
+      .catch(error => console.warn(`Cleanup for cancelled job ${job.id} failed:`, error.message))
+      .then(() => this.update(job.id, { partialFiles: [] }));
+  }
+
+  resume(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (job.status !== 'paused') {
+      throw new Error(`Only paused jobs can be resumed (job is ${job.status})`);
+    }
+
+    const updated = { ...this.update(id, { status: 'queued' }) };
+    this.processNext();
+    return updated;
+  }
+
+  remove(id) {
+    const job = this.get(id);
+    if (!job) {
+      throw new Error(`Job ${id} not found`);
+    }
+    if (job.status === 'running') {
+      throw new Error('Running jobs cannot be removed');
+    }
+
+    this.jobs = this.jobs.filter(item => item.id !== id);
+    this.save();
+    this.notify({ ...job, removed: true });
+
+    // A removed job will never finish, and its partial files are no longer needed
+    this.settleWaiters({ ...job, status: 'cancelled' });
+    if (job.partialFiles && job.partialFiles.length > 0) {
+      this.cleanupCancelled(job);
+    }
+    return true;
+  }
+
+  clearFinished() {
+    const finished = this.jobs.filter(job => FINISHED_STATES.includes(job.status));
+    this.jobs = this.jobs.filter(job => !FINISHED_STATES.includes(job.status));
+    this.save();
+    finished.forEach(job => this.notify({ ...job, removed: true }));
+    return finished.length;
+  }
+
+  // Resolve once the job finishes; used by handlers that still await a single download
+  waitFor(id) {
+    const job = this.get(id);
+    if (!job) {
+      return Promise.reject(new Error(`Job ${id} not found`));
+    }
+    if (job.status === 'done') {
+      return Promise.resolve(job.result);
+    }
+    if (job.status === 'failed') {
+      return Promise.reject(new Error(job.error || 'Download failed'));
+    }
+    if (job.status === 'cancelled') {
+      return Promise.reject(new Error('Download cancelled'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiters = this.waiters.get(id) || [];
+      waiters.push({ resolve, reject });
+      this.waiters.set(id, waiters);
+    });
+  }
+
+  settleWaiters(job) {
+    const waiters = this.waiters.get(job.id) || [];
+    this.waiters.delete(job.id);
+
+    waiters.forEach(({ resolve, reject }) => {
+      if (job.status === 'done') {
+        resolve(job.result);
+      } else if (job.status === 'cancelled') {
+        reject(new Error('Download cancelled'));
+      } else {
+        reject(new Error(job.error || 'Download failed'));
+      }
+    });
+  }
+
+  processNext() {
+    if (!this.started) {
+      return;
+    }
+
+    while (this.activeJobs.size < this.concurrency) {
+      const next = this.pickNext();
+      if (!next) {
+        return;
+      }
+
+      this.execute(next);
+    }
+  }
+
+  // Fair scheduling: prefer the group (batch, or a lone single download) with the
+  // fewest running jobs, so a large batch cannot occupy every slot while others wait
+  pickNext() {
+    const groupOf = job => job.batchId || job.id;
+    const runningPerGroup = new Map();
+
+    this.jobs
+      .filter(job => job.status === 'running')
+      .forEach(job => {
+        const group = groupOf(job);
+        runningPerGroup.set(group, (runningPerGroup.get(group) || 0) + 1);
+      });
+
+    let best = null;
+    let bestRunning = Infinity;
+
+    // Jobs are kept in insertion order, so the first match per load level is the oldest
+    const now = Date.now();
+    for (const job of this.jobs) {
+      if (job.status !== 'queued') continue;
+      if (job.startAt && new Date(job.startAt).getTime() > now) continue;
+
+      const running = runningPerGroup.get(groupOf(job)) || 0;
+      if (running < bestRunning) {
+        best = job;
+        bestRunning = running;
+      }
+      if (bestRunning === 0) break;
+    }
+
+    return best;
+  }
+
+  async execute(job) {
+    // Register the slot before any notification so re-entrant processNext calls see it.
+    // Racing against the control means a stuck process can never hold a slot after a stop.
+    const control = new JobControl();
+    const run = Promise.race([
+      Promise.resolve().then(() => this.runJob(job, control)),
+      control.stopped
+    ]);
+    this.activeJobs.set(job.id, { run, control });
+
+    this.update(job.id, {
+      status: 'running',
+      progress: null,
+      error: null,
+      startedAt: new Date().toISOString()
+    });
+
+    try {
+      const result = await run;
+      this.update(job.id, {
+        status: 'done',
+        result: result || null,
+        partialFiles: [],
+        finishedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      if (control.reason === 'pause') {
+        console.log(`⏸️ Paused download ${job.id}`);
+        this.update(job.id, { status: 'paused', progress: null });
+      } else if (control.reason === 'restart') {
+        console.log(`🔄 Restarting download ${job.id}`);
+        this.update(job.id, { status: 'queued', progress: null });
+      } else if (control.reason === 'cancel') {
+        console.log(`⏹️ Cancelled download ${job.id}`);
+        this.update(job.id, {
+          status: 'cancelled',
+          progress: null,
+          finishedAt: new Date().toISOString()
+        });
+        this.cleanupCancelled(job);
+      } else {
+        console.error(`❌ Queued download ${job.id} failed:`, error.message);
+        this.update(job.id, {
+          status: 'failed',
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        });
+      }
+    } finally {
+      this.activeJobs.delete(job.id);
+      // Paused and restarted jobs keep their waiters until they finish
+      if (FINISHED_STATES.includes(job.status)) {
+        this.settleWaiters(job);
+        this.notifyFinished(job);
+      }
+      this.processNext();
+    }
+  }
+
+  notifyFinished(job) {
+    if (this.onFinished) {
+      try {
+        this.onFinished({ ...job });
+      } catch (error) {
+        console.warn('Download queue finish listener failed:', error.message);
+      }
+    }
+  }
+
+  notify(job) {
+    if (this.onChange) {
+      try {
+        this.onChange({ ...job });
+      } catch (error) {
+        console.warn('Download queue listener failed:', error.message);
+      }
+    }
+  }
+}
+
+DownloadQueue.JOB_STATES = JOB_STATES;
+
+module.exports = DownloadQueue;
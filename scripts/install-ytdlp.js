@@ -5,7 +5,9 @@ const { execSync, spawn } = require('child_process');
 const os = require('os');
 
 class YtDlpInstaller {
-  constructor() {
+  // requestOptions carry the proxy, bind address and timeout from the network settings
+  constructor({ requestOptions = {} } = {}) {
+    this.requestOptions = requestOptions;
     this.platform = os.platform();
     this.arch = os.arch();
     this.appDataPath = this.getAppDataPath();
@@ -56,10 +58,10 @@ class YtDlpInstaller {
       
       const file = fs.createWriteStream(this.executablePath);
       
-      https.get(url, (response) => {
+      https.get(url, this.requestOptions, (response) => {
         if (response.statusCode === 302 || response.statusCode === 301) {
           // Handle redirect
-          return https.get(response.headers.location, (redirectResponse) => {
+          return https.get(response.headers.location, this.requestOptions, (redirectResponse) => {
             this.handleDownloadResponse(redirectResponse, file, onProgress, resolve, reject);
           }).on('error', reject);
         }
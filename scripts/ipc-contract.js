@@ -0,0 +1,192 @@
+// The IPC contract between the renderer (through preload.js) and the main process:
+// every channel, the window.electronAPI method that uses it and the shape of its payload.
+// electron.js validates what it receives against it and hands the channel list to the
+// sandboxed preload.js, which builds electronAPI from it, so the two sides cannot drift apart.
+//
+// Bump IPC_VERSION when a channel is removed or its arguments change incompatibly.
+const IPC_VERSION = 1;
+
+// Schemas are a type name ('string', 'number', 'boolean', 'object', 'array' or 'any'),
+// with a trailing '?' when null/undefined is allowed, or an object describing the
+// fields an object must have. Fields not listed are not checked.
+const DOWNLOAD_OPTIONS = { url: 'string', outputPath: 'string' };
+const BATCH_OPTIONS = { videos: 'array', outputPath: 'string', downloadOptions: 'object?' };
+
+// Renderer → main requests (ipcRenderer.invoke / ipcMain.handle)
+const INVOKE_API = {
+  getVideoInfo: { channel: 'get-video-info', args: ['string', 'object?'] },
+  downloadVideo: { channel: 'download-video', args: [DOWNLOAD_OPTIONS] },
+  downloadBatch: { channel: 'download-batch', args: [BATCH_OPTIONS] },
+  selectDownloadFolder: { channel: 'select-download-folder', args: [] },
+  openFolder: { channel: 'open-folder', args: ['string'] },
+  checkYtDlp: { channel: 'check-ytdlp', args: [] },
+  installYtDlp: { channel: 'install-ytdlp', args: [] },
+  updateYtDlp: { channel: 'update-ytdlp', args: [] },
+  restartApp: { channel: 'restart-app', args: [] },
+  getIpcVersion: { channel: 'get-ipc-version', args: [] },
+
+  // Settings
+  checkYtDlpStatus: { channel: 'check-ytdlp-status', args: [] },
+  getSettings: { channel: 'get-settings', args: [] },
+  saveSettings: { channel: 'save-settings', args: ['object'] },
+  selectDownloadPath: { channel: 'select-download-path', args: [] },
+  validatePath: { channel: 'validate-path', args: ['string?'] },
+  getHomeDirectory: { channel: 'get-home-directory', args: [] },
+  selectCookieFile: { channel: 'select-cookie-file', args: [] },
+  previewOutputTemplate: { channel: 'preview-output-template', args: ['object?'] },
+
+  // Download presets
+  getPresets: { channel: 'presets-list', args: [] },
+  savePreset: { channel: 'presets-save', args: [{ name: 'string', parameters: 'object?' }] },
+  deletePreset: { channel: 'presets-delete', args: ['string'] },
+  setPlatformPreset: { channel: 'presets-set-platform-default', args: ['string', 'string?'] },
+  exportPresets: { channel: 'presets-export', args: [] },
+  importPresets: { channel: 'presets-import', args: [] },
+
+  // Download queue
+  enqueueDownload: { channel: 'queue-add', args: [DOWNLOAD_OPTIONS, 'object?'] },
+  enqueueBatch: { channel: 'queue-add-batch', args: [BATCH_OPTIONS] },
+  getDownloadQueue: { channel: 'queue-list', args: [] },
+  pauseDownload: { channel: 'queue-pause', args: ['string'] },
+  resumeDownload: { channel: 'queue-resume', args: ['string'] },
+  cancelDownload: { channel: 'queue-cancel', args: ['string'] },
+  retryDownload: { channel: 'queue-retry', args: ['string'] },
+  removeDownload: { channel: 'queue-remove', args: ['string'] },
+  clearFinishedDownloads: { channel: 'queue-clear-finished', args: [] },
+  scheduleDownload: { channel: 'queue-schedule', args: ['string', 'string?'] },
+  getBandwidthStatus: { channel: 'bandwidth-status', args: [] },
+  getAutomationStatus: { channel: 'automation-status', args: [] },
+
+  // Download history
+  getDownloadHistory: { channel: 'history-list', args: ['object?'] },
+  removeHistoryEntry: { channel: 'history-remove', args: ['string'] },
+  clearDownloadHistory: { channel: 'history-clear', args: [] },
+  redownloadFromHistory: { channel: 'history-redownload', args: ['string'] },
+
+  // Subscriptions and clipboard
+  getSubscriptions: { channel: 'subscriptions-list', args: [] },
+  addSubscription: { channel: 'subscriptions-add', args: [{ url: 'string', outputPath: 'string' }] },
+  updateSubscription: { channel: 'subscriptions-update', args: ['string', 'object'] },
+  removeSubscription: { channel: 'subscriptions-remove', args: ['string'] },
+  checkSubscription: { channel: 'subscriptions-check', args: ['string?'] },
+  quickDownloadUrl: { channel: 'clipboard-quick-download', args: ['string'] },
+  openFile: { channel: 'open-file', args: ['string'] },
+  showItemInFolder: { channel: 'show-item-in-folder', args: ['string'] },
+
+  // Updates
+  getAppVersion: { channel: 'get-app-version', args: [] },
+  checkForUpdates: { channel: 'check-for-updates', args: ['string?'] },
+  downloadUpdate: { channel: 'download-update', args: [] },
+  installUpdate: { channel: 'install-update', args: [] },
+  getAutoUpdateSettings: { channel: 'get-auto-update-settings', args: [] },
+  setAutoUpdateSettings: { channel: 'set-auto-update-settings', args: ['object'] },
+  triggerManualUpdateCheck: { channel: 'trigger-manual-update-check', args: ['string?'] },
+
+  // Dependencies
+  checkDependencies: { channel: 'check-dependencies', args: [] },
+  installYtDlpNew: { channel: 'install-ytdlp', args: [] },
+  installFfmpeg: { channel: 'install-ffmpeg', args: [] },
+  getInstallationInstructions: { channel: 'get-installation-instructions', args: [] },
+  selectInstallationDirectory: { channel: 'select-installation-directory', args: [] }
+};
+
+// Main → renderer events (webContents.send / ipcRenderer.on)
+const EVENT_API = {
+  onDownloadProgress: { channel: 'download-progress', payload: 'object' },
+  onDownloadError: { channel: 'download-error', payload: 'object' },
+  onDownloadComplete: { channel: 'download-complete', payload: 'object' },
+  onYtDlpInstallProgress: { channel: 'ytdlp-install-progress', payload: 'string' },
+  onInstallationProgress: { channel: 'installation-progress', payload: { message: 'string' } },
+  onBatchDownloadProgress: { channel: 'batch-download-progress', payload: { batchId: 'string', total: 'number', completed: 'number' } },
+  onBatchDownloadError: { channel: 'batch-download-error', payload: { batchId: 'string', error: 'string' } },
+  onVideoInfoProgress: { channel: 'video-info-progress', payload: 'object' },
+
+  onUpdateAvailable: { channel: 'update-available', payload: 'object' },
+  onUpdateNotAvailable: { channel: 'update-not-available', payload: 'any' },
+  onUpdateDownloadProgress: { channel: 'update-download-progress', payload: 'object' },
+  onUpdateDownloaded: { channel: 'update-downloaded', payload: 'object' },
+  onUpdateError: { channel: 'update-error', payload: { message: 'string' } },
+  onAutoUpdateNotification: { channel: 'auto-update-notification', payload: 'object' },
+  onNavigateToSettings: { channel: 'navigate-to-settings', payload: 'any' },
+
+  onQueueUpdated: { channel: 'queue-updated', payload: { id: 'string' } },
+  onHistoryUpdated: { channel: 'history-updated', payload: 'object' },
+  onSubscriptionsUpdated: { channel: 'subscriptions-updated', payload: 'object' },
+  onClipboardUrl: { channel: 'clipboard-url-detected', payload: { url: 'string' } }
+};
+
+const INVOKE_SCHEMAS = Object.values(INVOKE_API).reduce((schemas, { channel, args }) => ({ ...schemas, [channel]: args }), {});
+const EVENT_SCHEMAS = Object.values(EVENT_API).reduce((schemas, { channel, payload }) => ({ ...schemas, [channel]: payload }), {});
+
+const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+// First problem with `value`, or null when it matches
+function checkValue(schema, value, label) {
+  if (typeof schema === 'string') {
+    const type = schema.replace(/\?$/, '');
+    if (value === undefined || value === null) {
+      return schema.endsWith('?') || type === 'any' ? null : `${label} is required`;
+    }
+    if (type === 'any' || typeOf(value) === type) {
+      return null;
+    }
+    return `${label} must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}, got ${typeOf(value)}`;
+  }
+
+  if (typeOf(value) !== 'object') {
+    return `${label} must be an object, got ${typeOf(value)}`;
+  }
+  for (const [field, fieldSchema] of Object.entries(schema)) {
+    const problem = checkValue(fieldSchema, value[field], `${label}.${field}`);
+    if (problem) return problem;
+  }
+  return null;
+}
+
+const isInvokeChannel = (channel) => Object.prototype.hasOwnProperty.call(INVOKE_SCHEMAS, channel);
+const isEventChannel = (channel) => Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, channel);
+const isKnownChannel = (channel) => isInvokeChannel(channel) || isEventChannel(channel);
+
+// Throws when a request's arguments do not match the contract
+function validateInvokeArgs(channel, args = []) {
+  if (!isInvokeChannel(channel)) {
+    throw new Error(`Unknown IPC channel "${channel}"`);
+  }
+
+  const schemas = INVOKE_SCHEMAS[channel];
+  if (args.length > schemas.length) {
+    throw new Error(`Invalid request to "${channel}": expected at most ${schemas.length} argument(s), got ${args.length}`);
+  }
+  schemas.forEach((schema, index) => {
+    const problem = checkValue(schema, args[index], `argument ${index + 1}`);
+    if (problem) {
+      throw new Error(`Invalid request to "${channel}": ${problem}`);
+    }
+  });
+}
+
+// Method → channel names for the preload, which runs sandboxed and cannot require this file
+function getChannelMap() {
+  const channels = (api) => Object.entries(api).reduce((map, [method, { channel }]) => ({ ...map, [method]: channel }), {});
+  return { version: IPC_VERSION, invoke: channels(INVOKE_API), events: channels(EVENT_API) };
+}
+
+// Problem with an event payload, or null; events are only checked in development
+function checkEventPayload(channel, payload) {
+  if (!isEventChannel(channel)) {
+    return `Unknown IPC channel "${channel}"`;
+  }
+  return checkValue(EVENT_SCHEMAS[channel], payload, 'payload');
+}
+
+module.exports = {
+  IPC_VERSION,
+  INVOKE_API,
+  EVENT_API,
+  isInvokeChannel,
+  isEventChannel,
+  isKnownChannel,
+  validateInvokeArgs,
+  checkEventPayload,
+  getChannelMap
+};
@@ -0,0 +1,276 @@
+const net = require('net');
+const tls = require('tls');
+const http = require('http');
+const https = require('https');
+
+// Network settings (Settings → Network), stored as settings.network. Empty values
+// leave yt-dlp's and ffmpeg's own defaults in place.
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+const RATE_LIMIT_PATTERN = /^\d+(\.\d+)?[KMG]?$/i;
+const DEFAULT_REQUEST_TIMEOUT = 30000;
+
+function parseProxy(proxy) {
+  let url;
+  try {
+    url = new URL(proxy);
+  } catch (error) {
+    throw new Error(`Invalid proxy "${proxy}"; use e.g. http://host:8080 or socks5://host:1080`);
+  }
+  if (!PROXY_PROTOCOLS.includes(url.protocol)) {
+    throw new Error(`Unsupported proxy type "${url.protocol.replace(':', '')}"; use http, https or socks5`);
+  }
+  return url;
+}
+
+function parseCount(value, name, max) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > max) {
+    throw new Error(`${name} must be a whole number between 0 and ${max}`);
+  }
+  return count;
+}
+
+const isSet = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Validate settings.network; throws with a message fit for the Settings page
+function normalizeNetworkSettings(network = {}) {
+  const normalized = {};
+
+  if (isSet(network.proxy)) {
+    normalized.proxy = parseProxy(String(network.proxy).trim()).href.replace(/\/$/, '');
+  }
+  if (isSet(network.rateLimit)) {
+    const rateLimit = String(network.rateLimit).trim().toUpperCase();
+    if (!RATE_LIMIT_PATTERN.test(rateLimit)) {
+      throw new Error(`Invalid bandwidth limit "${network.rateLimit}"; use bytes per second like 500K or 2M`);
+    }
+    normalized.rateLimit = rateLimit;
+  }
+  if (isSet(network.retries)) {
+    normalized.retries = parseCount(network.retries, 'Retries', 100);
+  }
+  if (isSet(network.fragmentRetries)) {
+    normalized.fragmentRetries = parseCount(network.fragmentRetries, 'Fragment retries', 100);
+  }
+  if (isSet(network.socketTimeout)) {
+    const timeout = Number(network.socketTimeout);
+    if (!(timeout >= 1 && timeout <= 600)) {
+      throw new Error('Socket timeout must be between 1 and 600 seconds');
+    }
+    normalized.socketTimeout = timeout;
+  }
+  if (isSet(network.sourceAddress)) {
+    const address = String(network.sourceAddress).trim();
+    if (!net.isIP(address)) {
+      throw new Error(`Bind address "${address}" is not an IPv4 or IPv6 address`);
+    }
+    normalized.sourceAddress = address;
+  }
+
+  return normalized;
+}
+
+// Stored settings are validated on save; anything invalid that slipped in is ignored here
+function safeNormalize(network) {
+  try {
+    return normalizeNetworkSettings(network);
+  } catch (error) {
+    console.warn('⚠️ Ignoring invalid network settings:', error.message);
+    return {};
+  }
+}
+
+// The proxy URL without its login, for logs
+function redactProxy(proxy) {
+  try {
+    const url = new URL(proxy);
+    if (!url.username && !url.password) return proxy;
+    url.username = '***';
+    url.password = '';
+    return url.href.replace(/\/$/, '');
+  } catch (error) {
+    return '***';
+  }
+}
+
+// Arguments for every yt-dlp invocation
+function getYtDlpNetworkArgs(network) {
+  const options = safeNormalize(network);
+  const args = [];
+
+  if (options.proxy) args.push('--proxy', options.proxy);
+  if (options.rateLimit) args.push('--limit-rate', options.rateLimit);
+  if (options.retries !== undefined) args.push('--retries', String(options.retries));
+  if (options.fragmentRetries !== undefined) args.push('--fragment-retries', String(options.fragmentRetries));
+  if (options.socketTimeout) args.push('--socket-timeout', String(options.socketTimeout));
+  if (options.sourceAddress) args.push('--source-address', options.sourceAddress);
+  return args;
+}
+
+// Input options for ffmpeg reading from an http(s) URL; they go before its -i.
+// ffmpeg's http protocol has no SOCKS support, bandwidth limit or bind address.
+function getFfmpegNetworkArgs(network, inputUrl = '') {
+  if (!/^https?:\/\//i.test(inputUrl)) return [];
+
+  const options = safeNormalize(network);
+  const args = [];
+
+  if (options.proxy) {
+    if (/^https?:/.test(options.proxy)) {
+      args.push('-http_proxy', options.proxy);
+    } else {
+      console.warn('⚠️ FFmpeg cannot use a SOCKS proxy; this download connects directly');
+    }
+  }
+  if (options.socketTimeout) {
+    args.push('-rw_timeout', String(Math.round(options.socketTimeout * 1000000)));
+  }
+  if (options.retries > 0) {
+    args.push('-reconnect', '1', '-reconnect_streamed', '1', '-reconnect_delay_max', '5');
+  }
+  return args;
+}
+
+// Open a tunnel to host:port through an HTTP(S) proxy with CONNECT
+function connectThroughHttpProxy(proxy, host, port, { localAddress, timeout }) {
+  return new Promise((resolve, reject) => {
+    const headers = { Host: `${host}:${port}` };
+    if (proxy.username) {
+      const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+      headers['Proxy-Authorization'] = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const request = (proxy.protocol === 'https:' ? https : http).request({
+      host: proxy.hostname,
+      port: Number(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80),
+      method: 'CONNECT',
+      path: `${host}:${port}`,
+      headers,
+      localAddress,
+      timeout
+    });
+
+    request.once('connect', (response, socket) => {
+      if (response.statusCode !== 200) {
+        socket.destroy();
+        reject(new Error(`Proxy refused the connection (HTTP ${response.statusCode})`));
+        return;
+      }
+      resolve(socket);
+    });
+    request.once('timeout', () => request.destroy(new Error('Proxy connection timed out')));
+    request.once('error', reject);
+    request.end();
+  });
+}
+
+// Open a tunnel to host:port through a SOCKS5 proxy (RFC 1928, with RFC 1929 login).
+// The proxy resolves the host name, as with socks5h.
+function connectThroughSocksProxy(proxy, host, port, { localAddress, timeout }) {
+  return new Promise((resolve, reject) => {
+    const username = proxy.username ? decodeURIComponent(proxy.username) : null;
+    const password = proxy.password ? decodeURIComponent(proxy.password) : '';
+    const socket = net.connect({ host: proxy.hostname, port: Number(proxy.port) || 1080, localAddress });
+    let buffer = Buffer.alloc(0);
+    let stage = 'greeting';
+
+    const fail = (error) => {
+      socket.destroy();
+      reject(error);
+    };
+
+    const sendConnect = () => {
+      stage = 'connect';
+      const hostBuffer = Buffer.from(host);
+      const portBuffer = Buffer.alloc(2);
+      portBuffer.writeUInt16BE(Number(port));
+      socket.write(Buffer.concat([Buffer.from([5, 1, 0, 3, hostBuffer.length]), hostBuffer, portBuffer]));
+    };
+
+    const onData = (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      if (stage === 'greeting') {
+        if (buffer.length < 2) return;
+        if (buffer[0] !== 5 || buffer[1] !== (username ? 2 : 0)) {
+          fail(new Error('SOCKS proxy does not accept this login method'));
+          return;
+        }
+        buffer = buffer.slice(2);
+        if (username) {
+          stage = 'auth';
+          const user = Buffer.from(username);
+          const pass = Buffer.from(password);
+          socket.write(Buffer.concat([Buffer.from([1, user.length]), user, Buffer.from([pass.length]), pass]));
+        } else {
+          sendConnect();
+        }
+      } else if (stage === 'auth') {
+        if (buffer.length < 2) return;
+        if (buffer[1] !== 0) {
+          fail(new Error('SOCKS proxy rejected the username or password'));
+          return;
+        }
+        buffer = buffer.slice(2);
+        sendConnect();
+      } else if (stage === 'connect') {
+        if (buffer.length < 5) return;
+        if (buffer[1] !== 0) {
+          fail(new Error(`SOCKS proxy could not reach ${host} (error ${buffer[1]})`));
+          return;
+        }
+        const addressLength = buffer[3] === 1 ? 4 : buffer[3] === 4 ? 16 : 1 + buffer[4];
+        if (buffer.length < 4 + addressLength + 2) return;
+
+        socket.removeListener('data', onData);
+        socket.removeListener('error', fail);
+        socket.setTimeout(0);
+        resolve(socket);
+      }
+    };
+
+    socket.setTimeout(timeout, () => fail(new Error('SOCKS proxy connection timed out')));
+    socket.on('data', onData);
+    socket.on('error', fail);
+    socket.once('connect', () => socket.write(Buffer.from([5, 1, username ? 2 : 0])));
+  });
+}
+
+// https.Agent that sends every request through the configured proxy
+class ProxyAgent extends https.Agent {
+  constructor(proxy, options = {}) {
+    super(options);
+    this.proxy = proxy;
+  }
+
+  createConnection(options, callback) {
+    const connect = this.proxy.protocol.startsWith('socks') ? connectThroughSocksProxy : connectThroughHttpProxy;
+    const port = options.port || 443;
+
+    connect(this.proxy, options.host, port, { localAddress: options.localAddress, timeout: options.timeout || DEFAULT_REQUEST_TIMEOUT })
+      .then(socket => callback(null, tls.connect({ ...options, socket, servername: options.servername || options.host })))
+      .catch(error => callback(error));
+  }
+}
+
+// Options to spread into https.get/https.request for the app's own downloads
+// (updates and dependencies): proxy, bind address and timeout
+function getRequestOptions(network) {
+  const options = safeNormalize(network);
+  const timeout = options.socketTimeout ? options.socketTimeout * 1000 : DEFAULT_REQUEST_TIMEOUT;
+  const agentOptions = { localAddress: options.sourceAddress, timeout };
+
+  return {
+    timeout,
+    localAddress: options.sourceAddress,
+    agent: options.proxy ? new ProxyAgent(new URL(options.proxy), agentOptions) : new https.Agent(agentOptions)
+  };
+}
+
+module.exports = {
+  normalizeNetworkSettings,
+  getYtDlpNetworkArgs,
+  getFfmpegNetworkArgs,
+  getRequestOptions,
+  redactProxy
+};
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Sidecar files yt-dlp writes next to the media, grouped by kind
+const SUBTITLE_EXTENSIONS = ['.vtt', '.srt', '.ass', '.ssa', '.lrc', '.ttml', '.srv1', '.srv2', '.srv3', '.json3'];
+const THUMBNAIL_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// yt-dlp appends the final path of every finished file to a manifest.
+// --print-to-file is used instead of --print because --print implies --quiet,
+// which would hide the progress and destination lines the app relies on.
+class OutputManifest {
+  constructor(name = crypto.randomUUID()) {
+    this.filePath = path.join(os.tmpdir(), `puyt-outputs-${name}.txt`);
+    this.clear();
+  }
+
+  getArgs() {
+    return ['--print-to-file', 'after_move:%(filepath)s', this.filePath];
+  }
+
+  // Existing media files, in the order yt-dlp finished them
+  read() {
+    try {
+      if (!fs.existsSync(this.filePath)) return [];
+
+      const paths = fs.readFileSync(this.filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && line !== 'NA');
+
+      return Array.from(new Set(paths))
+        .map(filePath => path.resolve(filePath))
+        .filter(filePath => fs.existsSync(filePath));
+    } catch (error) {
+      console.error('Failed to read output manifest:', error.message);
+      return [];
+    }
+  }
+
+  clear() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        fs.unlinkSync(this.filePath);
+      }
+    } catch (error) {
+      console.warn('Failed to remove output manifest:', error.message);
+    }
+  }
+}
+
+// Media file plus the subtitles, thumbnail and info.json that share its name
+function collectArtifacts(mediaPath) {
+  const dir = path.dirname(mediaPath);
+  const mediaName = path.basename(mediaPath);
+  const stem = path.basename(mediaPath, path.extname(mediaPath));
+  const artifacts = {
+    media: [mediaPath],
+    subtitles: [],
+    thumbnails: [],
+    infoJson: null
+  };
+
+  let siblings = [];
+  try {
+    siblings = fs.readdirSync(dir);
+  } catch (error) {
+    console.warn('Failed to list output folder:', error.message);
+  }
+
+  siblings
+    .filter(name => name !== mediaName && name.startsWith(`${stem}.`))
+    .forEach(name => {
+      const filePath = path.join(dir, name);
+      const lower = name.toLowerCase();
+      const ext = path.extname(lower);
+
+      if (lower.endsWith('.info.json')) {
+        artifacts.infoJson = filePath;
+      } else if (SUBTITLE_EXTENSIONS.includes(ext)) {
+        artifacts.subtitles.push(filePath);
+      } else if (THUMBNAIL_EXTENSIONS.includes(ext)) {
+        artifacts.thumbnails.push(filePath);
+      }
+    });
+
+  return artifacts;
+}
+
+// Describe a finished download for download-complete and the job result
+function describeOutput(mediaPaths) {
+  const existing = mediaPaths.filter(filePath => {
+    try {
+      return fs.statSync(filePath).size > 0;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  if (existing.length === 0) {
+    return null;
+  }
+
+  // The last finished file is the main output (e.g. the merged video)
+  const filePath = existing[existing.length - 1];
+  const artifacts = existing
+    .map(collectArtifacts)
+    .reduce((all, next) => ({
+      media: [...all.media, ...next.media],
+      subtitles: [...all.subtitles, ...next.subtitles],
+      thumbnails: [...all.thumbnails, ...next.thumbnails],
+      infoJson: all.infoJson || next.infoJson
+    }));
+
+  return {
+    filePath,
+    fileName: path.basename(filePath),
+    fileSize: fs.statSync(filePath).size,
+    artifacts
+  };
+}
+
+module.exports = {
+  OutputManifest,
+  collectArtifacts,
+  describeOutput
+};
@@ -0,0 +1,142 @@
+// Filename/folder templates in yt-dlp's output template syntax, e.g.
+// "%(uploader)s/%(upload_date)s - %(title).200s.%(ext)s".
+// yt-dlp expands them itself; renderOutputTemplate() covers the same subset
+// for the ffmpeg fallback and for the preview in Settings.
+const DEFAULT_OUTPUT_TEMPLATE = '%(title).200s.%(ext)s';
+
+const TEMPLATE_FIELDS = [
+  { field: 'title', label: 'Title' },
+  { field: 'uploader', label: 'Uploader' },
+  { field: 'upload_date', label: 'Upload date' },
+  { field: 'id', label: 'Video ID' },
+  { field: 'playlist_title', label: 'Playlist' },
+  { field: 'playlist_index', label: 'Playlist index' },
+  { field: 'resolution', label: 'Resolution' },
+  { field: 'height', label: 'Height' },
+  { field: 'extractor', label: 'Site' },
+  { field: 'ext', label: 'Extension' }
+];
+
+// Used for the preview before any video has been analyzed
+const SAMPLE_TEMPLATE_INFO = {
+  title: 'Example Video Title',
+  id: 'dQw4w9WgXcQ',
+  uploader: 'Example Channel',
+  uploadDate: '20240115',
+  extractor: 'youtube',
+  playlistTitle: 'Example Playlist',
+  playlistIndex: 3,
+  height: 1080,
+  width: 1920,
+  ext: 'mp4'
+};
+
+const FIELD_PATTERN = /%(%|\(([\w.]+)\)([-0 #+]*)(\d*)(?:\.(\d+))?([sdj]))/g;
+const MISSING_VALUE = 'NA';
+
+// Map the app's camelCase video info onto yt-dlp field names
+function toTemplateFields(info = {}) {
+  const resolution = info.resolution || (info.width && info.height ? `${info.width}x${info.height}` : null);
+  return {
+    title: info.title,
+    id: info.id,
+    uploader: info.uploader,
+    upload_date: info.uploadDate,
+    extractor: info.extractor ? String(info.extractor).toLowerCase() : null,
+    playlist_title: info.playlistTitle,
+    playlist_index: info.playlistIndex,
+    resolution,
+    height: info.height,
+    width: info.width,
+    ext: info.ext
+  };
+}
+
+// Keep templates relative to the download folder and always ending in the extension
+function normalizeOutputTemplate(template) {
+  const trimmed = (template || '').trim().replace(/\\/g, '/');
+  if (!trimmed) return DEFAULT_OUTPUT_TEMPLATE;
+
+  const segments = trimmed.split('/');
+  if (trimmed.startsWith('/') || /^[a-zA-Z]:/.test(trimmed) || segments.some(segment => segment === '..')) {
+    return DEFAULT_OUTPUT_TEMPLATE;
+  }
+
+  return /%\(ext\)s$/.test(trimmed) ? trimmed : `${trimmed}.%(ext)s`;
+}
+
+// Strip characters that are invalid in file names, optionally reducing to ASCII like --restrict-filenames
+function sanitizeSegment(value, restrictFilenames) {
+  let result = Array.from(String(value))
+    .filter(char => char.charCodeAt(0) >= 32)
+    .join('')
+    .replace(/[/\\:*?"<>|]/g, restrictFilenames ? '_' : '-');
+
+  if (restrictFilenames) {
+    result = result
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\s+/g, '_')
+      .replace(/[^\w.-]/g, '_')
+      .replace(/_+/g, '_');
+  }
+
+  return result.trim();
+}
+
+function formatField(value, flags, width, precision, type, restrictFilenames) {
+  if (value === undefined || value === null || value === '') {
+    return MISSING_VALUE;
+  }
+
+  let text;
+  if (type === 'd') {
+    const number = parseInt(value, 10);
+    if (isNaN(number)) return MISSING_VALUE;
+    text = String(number);
+    if (width) {
+      text = text.padStart(parseInt(width, 10), flags.includes('0') ? '0' : ' ');
+    }
+  } else {
+    text = type === 'j' ? JSON.stringify(value) : String(value);
+    if (precision) {
+      text = text.slice(0, parseInt(precision, 10));
+    }
+  }
+
+  return sanitizeSegment(text, restrictFilenames);
+}
+
+// Put a literal prefix (e.g. "007 - ") in front of the file name part of a template
+function addFilenamePrefix(template, prefix) {
+  if (!prefix) return template;
+
+  const segments = template.split('/');
+  const escaped = prefix.replace(/%/g, '%%');
+  segments[segments.length - 1] = `${escaped}${segments[segments.length - 1]}`;
+  return segments.join('/');
+}
+
+// Expand a template to a relative path using '/' separators
+function renderOutputTemplate(template, info = {}, { restrictFilenames = true } = {}) {
+  const fields = toTemplateFields(info);
+
+  return normalizeOutputTemplate(template)
+    .split('/')
+    .map(segment => segment.replace(FIELD_PATTERN, (match, escape, field, flags, width, precision, type) => {
+      if (escape === '%') return '%';
+      return formatField(fields[field], flags, width, precision, type, restrictFilenames);
+    }))
+    .map(segment => segment || MISSING_VALUE)
+    .join('/');
+}
+
+module.exports = {
+  DEFAULT_OUTPUT_TEMPLATE,
+  TEMPLATE_FIELDS,
+  SAMPLE_TEMPLATE_INFO,
+  normalizeOutputTemplate,
+  addFilenamePrefix,
+  sanitizeSegment,
+  renderOutputTemplate
+};
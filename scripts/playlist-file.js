@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// Extended M3U playlist (UTF-8, hence .m3u8) with paths relative to the playlist file,
+// so the folder can be moved or copied to another device as a whole.
+function writeM3u8(playlistPath, entries) {
+  const dir = path.dirname(playlistPath);
+  const lines = ['#EXTM3U'];
+
+  entries.forEach(entry => {
+    const duration = Number.isFinite(entry.duration) ? Math.round(entry.duration) : -1;
+    lines.push(`#EXTINF:${duration},${(entry.title || path.basename(entry.filePath)).replace(/[\r\n]+/g, ' ')}`);
+    lines.push(path.relative(dir, entry.filePath).split(path.sep).join('/'));
+  });
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(playlistPath, `${lines.join('\n')}\n`, 'utf8');
+  return playlistPath;
+}
+
+module.exports = {
+  writeM3u8
+};
@@ -0,0 +1,91 @@
+// Turn the batch view's playlist filters into yt-dlp arguments, so unwanted
+// entries are dropped while the playlist is analyzed instead of afterwards.
+
+// yt-dlp --playlist-items syntax restricted to what the UI documents: "1-10,15,20-"
+const PLAYLIST_ITEMS_PATTERN = /^\d+(-\d*)?(,\d+(-\d*)?)*$/;
+
+// Values inside a --match-filter string: quotes and "&" must be escaped
+const quoteFilterValue = (value) => `'${value.replace(/'/g, "\\'").replace(/&/g, '\\&')}'`;
+
+// "2024-01-15" (date input) or "20240115" to yt-dlp's YYYYMMDD
+const toUploadDate = (value) => {
+  const digits = String(value).replace(/-/g, '');
+  if (!/^\d{8}$/.test(digits)) {
+    throw new Error(`Invalid date "${value}"`);
+  }
+  return digits;
+};
+
+const toSeconds = (minutes, label) => {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`Invalid ${label} duration "${minutes}"`);
+  }
+  return Math.round(value * 60);
+};
+
+function normalizePlaylistItems(items) {
+  const spec = String(items || '').replace(/\s+/g, '');
+  if (!spec) return null;
+
+  if (!PLAYLIST_ITEMS_PATTERN.test(spec)) {
+    throw new Error(`Invalid item range "${items}". Use a list like 1-10,15,20-`);
+  }
+  return spec;
+}
+
+// Conditions use the "?" operators so entries without the field (e.g. live streams) are kept
+function buildMatchFilter(filters = {}) {
+  const conditions = [];
+
+  if (filters.minDuration !== undefined && filters.minDuration !== '') {
+    conditions.push(`duration >=? ${toSeconds(filters.minDuration, 'minimum')}`);
+  }
+  if (filters.maxDuration !== undefined && filters.maxDuration !== '') {
+    conditions.push(`duration <=? ${toSeconds(filters.maxDuration, 'maximum')}`);
+  }
+  if (filters.dateAfter) {
+    conditions.push(`upload_date >=? ${toUploadDate(filters.dateAfter)}`);
+  }
+  if (filters.dateBefore) {
+    conditions.push(`upload_date <=? ${toUploadDate(filters.dateBefore)}`);
+  }
+  if (filters.titleRegex) {
+    try {
+      new RegExp(filters.titleRegex);
+    } catch (error) {
+      throw new Error(`Invalid title pattern: ${error.message}`);
+    }
+    conditions.push(`title ~= ${quoteFilterValue(`(?i)${filters.titleRegex}`)}`);
+  }
+
+  return conditions.length > 0 ? conditions.join(' & ') : null;
+}
+
+// Arguments for `yt-dlp --dump-json` on a playlist URL
+function getPlaylistFilterArgs(filters = {}, { archivePath } = {}) {
+  const args = [];
+
+  const items = normalizePlaylistItems(filters.items);
+  if (items) {
+    args.push('--playlist-items', items);
+  }
+
+  const matchFilter = buildMatchFilter(filters);
+  if (matchFilter) {
+    args.push('--match-filter', matchFilter);
+  }
+
+  // yt-dlp skips entries already listed in our archive, which uses its format
+  if (filters.excludeDownloaded && archivePath) {
+    args.push('--download-archive', archivePath);
+  }
+
+  return args;
+}
+
+module.exports = {
+  getPlaylistFilterArgs,
+  buildMatchFilter,
+  normalizePlaylistItems
+};
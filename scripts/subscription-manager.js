@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_INTERVAL_MINUTES = 15;
+// How often the scheduler looks for subscriptions that are due
+const TICK_INTERVAL = 60 * 1000;
+// Channels list newest uploads first, so only the latest entries are looked at on each check
+const DEFAULT_MAX_ITEMS = 25;
+
+// Followed channels and playlists, checked for new uploads on an interval.
+// Listing the uploads and queueing downloads is left to `checkSubscription(subscription)`,
+// which resolves with the number of videos queued.
+class SubscriptionManager {
+  constructor({ storagePath, checkSubscription, onChange }) {
+    this.storagePath = storagePath;
+    this.checkSubscription = checkSubscription;
+    this.onChange = onChange;
+    this.subscriptions = [];
+    this.checking = new Set();
+    this.timer = null;
+    this.startupTimer = null;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.storagePath)) {
+        return;
+      }
+
+      const data = fs.readFileSync(this.storagePath, 'utf8');
+      if (!data.trim()) {
+        return;
+      }
+
+      const saved = JSON.parse(data);
+      this.subscriptions = Array.isArray(saved.subscriptions) ? saved.subscriptions.filter(item => item && item.id && item.url) : [];
+      console.log(`📺 Loaded ${this.subscriptions.length} subscriptions`);
+    } catch (error) {
+      console.error('Failed to load subscriptions:', error.message);
+      this.subscriptions = [];
+    }
+  }
+
+  save() {
+    try {
+      const dir = path.dirname(this.storagePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+
+      const tempPath = `${this.storagePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, subscriptions: this.subscriptions }, null, 2), 'utf8');
+      fs.renameSync(tempPath, this.storagePath);
+    } catch (error) {
+      console.error('Failed to save subscriptions:', error.message);
+    }
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.checkDue(), TICK_INTERVAL);
+    // First pass shortly after startup rather than a full interval later
+    this.startupTimer = setTimeout(() => this.checkDue(), 30000);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.startupTimer) {
+      clearTimeout(this.startupTimer);
+      this.startupTimer = null;
+    }
+  }
+
+  list() {
+    return this.subscriptions.map(item => this.snapshot(item));
+  }
+
+  get(id) {
+    const subscription = this.subscriptions.find(item => item.id === id);
+    return subscription ? this.snapshot(subscription) : null;
+  }
+
+  add({ url, name, outputPath, downloadOptions = {}, intervalMinutes, maxItems, downloadExisting = false }) {
+    if (!url || !/^https?:\/\//i.test(url.trim())) {
+      throw new Error('Enter a channel or playlist URL');
+    }
+    if (!outputPath) {
+      throw new Error('Choose a folder for this subscription');
+    }
+    if (this.subscriptions.some(item => item.url === url.trim())) {
+      throw new Error('You are already subscribed to this URL');
+    }
+
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: url.trim(),
+      name: (name || '').trim() || null,
+      outputPath,
+      downloadOptions,
+      intervalMinutes: normalizeInterval(intervalMinutes),
+      maxItems: normalizeMaxItems(maxItems),
+      enabled: true,
+      // Without this the first check only records what is already there
+      downloadExisting: Boolean(downloadExisting),
+      knownKeys: null,
+      createdAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      lastNewCount: 0,
+      lastError: null
+    };
+
+    this.subscriptions.push(subscription);
+    this.save();
+    this.notify(subscription);
+    return this.snapshot(subscription);
+  }
+
+  update(id, changes = {}) {
+    const subscription = this.subscriptions.find(item => item.id === id);
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+
+    ['name', 'outputPath', 'downloadOptions', 'enabled'].forEach(key => {
+      if (changes[key] !== undefined) {
+        subscription[key] = changes[key];
+      }
+    });
+    if (changes.intervalMinutes !== undefined) {
+      subscription.intervalMinutes = normalizeInterval(changes.intervalMinutes);
+    }
+    if (changes.maxItems !== undefined) {
+      subscription.maxItems = normalizeMaxItems(changes.maxItems);
+    }
+
+    this.save();
+    this.notify(subscription);
+    return this.snapshot(subscription);
+  }
+
+  remove(id) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter(item => item.id !== id);
+    if (this.subscriptions.length === before) {
+      return false;
+    }
+
+    this.save();
+    this.notify({ id, removed: true });
+    return true;
+  }
+
+  // Archive keys seen on the first check; these are never downloaded
+  setKnownKeys(id, keys) {
+    const subscription = this.subscriptions.find(item => item.id === id);
+    if (!subscription) return;
+
+    subscription.knownKeys = keys;
+    this.save();
+  }
+
+  isDue(subscription, now = Date.now()) {
+    if (!subscription.enabled) return false;
+    if (!subscription.lastCheckedAt) return true;
+    return now - new Date(subscription.lastCheckedAt).getTime() >= subscription.intervalMinutes * 60 * 1000;
+  }
+
+  checkDue() {
+    this.subscriptions
+      .filter(subscription => this.isDue(subscription))
+      .forEach(subscription => this.check(subscription.id).catch(() => {}));
+  }
+
+  async check(id) {
+    const subscription = this.subscriptions.find(item => item.id === id);
+    if (!subscription) {
+      throw new Error('Subscription not found');
+    }
+    if (this.checking.has(id)) {
+      return { queued: 0, alreadyChecking: true };
+    }
+
+    this.checking.add(id);
+    this.notify(subscription);
+
+    try {
+      const queued = await this.checkSubscription(this.snapshot(subscription));
+      subscription.lastNewCount = queued;
+      subscription.lastError = null;
+      return { queued };
+    } catch (error) {
+      console.error(`Subscription check failed for ${subscription.url}:`, error.message);
+      subscription.lastError = error.message;
+      throw error;
+    } finally {
+      subscription.lastCheckedAt = new Date().toISOString();
+      this.checking.delete(id);
+      this.save();
+      this.notify(subscription);
+    }
+  }
+
+  snapshot(subscription) {
+    return {
+      ...subscription,
+      downloadOptions: { ...subscription.downloadOptions },
+      isChecking: this.checking.has(subscription.id)
+    };
+  }
+
+  notify(subscription) {
+    if (this.onChange) {
+      this.onChange(subscription.removed ? subscription : this.snapshot(subscription));
+    }
+  }
+}
+
+function normalizeInterval(minutes) {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value <= 0) {
+    return DEFAULT_INTERVAL_MINUTES;
+  }
+  return Math.max(MIN_INTERVAL_MINUTES, Math.round(value));
+}
+
+// Passed to yt-dlp as --playlist-end, so it must be a positive whole number
+function normalizeMaxItems(maxItems) {
+  const value = Number(maxItems);
+  if (!Number.isFinite(value) || value < 1) {
+    return DEFAULT_MAX_ITEMS;
+  }
+  return Math.round(value);
+}
+
+module.exports = SubscriptionManager;
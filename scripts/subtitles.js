@@ -0,0 +1,94 @@
+// Subtitle languages from yt-dlp's info JSON and the arguments to fetch, convert
+// and embed them.
+
+const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass'];
+
+// Containers --embed-subs can write into, and the subtitle formats each accepts
+const EMBED_CONTAINERS = {
+  mp4: ['srt', 'vtt'], // Converted to mov_text
+  mkv: ['srt', 'vtt', 'ass'],
+  webm: ['vtt']
+};
+
+// `tracks` is yt-dlp's { [language]: [{ ext, name, url }] } map
+function toLanguageList(tracks) {
+  if (!tracks || typeof tracks !== 'object') return [];
+
+  return Object.entries(tracks)
+    .filter(([code, formats]) => code !== 'live_chat' && Array.isArray(formats) && formats.length > 0)
+    .map(([code, formats]) => ({
+      code,
+      name: (formats.find(item => item.name) || {}).name || code,
+      formats: Array.from(new Set(formats.map(item => item.ext).filter(Boolean)))
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Uploaded subtitles and automatic captions. YouTube offers machine translations
+// of its captions into every language; "-orig" marks the spoken one.
+function listSubtitleLanguages(info = {}) {
+  const captions = toLanguageList(info.automatic_captions);
+  const originals = captions
+    .filter(language => language.code.endsWith('-orig'))
+    .map(language => ({ ...language, code: language.code.replace(/-orig$/, '') }));
+
+  return {
+    subtitles: toLanguageList(info.subtitles),
+    automaticCaptions: originals.length > 0 ? originals : captions
+  };
+}
+
+function normalizeLanguages(languages) {
+  const list = Array.isArray(languages) ? languages : String(languages || '').split(',');
+  return Array.from(new Set(list.map(code => String(code).trim()).filter(code => /^[\w-]+$/.test(code))));
+}
+
+// Arguments for the subtitle options. No languages picked keeps yt-dlp's default (English).
+function getSubtitleArgs(options = {}) {
+  const {
+    downloadSubtitles = false,
+    subtitleLanguages = [],
+    includeAutoSubs = true,
+    subtitleFormat = '',
+    embedSubtitles = false,
+    extractAudio = false,
+    format = 'mp4'
+  } = options;
+
+  if (!downloadSubtitles) return [];
+
+  const args = ['--write-subs'];
+  if (includeAutoSubs) {
+    args.push('--write-auto-subs');
+  }
+
+  const languages = normalizeLanguages(subtitleLanguages);
+  if (languages.length > 0) {
+    args.push('--sub-langs', languages.join(','));
+  }
+
+  if (subtitleFormat) {
+    if (!SUBTITLE_FORMATS.includes(subtitleFormat)) {
+      throw new Error(`Unsupported subtitle format "${subtitleFormat}"`);
+    }
+    args.push('--sub-format', `${subtitleFormat}/best`, '--convert-subs', subtitleFormat);
+  }
+
+  // Audio files have nowhere to put subtitles, so they stay sidecar files
+  if (embedSubtitles && !extractAudio) {
+    const accepted = EMBED_CONTAINERS[format];
+    if (accepted && subtitleFormat && !accepted.includes(subtitleFormat)) {
+      throw new Error(`${subtitleFormat.toUpperCase()} subtitles can't be embedded into ${format.toUpperCase()}; use MKV or another subtitle format`);
+    }
+    args.push('--embed-subs');
+  }
+
+  return args;
+}
+
+module.exports = {
+  SUBTITLE_FORMATS,
+  listSubtitleLanguages,
+  normalizeLanguages,
+  getSubtitleArgs
+};
@@ -0,0 +1,175 @@
+// Machine-readable progress for yt-dlp downloads.
+// yt-dlp prints one "[puyt-progress] <hook> <json>" line per progress hook call,
+// which is far more reliable than scraping the human-readable "[download]" lines.
+const PROGRESS_MARKER = '[puyt-progress]';
+
+const PROGRESS_ARGS = [
+  '--progress-template', `download:${PROGRESS_MARKER} download %(progress)j`,
+  '--progress-template', `postprocess:${PROGRESS_MARKER} postprocess %(progress)j`
+];
+
+// Postprocessors that combine streams rather than transform a finished file
+const MERGE_POSTPROCESSORS = ['Merger', 'FFmpegMerger', 'ModifyChapters', 'FFmpegConcat'];
+
+const toNumber = (value) => (typeof value === 'number' && isFinite(value) ? value : undefined);
+
+function getPercent(progress) {
+  const downloaded = toNumber(progress.downloaded_bytes);
+  const total = toNumber(progress.total_bytes) || toNumber(progress.total_bytes_estimate);
+
+  if (progress.status === 'finished') return 100;
+  if (downloaded !== undefined && total) {
+    return Math.min(100, (downloaded / total) * 100);
+  }
+
+  // Fragmented (HLS/DASH) downloads without a size estimate still count fragments
+  const fragmentIndex = toNumber(progress.fragment_index);
+  const fragmentCount = toNumber(progress.fragment_count);
+  if (fragmentIndex !== undefined && fragmentCount) {
+    return Math.min(100, (fragmentIndex / fragmentCount) * 100);
+  }
+
+  return undefined;
+}
+
+function toDownloadEvent(progress) {
+  return {
+    phase: 'download',
+    status: progress.status,
+    percent: getPercent(progress),
+    downloaded_bytes: toNumber(progress.downloaded_bytes),
+    total_bytes: toNumber(progress.total_bytes),
+    total_bytes_estimate: toNumber(progress.total_bytes_estimate),
+    speed: toNumber(progress.speed),
+    eta: toNumber(progress.eta),
+    elapsed: toNumber(progress.elapsed),
+    fragment_index: toNumber(progress.fragment_index),
+    fragment_count: toNumber(progress.fragment_count),
+    filename: progress.filename || progress.tmpfilename
+  };
+}
+
+function toPostprocessEvent(progress) {
+  const postprocessor = progress.postprocessor || '';
+  return {
+    phase: MERGE_POSTPROCESSORS.includes(postprocessor) ? 'merge' : 'postprocess',
+    status: progress.status,
+    postprocessor
+  };
+}
+
+// Returns a progress event for a marker line, or null for any other output
+function parseProgressLine(line) {
+  const start = line.indexOf(PROGRESS_MARKER);
+  if (start === -1) return null;
+
+  const rest = line.slice(start + PROGRESS_MARKER.length).trim();
+  const separator = rest.indexOf(' ');
+  if (separator === -1) return null;
+
+  const hook = rest.slice(0, separator);
+  try {
+    const progress = JSON.parse(rest.slice(separator + 1));
+    if (!progress || typeof progress !== 'object') return null;
+    return hook === 'postprocess' ? toPostprocessEvent(progress) : toDownloadEvent(progress);
+  } catch (error) {
+    return null;
+  }
+}
+
+// stdout arrives in arbitrary chunks; only complete lines are parsed
+class ProgressParser {
+  constructor() {
+    this.buffer = '';
+  }
+
+  // Returns { events, lines } where lines are the remaining non-progress output
+  push(chunk) {
+    this.buffer += chunk.toString();
+    const parts = this.buffer.split(/\r?\n|\r/);
+    this.buffer = parts.pop();
+    return this.parseLines(parts);
+  }
+
+  flush() {
+    const parts = this.buffer ? [this.buffer] : [];
+    this.buffer = '';
+    return this.parseLines(parts);
+  }
+
+  parseLines(parts) {
+    const events = [];
+    const lines = [];
+
+    parts.forEach(line => {
+      if (!line.trim()) return;
+      const event = parseProgressLine(line);
+      if (event) {
+        events.push(event);
+      } else {
+        lines.push(line);
+      }
+    });
+
+    return { events, lines };
+  }
+}
+
+const formatBytes = (bytes) => {
+  if (bytes === undefined) return null;
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unitIndex = 0;
+
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+
+  return `${size.toFixed(1)} ${units[unitIndex]}`;
+};
+
+const formatSeconds = (seconds) => {
+  if (seconds === undefined) return null;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// One-line summary for logs and the mini console
+function describeProgressEvent(event) {
+  if (event.phase === 'merge') {
+    return event.status === 'finished' ? 'Formats merged' : 'Merging formats...';
+  }
+  if (event.phase === 'postprocess') {
+    const name = event.postprocessor || 'post-processor';
+    return event.status === 'finished' ? `${name} finished` : `Running ${name}...`;
+  }
+  if (event.status === 'finished') {
+    return 'Download completed, processing...';
+  }
+
+  const parts = [event.percent !== undefined ? `Downloading... ${event.percent.toFixed(1)}%` : 'Downloading...'];
+  const total = event.total_bytes || event.total_bytes_estimate;
+  if (event.downloaded_bytes !== undefined) {
+    parts.push(total ? `${formatBytes(event.downloaded_bytes)} / ${formatBytes(total)}` : formatBytes(event.downloaded_bytes));
+  }
+  if (event.fragment_count) {
+    parts.push(`fragment ${event.fragment_index || 0}/${event.fragment_count}`);
+  }
+  if (event.speed !== undefined) {
+    parts.push(`at ${formatBytes(event.speed)}/s`);
+  }
+  if (event.eta !== undefined) {
+    parts.push(`(ETA: ${formatSeconds(event.eta)})`);
+  }
+  return parts.join(' ');
+}
+
+module.exports = {
+  PROGRESS_ARGS,
+  ProgressParser,
+  parseProgressLine,
+  describeProgressEvent
+};
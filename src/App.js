@@ -2,12 +2,16 @@ import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import VideoDownloader from './components/VideoDownloader';
 import BatchDownloader from './components/BatchDownloader';
+import DownloadQueue from './components/DownloadQueue';
 import Header from './components/Header';
 import Footer from './components/Footer';
 import YtDlpChecker from './components/YtDlpChecker';
 import Help from './components/Help';
 import PrivacyPolicy from './components/PrivacyPolicy';
 import TermsOfService from './components/TermsOfService';
+import History from './components/History';
+import Subscriptions from './components/Subscriptions';
+import ClipboardPrompt from './components/ClipboardPrompt';
 import ThemeProvider from './contexts/ThemeContext';
 
 function App() {
@@ -15,6 +19,8 @@ function App() {
   const [isLoading, setIsLoading] = useState(true);
   const [currentPage, setCurrentPage] = useState('home');
   const [downloadMode, setDownloadMode] = useState('single'); // 'single' or 'batch'
+  const [currentVideoInfo, setCurrentVideoInfo] = useState(null); // Last analyzed video, for Settings previews
+  const [pendingUrl, setPendingUrl] = useState(null); // Copied link to analyze in the single video view
   
   // Refs for keyboard shortcuts
   const videoDownloaderRef = useRef(null);
@@ -107,6 +113,12 @@ function App() {
     setCurrentPage(page);
   };
 
+  const handleAnalyzeCopiedUrl = (url) => {
+    setCurrentPage('home');
+    setDownloadMode('single');
+    setPendingUrl(url);
+  };
+
   const renderCurrentPage = () => {
     switch (currentPage) {
       case 'help':
@@ -115,6 +127,10 @@ function App() {
         return <PrivacyPolicy onNavigate={handleNavigate} />;
       case 'terms':
         return <TermsOfService onNavigate={handleNavigate} />;
+      case 'history':
+        return <History onNavigate={handleNavigate} />;
+      case 'subscriptions':
+        return <Subscriptions onNavigate={handleNavigate} />;
       default:
         return !ytDlpAvailable ? (
           <YtDlpChecker onInstalled={handleYtDlpInstalled} />
@@ -177,9 +193,12 @@ function App() {
                 exit={{ opacity: 0, x: downloadMode === 'single' ? 20 : -20 }}
                 transition={{ duration: 0.3 }}
               >
-                {downloadMode === 'single' ? <VideoDownloader /> : <BatchDownloader />}
+                {downloadMode === 'single' ? <VideoDownloader onVideoInfoChange={setCurrentVideoInfo} pendingUrl={pendingUrl} onPendingUrlHandled={() => setPendingUrl(null)} /> : <BatchDownloader />}
               </motion.div>
             </AnimatePresence>
+
+            {/* Queued downloads from both modes */}
+            <DownloadQueue />
           </div>
         );
     }
@@ -204,7 +223,7 @@ function App() {
     <ThemeProvider>
       <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 dark:from-gray-900 dark:to-gray-950">
         <div className="flex flex-col min-h-screen">
-          <Header ref={headerRef} onNavigate={handleNavigate} />
+          <Header ref={headerRef} onNavigate={handleNavigate} videoInfo={currentVideoInfo} />
           
           <main className="flex-1 container mx-auto px-4 py-8">
             <AnimatePresence mode="wait">
@@ -221,6 +240,7 @@ function App() {
           </main>
           
           <Footer onNavigate={handleNavigate} />
+          <ClipboardPrompt onAnalyze={handleAnalyzeCopiedUrl} />
         </div>
       </div>
     </ThemeProvider>
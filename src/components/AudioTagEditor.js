@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const TAG_INPUTS = [
+  { field: 'title', label: 'Title', span: true },
+  { field: 'artist', label: 'Artist' },
+  { field: 'album', label: 'Album' },
+  { field: 'albumArtist', label: 'Album artist' },
+  { field: 'genre', label: 'Genre' },
+  { field: 'track', label: 'Track #', placeholder: 'e.g. 3 or 3/12' },
+  { field: 'year', label: 'Year', placeholder: 'YYYY' }
+];
+
+// Tags written to the extracted audio file, pre-filled from the video's info JSON
+const AudioTagEditor = ({ tags, parsedTitle, thumbnail, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const updateTag = (field, value) => {
+    onChange({ ...tags, [field]: value });
+  };
+
+  const applyParsedTitle = () => {
+    onChange({ ...tags, artist: parsedTitle.artist, title: parsedTitle.title });
+  };
+
+  const filledCount = TAG_INPUTS.filter(({ field }) => tags[field]).length;
+
+  return (
+    <div className="mt-4 rounded-lg border border-gray-200 dark:border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-semibold text-gray-900 dark:text-white"
+      >
+        <span>🏷️ Audio Tags</span>
+        <span className="text-xs font-normal text-gray-500 dark:text-gray-400">
+          {tags.artist && tags.title ? `${tags.artist} – ${tags.title}` : `${filledCount} of ${TAG_INPUTS.length} filled`}
+          <span className="ml-2">{isOpen ? '▲' : '▼'}</span>
+        </span>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            className="px-4 pb-4 overflow-hidden"
+          >
+            {parsedTitle && (parsedTitle.artist !== tags.artist || parsedTitle.title !== tags.title) && (
+              <div className="mb-3 p-2 bg-blue-50 dark:bg-blue-900/20 rounded-lg text-xs text-blue-700 dark:text-blue-300 flex items-center justify-between">
+                <span>
+                  Looks like "<strong>{parsedTitle.artist}</strong> - <strong>{parsedTitle.title}</strong>"
+                </span>
+                <button type="button" onClick={applyParsedTitle} className="ml-2 underline hover:no-underline">
+                  Use as artist and title
+                </button>
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+              {TAG_INPUTS.map(({ field, label, span, placeholder }) => (
+                <div key={field} className={span ? 'col-span-2' : ''}>
+                  <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                    {label}
+                  </label>
+                  <input
+                    type="text"
+                    value={tags[field] || ''}
+                    onChange={(e) => updateTag(field, e.target.value)}
+                    placeholder={placeholder}
+                    className="input-primary text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+
+            {thumbnail && (
+              <label className="flex items-center space-x-3 mt-3 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={tags.coverArt !== false}
+                  onChange={(e) => updateTag('coverArt', e.target.checked)}
+                  className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+                />
+                <img src={thumbnail} alt="Cover art" className="w-10 h-10 object-cover rounded" />
+                <span>Embed the thumbnail as square cover art (MP3, M4A and FLAC)</span>
+              </label>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default AudioTagEditor;
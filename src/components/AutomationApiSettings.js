@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import Toggle from './ui/Toggle';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/Card';
+
+const DEFAULT_PORT = 7789;
+
+const toDraft = (automation = {}) => ({
+  enabled: Boolean(automation.enabled),
+  port: String(automation.port || DEFAULT_PORT),
+  token: automation.token || ''
+});
+
+const generateToken = () => Array.from(window.crypto.getRandomValues(new Uint8Array(24)))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// Settings are saved with a short delay, so the server state is read a moment after a change
+const STATUS_DELAY = 1500;
+
+const AutomationApiSettings = ({ settings, updateSetting }) => {
+  const [draft, setDraft] = useState(() => toDraft(settings.automationApi));
+  const [status, setStatus] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    setDraft(toDraft(settings.automationApi));
+  }, [settings.automationApi]);
+
+  useEffect(() => {
+    if (!window.electronAPI?.getAutomationStatus) return;
+
+    const timer = setTimeout(() => {
+      window.electronAPI.getAutomationStatus()
+        .then(setStatus)
+        .catch(error => console.error('Error loading automation API status:', error));
+    }, STATUS_DELAY);
+    return () => clearTimeout(timer);
+  }, [settings.automationApi]);
+
+  const isChanged = JSON.stringify(draft) !== JSON.stringify(toDraft(settings.automationApi));
+
+  const applyChanges = () => {
+    // Turning the API on for the first time needs a token
+    const token = draft.enabled && !draft.token ? generateToken() : draft.token;
+    updateSetting('automationApi', { enabled: draft.enabled, port: Number(draft.port), token });
+  };
+
+  const copyToken = async () => {
+    try {
+      await navigator.clipboard.writeText(draft.token);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Failed to copy token:', error);
+    }
+  };
+
+  const baseUrl = `http://127.0.0.1:${draft.port || DEFAULT_PORT}/api/v1`;
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-brand-100 dark:bg-brand-900/20 rounded-lg flex items-center justify-center">
+            <svg className="w-5 h-5 text-brand-600 dark:text-brand-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 9l3 3-3 3m5 0h3M5 20h14a2 2 0 002-2V6a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+            </svg>
+          </div>
+          <div>
+            <CardTitle>Automation API</CardTitle>
+            <CardDescription>Let scripts and other tools on this computer queue downloads</CardDescription>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <Toggle
+          checked={draft.enabled}
+          onChange={(checked) => setDraft(current => ({ ...current, enabled: checked }))}
+          label="Enable the local HTTP API"
+          description="Listens on 127.0.0.1 only; every request must carry the token below"
+        />
+
+        {status && (
+          <p className={`mt-3 text-xs ${status.error ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400'}`}>
+            {status.running ? `🟢 Listening on ${status.url}` : status.error ? `❌ ${status.error}` : '⚪ Not running'}
+          </p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+          <Input
+            label="Port"
+            type="number"
+            min="1024"
+            max="65535"
+            value={draft.port}
+            onChange={(e) => setDraft(current => ({ ...current, port: e.target.value }))}
+          />
+          <div className="md:col-span-2">
+            <Input
+              label="Token"
+              value={draft.token}
+              readOnly
+              placeholder="Generated when the API is first enabled"
+              className="font-mono text-xs"
+            />
+            <div className="flex space-x-3 mt-2">
+              <button
+                type="button"
+                onClick={copyToken}
+                disabled={!draft.token}
+                className="text-sm text-brand-600 dark:text-brand-400 hover:underline disabled:opacity-50"
+              >
+                {copied ? 'Copied!' : 'Copy'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setDraft(current => ({ ...current, token: generateToken() }))}
+                className="text-sm text-brand-600 dark:text-brand-400 hover:underline"
+              >
+                Regenerate
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <pre className="mt-6 p-3 rounded-lg bg-gray-100 dark:bg-gray-800 text-xs text-gray-700 dark:text-gray-300 overflow-x-auto">
+{`curl -H "Authorization: Bearer <token>" ${baseUrl}/downloads \\
+  -d '{"url": "https://…", "preset": "My preset"}'
+curl -N "${baseUrl}/events?token=<token>"`}
+        </pre>
+
+        <div className="mt-6 flex justify-end space-x-3">
+          <Button variant="secondary" onClick={() => setDraft(toDraft(settings.automationApi))} disabled={!isChanged}>
+            Reset
+          </Button>
+          <Button variant="primary" onClick={applyChanges} disabled={!isChanged}>
+            Apply
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AutomationApiSettings;
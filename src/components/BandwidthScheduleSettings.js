@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import Button from './ui/Button';
+import Toggle from './ui/Toggle';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/Card';
+
+const DAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const NEW_WINDOW = { start: '09:00', end: '18:00', days: [1, 2, 3, 4, 5], rateLimit: '1M' };
+
+const toDraft = (schedule = {}) => ({
+  enabled: Boolean(schedule.enabled),
+  windows: (schedule.windows || []).map(item => ({ ...item, days: item.days || [] }))
+});
+
+// Like the network settings, the schedule is applied with a button so half-edited times are never used
+const BandwidthScheduleSettings = ({ settings, updateSetting }) => {
+  const [draft, setDraft] = useState(() => toDraft(settings.bandwidthSchedule));
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    setDraft(toDraft(settings.bandwidthSchedule));
+  }, [settings.bandwidthSchedule]);
+
+  useEffect(() => {
+    if (!window.electronAPI?.getBandwidthStatus) return;
+
+    window.electronAPI.getBandwidthStatus()
+      .then(setStatus)
+      .catch(error => console.error('Error loading bandwidth status:', error));
+  }, [settings.bandwidthSchedule]);
+
+  const updateWindow = (index, changes) => {
+    setDraft(current => ({
+      ...current,
+      windows: current.windows.map((item, i) => (i === index ? { ...item, ...changes } : item))
+    }));
+  };
+
+  const toggleDay = (index, day) => {
+    const days = draft.windows[index].days;
+    updateWindow(index, { days: days.includes(day) ? days.filter(item => item !== day) : [...days, day] });
+  };
+
+  const isChanged = JSON.stringify(draft) !== JSON.stringify(toDraft(settings.bandwidthSchedule));
+
+  return (
+    <Card className="mt-6">
+      <CardHeader>
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-brand-100 dark:bg-brand-900/20 rounded-lg flex items-center justify-center">
+            <svg className="w-5 h-5 text-brand-600 dark:text-brand-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+          </div>
+          <div>
+            <CardTitle>Bandwidth Schedule</CardTitle>
+            <CardDescription>Cap download speed during busy hours</CardDescription>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <Toggle
+          checked={draft.enabled}
+          onChange={(checked) => setDraft(current => ({ ...current, enabled: checked }))}
+          label="Limit bandwidth during these windows"
+          description="The cap is shared between simultaneous downloads; outside every window downloads are unlimited"
+        />
+
+        {status && (
+          <p className="mt-3 text-xs text-gray-500 dark:text-gray-400">
+            {status.currentRate ? `🚦 Capped right now at ${status.currentRate}/s` : '🟢 No cap right now'}
+            {status.currentRate && status.nextUnlimitedAt && ` · unlimited from ${new Date(status.nextUnlimitedAt).toLocaleString()}`}
+          </p>
+        )}
+
+        <div className="space-y-3 mt-4">
+          {draft.windows.map((item, index) => (
+            <div key={item.id || index} className="p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+              <div className="flex flex-wrap items-center gap-2">
+                <input
+                  type="time"
+                  value={item.start}
+                  onChange={(e) => updateWindow(index, { start: e.target.value })}
+                  className="input-primary w-32"
+                />
+                <span className="text-gray-500 dark:text-gray-400">to</span>
+                <input
+                  type="time"
+                  value={item.end}
+                  onChange={(e) => updateWindow(index, { end: e.target.value })}
+                  className="input-primary w-32"
+                />
+                <span className="text-gray-500 dark:text-gray-400">at</span>
+                <input
+                  type="text"
+                  value={item.rateLimit}
+                  onChange={(e) => updateWindow(index, { rateLimit: e.target.value })}
+                  placeholder="1M"
+                  className="input-primary w-24"
+                  title="Bytes per second, e.g. 500K or 1M"
+                />
+                <span className="text-sm text-gray-500 dark:text-gray-400">/s</span>
+                <button
+                  type="button"
+                  onClick={() => setDraft(current => ({ ...current, windows: current.windows.filter((_, i) => i !== index) }))}
+                  className="ml-auto text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200"
+                >
+                  Remove
+                </button>
+              </div>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {DAYS.map(day => (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleDay(index, day.value)}
+                    className={`px-2 py-0.5 rounded text-xs font-medium ${
+                      item.days.includes(day.value)
+                        ? 'bg-brand-600 text-white'
+                        : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                    }`}
+                  >
+                    {day.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 flex items-center justify-between">
+          <button
+            type="button"
+            onClick={() => setDraft(current => ({ ...current, windows: [...current.windows, { ...NEW_WINDOW }] }))}
+            className="text-sm text-brand-600 dark:text-brand-400 hover:underline"
+          >
+            + Add window
+          </button>
+          <div className="flex space-x-3">
+            <Button variant="secondary" onClick={() => setDraft(toDraft(settings.bandwidthSchedule))} disabled={!isChanged}>
+              Reset
+            </Button>
+            <Button variant="primary" onClick={() => updateSetting('bandwidthSchedule', draft)} disabled={!isChanged}>
+              Apply
+            </Button>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default BandwidthScheduleSettings;
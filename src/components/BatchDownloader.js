@@ -1,19 +1,28 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import DownloadSettings from './DownloadSettings';
 import DynamicParameterControls from './DynamicParameterControls';
 import MiniConsole from './MiniConsole';
+import PlaylistFilters, { EMPTY_PLAYLIST_FILTERS, hasPlaylistFilters } from './PlaylistFilters';
+import PlaylistItemPicker from './PlaylistItemPicker';
+import PresetPicker from './PresetPicker';
 
 const BatchDownloader = () => {
   const [urls, setUrls] = useState(['']);
   const [downloadPath, setDownloadPath] = useState('');
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [discoveredCount, setDiscoveredCount] = useState(0); // Playlist entries listed so far during analysis
+  const [discoveredVideos, setDiscoveredVideos] = useState([]); // Entries of the playlist being analyzed, as they stream in
   const [isDownloading, setIsDownloading] = useState(false);
   const [batchInfo, setBatchInfo] = useState(null);
-  const [downloadQueue, setDownloadQueue] = useState([]);
-  const [currentDownload, setCurrentDownload] = useState(null);
-  const [completedDownloads, setCompletedDownloads] = useState([]);
-  const [failedDownloads, setFailedDownloads] = useState([]);
+  const [batchJobs, setBatchJobs] = useState({});
+  const [skipArchived, setSkipArchived] = useState(true);
+  const [playlistLayout, setPlaylistLayout] = useState('playlist'); // 'playlist' (own folder) or 'flat'
+  const [writePlaylistFile, setWritePlaylistFile] = useState(false);
+  const [playlistFilters, setPlaylistFilters] = useState(EMPTY_PLAYLIST_FILTERS);
+  const [excludedUrls, setExcludedUrls] = useState(new Set()); // Playlist videos unticked after analysis
+  const [parameterVersion, setParameterVersion] = useState(0); // Bumped to remount the controls with new parameters
+  const batchIdRef = useRef(null);
   const [error, setError] = useState('');
   const [consoleProgress, setConsoleProgress] = useState({ message: '', type: 'info' });
   const [dynamicParameters, setDynamicParameters] = useState({
@@ -61,58 +70,44 @@ const BatchDownloader = () => {
     };
 
     loadSettings();
+  }, []);
 
-    // Setup event listeners
-    if (window.electronAPI) {
-      const handleBatchProgress = (data) => {
-        setConsoleProgress({
-          message: `📦 Batch Progress: ${data.completed}/${data.total} - ${data.currentVideo || 'Processing...'}`,
-          type: 'info'
-        });
-        
-        if (data.currentVideo) {
-          setCurrentDownload(data.currentVideo);
-        }
-        
-        if (data.completed > completedDownloads.length) {
-          setCompletedDownloads(prev => [...prev, data.lastCompleted]);
-        }
-        
-        if (data.failed && data.failed.length > failedDownloads.length) {
-          setFailedDownloads(data.failed);
+  // Follow the queued jobs that belong to the current batch
+  useEffect(() => {
+    if (!window.electronAPI?.onQueueUpdated) return;
+
+    const unsubscribe = window.electronAPI.onQueueUpdated((job) => {
+      if (!job || !batchIdRef.current || job.batchId !== batchIdRef.current) return;
+
+      setBatchJobs(prev => {
+        const next = { ...prev };
+        if (job.removed) {
+          delete next[job.id];
+        } else {
+          next[job.id] = job;
         }
-      };
+        return next;
+      });
+    });
 
-      const handleBatchComplete = (data) => {
-        setIsDownloading(false);
-        setCurrentDownload(null);
-        setConsoleProgress({
-          message: `✅ Batch download completed! ${data.successful}/${data.total} videos downloaded successfully.`,
-          type: 'success'
-        });
-      };
+    return unsubscribe;
+  }, []);
 
-      const handleBatchError = (data) => {
-        setError(data.error || 'Batch download failed');
-        setIsDownloading(false);
-        setCurrentDownload(null);
-        setConsoleProgress({
-          message: `❌ Batch download failed: ${data.error}`,
-          type: 'error'
-        });
-      };
+  useEffect(() => {
+    const jobs = Object.values(batchJobs);
+    if (jobs.length === 0) return;
 
-      window.electronAPI.on?.('batch-progress', handleBatchProgress);
-      window.electronAPI.on?.('batch-complete', handleBatchComplete);
-      window.electronAPI.on?.('batch-error', handleBatchError);
+    const pending = jobs.some(job => ['queued', 'running', 'paused'].includes(job.status));
+    setIsDownloading(pending);
 
-      return () => {
-        window.electronAPI.off?.('batch-progress', handleBatchProgress);
-        window.electronAPI.off?.('batch-complete', handleBatchComplete);
-        window.electronAPI.off?.('batch-error', handleBatchError);
-      };
+    if (!pending) {
+      const successful = jobs.filter(job => job.status === 'done').length;
+      setConsoleProgress({
+        message: `✅ Batch download completed! ${successful}/${jobs.length} videos downloaded successfully.`,
+        type: successful === jobs.length ? 'success' : 'warning'
+      });
     }
-  }, [completedDownloads.length, failedDownloads.length]);
+  }, [batchJobs]);
 
   const addUrlField = () => {
     setUrls([...urls, '']);
@@ -135,6 +130,9 @@ const BatchDownloader = () => {
     e.preventDefault();
     setError('');
     setBatchInfo(null);
+    setExcludedUrls(new Set());
+    setDiscoveredCount(0);
+    setDiscoveredVideos([]);
     setIsAnalyzing(true);
     
     const validUrls = urls.filter(url => url.trim());
@@ -158,11 +156,27 @@ const BatchDownloader = () => {
           type: 'info'
         });
         
+        // Playlist entries are streamed while yt-dlp lists them
+        const requestId = `${Date.now()}-${i}`;
+        setDiscoveredVideos([]);
+        const unsubscribe = window.electronAPI.onVideoInfoProgress?.((progress) => {
+          if (progress.requestId !== requestId) return;
+          setDiscoveredCount(progress.found);
+          setDiscoveredVideos(prev => [...prev, ...progress.items]);
+          const latest = progress.items[progress.items.length - 1];
+          setConsoleProgress({
+            message: `🔍 URL ${i + 1}/${validUrls.length}: found ${progress.found} videos${latest ? ` (latest: ${latest.title})` : ''}...`,
+            type: 'info'
+          });
+        });
+        
         try {
-          const videoInfo = await window.electronAPI.getVideoInfo(url);
-          
           // Check if this is a playlist URL on an unsupported platform
           const isPlaylistUrl = url.includes('playlist') || url.includes('list=');
+          const videoInfo = await window.electronAPI.getVideoInfo(url, {
+            playlistFilters: isPlaylistUrl && hasPlaylistFilters(playlistFilters) ? playlistFilters : null,
+            requestId
+          });
           if (isPlaylistUrl && videoInfo.platform && !videoInfo.platform.supportsPlaylists) {
             batchResults.push({ 
               url, 
@@ -175,6 +189,8 @@ const BatchDownloader = () => {
           }
         } catch (error) {
           batchResults.push({ url, error: error.message, status: 'error' });
+        } finally {
+          unsubscribe?.();
         }
       }
 
@@ -189,7 +205,13 @@ const BatchDownloader = () => {
         totalPlaylists: batchResults.filter(r => r.info?.isPlaylist && r.status !== 'warning').length,
         totalSingleVideos: batchResults.filter(r => r.info && (!r.info.isPlaylist || r.status === 'warning')).length,
         errors: batchResults.filter(r => r.status === 'error').length,
-        warnings: batchResults.filter(r => r.status === 'warning').length
+        warnings: batchResults.filter(r => r.status === 'warning').length,
+        archived: batchResults.reduce((sum, result) => {
+          if (result.info?.isPlaylist && result.status !== 'warning') {
+            return sum + (result.info.archivedCount || 0);
+          }
+          return sum + (result.info?.isArchived ? 1 : 0);
+        }, 0)
       });
 
       setConsoleProgress({
@@ -204,31 +226,92 @@ const BatchDownloader = () => {
       });
     } finally {
       setIsAnalyzing(false);
+      setDiscoveredVideos([]);
     }
   };
 
+  // Presets replace the current parameters; the controls are remounted to show them
+  const applyPreset = (presetParameters) => {
+    setDynamicParameters(prev => ({ ...prev, ...presetParameters }));
+    setParameterVersion(version => version + 1);
+  };
+
+  // Platform defaults only apply when every analyzed URL is from the same platform
+  const batchPlatforms = (batchInfo?.results || []).map(result => result.info?.platform).filter(Boolean);
+  const batchPlatform = batchPlatforms.length > 0 && batchPlatforms.every(item => item.type === batchPlatforms[0].type)
+    ? batchPlatforms[0]
+    : null;
+
   const handleBatchDownload = async () => {
     if (!batchInfo || !downloadPath) return;
     
     setIsDownloading(true);
     setError('');
-    setCompletedDownloads([]);
-    setFailedDownloads([]);
-    setCurrentDownload(null);
+    setBatchJobs({});
     
     try {
-      const downloadOptions = {
-        items: batchInfo?.results?.filter(r => ['ready', 'warning'].includes(r.status)) || [],
-        outputPath: downloadPath,
-        ...dynamicParameters
-      };
+      // Expand playlists into their individual videos
+      const allVideos = (batchInfo?.results || [])
+        .filter(r => ['ready', 'warning'].includes(r.status))
+        .flatMap(r => r.info?.isPlaylist && r.status !== 'warning'
+          ? (r.info.videos || []).map((video, index) => ({
+              ...video,
+              playlistTitle: r.info.title,
+              playlistIndex: video.playlist_index || index + 1,
+              playlistCount: r.info.videoCount
+            })).filter(video => video.url && !excludedUrls.has(video.url))
+          : [{
+              url: r.url,
+              id: r.info?.id,
+              title: r.info?.title,
+              uploader: r.info?.uploader,
+              uploadDate: r.info?.uploadDate,
+              extractor: r.info?.extractor,
+              thumbnail: r.info?.thumbnail,
+              tags: r.info?.tags,
+              archiveKey: r.info?.archiveKey,
+              isArchived: r.info?.isArchived
+            }]);
+      const videos = skipArchived ? allVideos.filter(video => !video.isArchived) : allVideos;
+
+      if (videos.length === 0) {
+        setConsoleProgress({
+          message: allVideos.length === 0
+            ? '⚠️ No videos selected. Tick at least one playlist video to download.'
+            : '✅ Every video in this batch was already downloaded. Untick "Skip already downloaded" to fetch them again.',
+          type: 'info'
+        });
+        setIsDownloading(false);
+        return;
+      }
+
 
+      const skipped = allVideos.length - videos.length;
       setConsoleProgress({
-        message: `🚀 Starting batch download of ${downloadOptions.items.length} items...`,
+        message: `🚀 Queueing batch download of ${videos.length} items...${skipped > 0 ? ` (skipping ${skipped} already downloaded)` : ''}`,
         type: 'info'
       });
 
-      await window.electronAPI.downloadBatch(downloadOptions);
+      const { batchId, jobs } = await window.electronAPI.enqueueBatch({
+        videos,
+        outputPath: downloadPath,
+        downloadOptions: dynamicParameters,
+        playlistLayout,
+        writePlaylistFile
+      });
+
+      batchIdRef.current = batchId;
+
+      // Jobs may already have started before the batch id was known here
+      const queue = await window.electronAPI.getDownloadQueue();
+      const latest = new Map(queue.map(job => [job.id, job]));
+      setBatchJobs(prev => {
+        const next = { ...prev };
+        jobs.forEach(job => {
+          if (!next[job.id]) next[job.id] = latest.get(job.id) || job;
+        });
+        return next;
+      });
     } catch (error) {
       console.error('Batch download error:', error);
       const errorMessage = error.message || 'Unknown error occurred';
@@ -237,9 +320,7 @@ const BatchDownloader = () => {
         message: `❌ Batch download failed: ${errorMessage}`,
         type: 'error'
       });
-    } finally {
       setIsDownloading(false);
-      setCurrentDownload(null);
     }
   };
 
@@ -274,15 +355,38 @@ const BatchDownloader = () => {
     }
   };
 
+  // Per-item queue actions (pause, resume, cancel, retry) by job ID
+  const handleJobAction = async (action, jobId) => {
+    try {
+      await window.electronAPI[action](jobId);
+    } catch (error) {
+      console.error('Batch item action failed:', error);
+      setConsoleProgress({
+        message: `❌ ${error.message || 'Action failed'}`,
+        type: 'error'
+      });
+    }
+  };
+
   const resetBatch = () => {
     setBatchInfo(null);
-    setCompletedDownloads([]);
-    setFailedDownloads([]);
-    setCurrentDownload(null);
+    setBatchJobs({});
+    batchIdRef.current = null;
     setError('');
     setConsoleProgress({ message: '', type: 'info' });
   };
 
+  const jobList = Object.values(batchJobs);
+  const completedDownloads = jobList.filter(job => job.status === 'done');
+  const failedDownloads = jobList.filter(job => job.status === 'failed' || job.status === 'cancelled');
+  const remainingDownloads = jobList.length - completedDownloads.length - failedDownloads.length;
+  const runningDownloads = jobList
+    .filter(job => job.status === 'running')
+    .sort((a, b) => a.batchIndex - b.batchIndex);
+  const pausedDownloads = jobList
+    .filter(job => job.status === 'paused')
+    .sort((a, b) => a.batchIndex - b.batchIndex);
+
   return (
     <div className="space-y-6">
       {/* URL Input Section */}
@@ -352,7 +456,7 @@ const BatchDownloader = () => {
                   {isAnalyzing ? (
                     <>
                       <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
-                      Analyzing...
+                      Analyzing...{discoveredCount > 0 && ` (${discoveredCount} found)`}
                     </>
                   ) : (
                     <>
@@ -365,6 +469,20 @@ const BatchDownloader = () => {
                 </motion.button>
               </div>
             </div>
+            <PlaylistFilters
+              filters={playlistFilters}
+              onChange={setPlaylistFilters}
+              disabled={isAnalyzing || isDownloading}
+            />
+            {/* Videos can be unticked while the rest of the playlist is still being listed */}
+            {isAnalyzing && discoveredVideos.length > 0 && (
+              <PlaylistItemPicker
+                videos={discoveredVideos}
+                excludedUrls={excludedUrls}
+                onChange={setExcludedUrls}
+                disabled={isDownloading}
+              />
+            )}
           </form>
         </div>
       </motion.div>
@@ -474,6 +592,24 @@ const BatchDownloader = () => {
                           )}
                           {result.info?.isPlaylist && result.status !== 'warning' ? `Playlist (${result.info.videoCount} videos)` : 'Single Video'}
                         </div>
+                        {result.info?.isPlaylist && result.status !== 'warning' && result.info.archivedCount > 0 && (
+                          <div className="text-xs text-blue-600 dark:text-blue-400 mt-1">
+                            🗂️ {result.info.archivedCount} of {result.info.videoCount} already downloaded
+                          </div>
+                        )}
+                        {result.info?.isPlaylist && result.status !== 'warning' && result.info.videos?.length > 0 && (
+                          <PlaylistItemPicker
+                            videos={result.info.videos}
+                            excludedUrls={excludedUrls}
+                            onChange={setExcludedUrls}
+                            disabled={isDownloading}
+                          />
+                        )}
+                        {!result.info?.isPlaylist && result.info?.isArchived && (
+                          <div className="text-xs text-blue-600 dark:text-blue-400 mt-1">
+                            🗂️ Already downloaded
+                          </div>
+                        )}
                         {result.error && (
                           <div className="text-xs text-red-600 dark:text-red-400 mt-1">
                             Error: {result.error}
@@ -512,7 +648,14 @@ const BatchDownloader = () => {
             exit={{ opacity: 0, y: -20 }}
             transition={{ delay: 0.1 }}
           >
+            <PresetPicker
+              parameters={dynamicParameters}
+              onApply={applyPreset}
+              platform={batchPlatform}
+              disabled={isDownloading}
+            />
             <DynamicParameterControls 
+              key={parameterVersion}
               videoInfo={{ formats: [] }} // Dummy for compatibility
               onParametersChange={setDynamicParameters}
               initialSettings={dynamicParameters}
@@ -553,17 +696,71 @@ const BatchDownloader = () => {
                 Batch Download Progress
               </h3>
               
-              {currentDownload && (
+              {runningDownloads.length > 0 && (
                 <div className="mb-4 p-3 bg-blue-50 dark:bg-blue-900/20 rounded-lg">
-                  <div className="text-sm font-medium text-blue-800 dark:text-blue-200">
-                    Currently downloading:
+                  <div className="text-sm font-medium text-blue-800 dark:text-blue-200 mb-2">
+                    Currently downloading ({runningDownloads.length}):
                   </div>
-                  <div className="text-sm text-blue-700 dark:text-blue-300">
-                    {currentDownload}
+                  <div className="space-y-2">
+                    {runningDownloads.map(job => {
+                      const percent = typeof job.progress?.progress === 'number' ? Math.round(job.progress.progress) : 0;
+                      return (
+                        <div key={job.id}>
+                          <div className="flex justify-between text-sm text-blue-700 dark:text-blue-300">
+                            <span className="truncate mr-3">#{job.batchIndex} {job.title}</span>
+                            <span className="flex items-center space-x-2 flex-shrink-0">
+                              <span>{percent}%</span>
+                              <button
+                                onClick={() => handleJobAction('pauseDownload', job.id)}
+                                className="text-xs hover:underline"
+                              >
+                                Pause
+                              </button>
+                              <button
+                                onClick={() => handleJobAction('cancelDownload', job.id)}
+                                className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                              >
+                                Cancel
+                              </button>
+                            </span>
+                          </div>
+                          <div className="w-full bg-blue-100 dark:bg-blue-800 rounded-full h-1.5 mt-1">
+                            <div
+                              className="bg-blue-600 dark:bg-blue-400 h-1.5 rounded-full transition-all duration-300"
+                              style={{ width: `${percent}%` }}
+                            />
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
                 </div>
               )}
               
+              {pausedDownloads.length > 0 && (
+                <div className="mb-4 p-3 bg-yellow-50 dark:bg-yellow-900/20 rounded-lg space-y-1">
+                  {pausedDownloads.map(job => (
+                    <div key={job.id} className="flex justify-between text-sm text-yellow-700 dark:text-yellow-300">
+                      <span className="truncate mr-3">⏸️ #{job.batchIndex} {job.title}</span>
+                      <span className="flex items-center space-x-2 flex-shrink-0">
+                        <button
+                          onClick={() => handleJobAction('resumeDownload', job.id)}
+                          className="text-xs hover:underline"
+                        >
+                          Resume
+                        </button>
+                        <button
+                          onClick={() => handleJobAction('cancelDownload', job.id)}
+                          className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                        >
+                          Cancel
+                        </button>
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               <div className="grid grid-cols-3 gap-4 mb-4">
                 <div className="text-center">
                   <div className="text-2xl font-bold text-green-600 dark:text-green-400">
@@ -583,7 +780,7 @@ const BatchDownloader = () => {
                 </div>
                 <div className="text-center">
                   <div className="text-2xl font-bold text-blue-600 dark:text-blue-400">
-                    {batchInfo ? batchInfo.totalVideos - completedDownloads.length - failedDownloads.length : 0}
+                    {remainingDownloads}
                   </div>
                   <div className="text-sm text-gray-600 dark:text-gray-400">
                     Remaining
@@ -591,6 +788,24 @@ const BatchDownloader = () => {
                 </div>
               </div>
               
+              {failedDownloads.length > 0 && (
+                <div className="mb-4 p-3 bg-red-50 dark:bg-red-900/20 rounded-lg space-y-1 max-h-40 overflow-y-auto">
+                  {failedDownloads.map(job => (
+                    <div key={job.id} className="flex justify-between text-sm text-red-700 dark:text-red-300">
+                      <span className="truncate mr-3" title={job.error || ''}>
+                        {job.status === 'cancelled' ? '⏹️' : '❌'} #{job.batchIndex} {job.title}
+                      </span>
+                      <button
+                        onClick={() => handleJobAction('retryDownload', job.id)}
+                        className="text-xs hover:underline flex-shrink-0"
+                      >
+                        Retry
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {!isDownloading && completedDownloads.length > 0 && (
                 <div className="flex justify-center space-x-3">
                   <motion.button
@@ -629,8 +844,55 @@ const BatchDownloader = () => {
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -20 }}
-            className="flex justify-center"
+            className="flex flex-col items-center space-y-3"
           >
+            {batchInfo.archived > 0 && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={skipArchived}
+                  onChange={(e) => setSkipArchived(e.target.checked)}
+                  className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+                />
+                <span>Skip {batchInfo.archived} already downloaded video(s)</span>
+              </label>
+            )}
+            {batchInfo.totalPlaylists > 0 && (
+              <div className="flex flex-col sm:flex-row items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+                <div className="flex space-x-1 bg-gray-100 dark:bg-gray-800 p-1 rounded-lg">
+                  {[
+                    { value: 'playlist', label: '📁 Folder per playlist' },
+                    { value: 'flat', label: '📄 Flat' }
+                  ].map(layout => (
+                    <button
+                      key={layout.value}
+                      onClick={() => setPlaylistLayout(layout.value)}
+                      className={`px-3 py-1.5 rounded-md font-medium transition-all duration-200 ${
+                        playlistLayout === layout.value
+                          ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                          : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                      }`}
+                    >
+                      {layout.label}
+                    </button>
+                  ))}
+                </div>
+                <label className="flex items-center space-x-2">
+                  <input
+                    type="checkbox"
+                    checked={writePlaylistFile}
+                    onChange={(e) => setWritePlaylistFile(e.target.checked)}
+                    className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+                  />
+                  <span>Create .m3u8 playlist file</span>
+                </label>
+              </div>
+            )}
+            {batchInfo.totalPlaylists > 0 && playlistLayout === 'playlist' && (
+              <div className="text-xs text-gray-500 dark:text-gray-400">
+                Each playlist is saved in its own folder with numbered files (01 - Title.mp4)
+              </div>
+            )}
             <motion.button
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
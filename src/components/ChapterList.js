@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+
+const COLLAPSED_COUNT = 8;
+
+const formatTimestamp = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+
+  if (hours > 0) {
+    return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Chapters of the analyzed video. `selected` holds the picked chapter indexes,
+// or null when the whole video is downloaded.
+const ChapterList = ({ chapters, selected, onChange }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  const isPicked = (chapter) => !selected || selected.includes(chapter.index);
+
+  const toggleChapter = (chapter) => {
+    const current = selected || chapters.map(item => item.index);
+    const next = current.includes(chapter.index)
+      ? current.filter(index => index !== chapter.index)
+      : [...current, chapter.index].sort((a, b) => a - b);
+
+    // Picking every chapter is the same as downloading the whole video
+    onChange(next.length === chapters.length ? null : next);
+  };
+
+  const visibleChapters = isExpanded ? chapters : chapters.slice(0, COLLAPSED_COUNT);
+  const pickedCount = selected ? selected.length : chapters.length;
+
+  return (
+    <div className="mt-4 rounded-lg border border-gray-200 dark:border-gray-700 p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h4 className="text-sm font-semibold text-gray-900 dark:text-white">
+          🔖 Chapters ({chapters.length})
+        </h4>
+        <div className="flex items-center space-x-3 text-xs">
+          <span className="text-gray-500 dark:text-gray-400">
+            {selected ? `${pickedCount} selected` : 'Whole video'}
+          </span>
+          <button type="button" onClick={() => onChange(null)} className="text-brand-600 dark:text-brand-400 hover:underline">
+            All
+          </button>
+          <button type="button" onClick={() => onChange([])} className="text-brand-600 dark:text-brand-400 hover:underline">
+            None
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        {visibleChapters.map(chapter => (
+          <label
+            key={chapter.index}
+            className="flex items-center space-x-3 px-2 py-1 rounded hover:bg-gray-50 dark:hover:bg-gray-800 text-sm cursor-pointer"
+          >
+            <input
+              type="checkbox"
+              checked={isPicked(chapter)}
+              onChange={() => toggleChapter(chapter)}
+              className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+            />
+            <span className="font-mono text-xs text-gray-500 dark:text-gray-400 w-14">
+              {formatTimestamp(chapter.startTime)}
+            </span>
+            <span className="flex-1 truncate text-gray-900 dark:text-white">
+              {chapter.title || `Chapter ${chapter.index}`}
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {chapters.length > COLLAPSED_COUNT && (
+        <button
+          type="button"
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="mt-2 text-xs text-brand-600 dark:text-brand-400 hover:underline"
+        >
+          {isExpanded ? 'Show fewer' : `Show all ${chapters.length} chapters`}
+        </button>
+      )}
+
+      {selected && selected.length === 0 && (
+        <p className="mt-2 text-xs text-red-600 dark:text-red-400">Pick at least one chapter to download.</p>
+      )}
+    </div>
+  );
+};
+
+export default ChapterList;
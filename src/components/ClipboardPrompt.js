@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+// Prompts stay up for a while, then get out of the way on their own
+const PROMPT_TIMEOUT = 15000;
+
+// Toast offered when the clipboard monitor (Settings → Watch clipboard) spots a video link
+const ClipboardPrompt = ({ onAnalyze }) => {
+  const [prompt, setPrompt] = useState(null);
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onClipboardUrl) return;
+
+    return window.electronAPI.onClipboardUrl((data) => {
+      setStatus(null);
+      setPrompt(data);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!prompt) return;
+
+    const timeout = setTimeout(() => setPrompt(null), PROMPT_TIMEOUT);
+    return () => clearTimeout(timeout);
+  }, [prompt]);
+
+  const handleAnalyze = () => {
+    onAnalyze(prompt.url);
+    setPrompt(null);
+  };
+
+  const handleDownload = async () => {
+    try {
+      await window.electronAPI.quickDownloadUrl(prompt.url);
+      setStatus({ message: 'Added to the download queue', type: 'success' });
+      setTimeout(() => setPrompt(null), 2000);
+    } catch (error) {
+      setStatus({ message: `Could not queue download: ${error.message}`, type: 'error' });
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {prompt && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: 20 }}
+          className="fixed bottom-6 right-6 z-50 w-80 card shadow-lg"
+        >
+          <div className="card-body">
+            <div className="flex items-start justify-between">
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900 dark:text-white">
+                  📋 {prompt.platform?.name || 'Video'} link copied
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400 truncate mt-1" title={prompt.url}>
+                  {prompt.url}
+                </div>
+              </div>
+              <button
+                onClick={() => setPrompt(null)}
+                className="ml-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                title="Dismiss"
+              >
+                ✕
+              </button>
+            </div>
+            {status ? (
+              <div className={`text-xs mt-3 ${status.type === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+                {status.message}
+              </div>
+            ) : (
+              <div className="flex space-x-2 mt-3">
+                <button onClick={handleAnalyze} className="btn-secondary text-sm flex-1">
+                  Analyze
+                </button>
+                <button onClick={handleDownload} className="btn-primary text-sm flex-1">
+                  Download
+                </button>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ClipboardPrompt;
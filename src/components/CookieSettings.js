@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import Button from './ui/Button';
+import Input from './ui/Input';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/Card';
+
+// Normalise what users paste ("https://www.youtube.com/watch?v=..." or "YouTube.com") to a bare domain
+const normalizeDomain = (value) => {
+  const trimmed = value.trim().toLowerCase();
+  if (trimmed === '*') return trimmed;
+
+  try {
+    const host = trimmed.includes('://') ? new URL(trimmed).hostname : trimmed.split('/')[0];
+    return host.replace(/^www\./, '');
+  } catch (error) {
+    return '';
+  }
+};
+
+const CookieSettings = ({ settings, updateSetting, showNotification }) => {
+  const [domain, setDomain] = useState('');
+  const profiles = settings.cookieProfiles || {};
+
+  const chooseCookieFile = async () => {
+    const result = await window.electronAPI.selectCookieFile();
+    if (result && result.error) {
+      showNotification(result.error, 'error');
+      return null;
+    }
+    return result && !result.canceled ? result.filePath : null;
+  };
+
+  const addProfile = async () => {
+    const key = normalizeDomain(domain);
+    if (!key) {
+      showNotification('Enter a site such as youtube.com, or * for all sites', 'error');
+      return;
+    }
+
+    const filePath = await chooseCookieFile();
+    if (!filePath) return;
+
+    updateSetting('cookieProfiles', { ...profiles, [key]: filePath });
+    setDomain('');
+    showNotification(`Cookies for ${key === '*' ? 'all sites' : key} saved`, 'success');
+  };
+
+  const replaceFile = async (key) => {
+    const filePath = await chooseCookieFile();
+    if (!filePath) return;
+    updateSetting('cookieProfiles', { ...profiles, [key]: filePath });
+  };
+
+  const removeProfile = (key) => {
+    const { [key]: removed, ...rest } = profiles;
+    updateSetting('cookieProfiles', rest);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center space-x-3">
+          <div className="w-10 h-10 bg-brand-100 dark:bg-brand-900/20 rounded-lg flex items-center justify-center">
+            <svg className="w-5 h-5 text-brand-600 dark:text-brand-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+            </svg>
+          </div>
+          <div>
+            <CardTitle>Cookies & Sign-in</CardTitle>
+            <CardDescription>Use your browser cookies for age-restricted and members-only videos</CardDescription>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          Export cookies in Netscape format (cookies.txt) with a browser extension while signed in,
+          then assign the file to a site. Use <span className="font-mono">*</span> to apply a file to every other site.
+          Cookie files stay on this computer and are only passed to yt-dlp.
+        </p>
+
+        <div className="space-y-2 mb-6">
+          {Object.keys(profiles).length === 0 ? (
+            <div className="text-sm text-gray-500 dark:text-gray-400">No cookie profiles configured.</div>
+          ) : (
+            Object.entries(profiles).map(([key, filePath]) => (
+              <div key={key} className="flex items-center justify-between p-3 rounded-lg border border-gray-200 dark:border-gray-700">
+                <div className="min-w-0 mr-3">
+                  <div className="text-sm font-medium text-gray-900 dark:text-white">
+                    {key === '*' ? 'All other sites' : key}
+                  </div>
+                  <div className="text-xs font-mono text-gray-500 dark:text-gray-400 truncate" title={filePath}>
+                    {filePath}
+                  </div>
+                </div>
+                <div className="flex space-x-2 flex-shrink-0">
+                  <Button variant="secondary" size="sm" onClick={() => replaceFile(key)}>
+                    Change
+                  </Button>
+                  <Button variant="danger" size="sm" onClick={() => removeProfile(key)}>
+                    Remove
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3 items-end">
+          <Input
+            label="🌐 Site"
+            value={domain}
+            onChange={(e) => setDomain(e.target.value)}
+            placeholder="youtube.com"
+            containerClassName="flex-1 w-full"
+          />
+          <Button variant="primary" onClick={addProfile} disabled={!domain.trim()}>
+            Choose cookies.txt
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default CookieSettings;
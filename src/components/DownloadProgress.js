@@ -1,9 +1,19 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 
-const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPath }) => {
+const PHASE_LABELS = {
+  download: 'Downloading...',
+  merge: 'Merging formats...',
+  postprocess: 'Post-processing...'
+};
+
+const DownloadProgress = ({ progress, isDownloading, isPaused, isComplete, error, onCancel, onPause, onResume, onRetry, downloadPath }) => {
+  const isFinished = isComplete || progress?.phase === 'done';
+
   const formatSpeed = (speed) => {
     if (!speed) return '0 B/s';
+    // FFmpeg fallbacks report a descriptive string such as "1.5x speed"
+    if (typeof speed === 'string') return speed;
     const units = ['B/s', 'KB/s', 'MB/s', 'GB/s'];
     let size = speed;
     let unitIndex = 0;
@@ -55,7 +65,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
       );
     }
     
-    if (progress?.percent === 100) {
+    if (isFinished) {
       return (
         <svg className="w-5 h-5 text-green-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
@@ -87,21 +97,23 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
 
   const getStatusText = () => {
     if (error) return 'Download Failed';
-    if (progress?.percent === 100) return 'Download Complete';
-    if (isDownloading) return 'Downloading...';
+    if (isFinished) return 'Download Complete';
+    if (isPaused) return 'Paused';
+    if (isDownloading) return PHASE_LABELS[progress?.phase] || 'Downloading...';
     return 'Ready to Download';
   };
 
   const getStatusColor = () => {
     if (error) return 'text-red-600 dark:text-red-400';
-    if (progress?.percent === 100) return 'text-green-600 dark:text-green-400';
+    if (isFinished) return 'text-green-600 dark:text-green-400';
+    if (isPaused) return 'text-yellow-600 dark:text-yellow-400';
     if (isDownloading) return 'text-brand-600 dark:text-brand-400';
     return 'text-gray-600 dark:text-gray-400';
   };
 
   return (
     <AnimatePresence>
-      {(isDownloading || progress || error) && (
+      {(isDownloading || isPaused || isFinished || progress || error) && (
         <motion.div
           initial={{ opacity: 0, y: 20, scale: 0.95 }}
           animate={{ opacity: 1, y: 0, scale: 1 }}
@@ -115,14 +127,40 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                 <span className="ml-2">Download Progress</span>
               </h2>
               
-              {isDownloading && onCancel && (
-                <button
-                  onClick={onCancel}
-                  className="px-3 py-1 text-sm text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
-                >
-                  Cancel
-                </button>
-              )}
+              <div className="flex items-center space-x-2">
+                {isDownloading && !isPaused && onPause && (
+                  <button
+                    onClick={onPause}
+                    className="px-3 py-1 text-sm text-gray-600 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-800 rounded-lg transition-colors"
+                  >
+                    Pause
+                  </button>
+                )}
+                {isPaused && onResume && (
+                  <button
+                    onClick={onResume}
+                    className="px-3 py-1 text-sm text-brand-600 hover:text-brand-700 dark:text-brand-400 dark:hover:text-brand-300 hover:bg-brand-50 dark:hover:bg-brand-900/20 rounded-lg transition-colors"
+                  >
+                    Resume
+                  </button>
+                )}
+                {error && onRetry && (
+                  <button
+                    onClick={onRetry}
+                    className="px-3 py-1 text-sm text-brand-600 hover:text-brand-700 dark:text-brand-400 dark:hover:text-brand-300 hover:bg-brand-50 dark:hover:bg-brand-900/20 rounded-lg transition-colors"
+                  >
+                    Retry
+                  </button>
+                )}
+                {(isDownloading || isPaused) && onCancel && (
+                  <button
+                    onClick={onCancel}
+                    className="px-3 py-1 text-sm text-red-600 hover:text-red-700 dark:text-red-400 dark:hover:text-red-300 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-lg transition-colors"
+                  >
+                    Cancel
+                  </button>
+                )}
+              </div>
             </div>
           </div>
           
@@ -133,7 +171,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                 {getStatusText()}
               </span>
               
-              {progress?.percent !== undefined && (
+              {typeof progress?.percent === 'number' && (
                 <span className="text-sm font-mono text-gray-600 dark:text-gray-400">
                   {progress.percent.toFixed(1)}%
                 </span>
@@ -141,7 +179,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
             </div>
             
             {/* Progress Bar */}
-            {progress?.percent !== undefined && (
+            {typeof progress?.percent === 'number' && (
               <div className="mb-6">
                 <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3 overflow-hidden">
                   <motion.div
@@ -151,7 +189,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                     className={`h-full rounded-full ${
                       error
                         ? 'bg-red-500'
-                        : progress.percent === 100
+                        : isFinished
                         ? 'bg-green-500'
                         : 'bg-gradient-to-r from-brand-500 to-brand-600'
                     }`}
@@ -174,7 +212,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
             {progress && (
               <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
                 {/* Downloaded Size */}
-                {progress.downloaded_bytes !== undefined && (
+                {typeof progress.downloaded_bytes === 'number' && (
                   <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
                     <div className="flex items-center text-gray-600 dark:text-gray-400 text-sm mb-1">
                       <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -184,9 +222,9 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                     </div>
                     <div className="font-semibold text-gray-900 dark:text-white">
                       {formatSize(progress.downloaded_bytes)}
-                      {progress.total_bytes && (
+                      {(progress.total_bytes || progress.total_bytes_estimate) && (
                         <span className="text-gray-500 dark:text-gray-400 text-sm ml-1">
-                          / {formatSize(progress.total_bytes)}
+                          / {progress.total_bytes ? '' : '~'}{formatSize(progress.total_bytes || progress.total_bytes_estimate)}
                         </span>
                       )}
                     </div>
@@ -194,7 +232,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                 )}
                 
                 {/* Download Speed */}
-                {progress.speed !== undefined && (
+                {progress.speed !== undefined && progress.speed !== null && (
                   <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
                     <div className="flex items-center text-gray-600 dark:text-gray-400 text-sm mb-1">
                       <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -209,7 +247,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                 )}
                 
                 {/* ETA */}
-                {progress.eta !== undefined && progress.eta > 0 && (
+                {typeof progress.eta === 'number' && progress.eta > 0 && (
                   <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
                     <div className="flex items-center text-gray-600 dark:text-gray-400 text-sm mb-1">
                       <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -224,7 +262,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                 )}
                 
                 {/* Elapsed Time */}
-                {progress.elapsed !== undefined && (
+                {typeof progress.elapsed === 'number' && (
                   <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
                     <div className="flex items-center text-gray-600 dark:text-gray-400 text-sm mb-1">
                       <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -237,6 +275,21 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
                     </div>
                   </div>
                 )}
+                
+                {/* Fragments (HLS/DASH streams) */}
+                {typeof progress.fragment_count === 'number' && (
+                  <div className="bg-gray-50 dark:bg-gray-800 rounded-lg p-3">
+                    <div className="flex items-center text-gray-600 dark:text-gray-400 text-sm mb-1">
+                      <svg className="w-4 h-4 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h16M4 18h16" />
+                      </svg>
+                      Fragments
+                    </div>
+                    <div className="font-semibold text-gray-900 dark:text-white">
+                      {progress.fragment_index || 0} / {progress.fragment_count}
+                    </div>
+                  </div>
+                )}
               </div>
             )}
             
@@ -264,7 +317,7 @@ const DownloadProgress = ({ progress, isDownloading, error, onCancel, downloadPa
             )}
             
             {/* Success Message with Download Path */}
-            {progress?.percent === 100 && !error && downloadPath && (
+            {isFinished && !error && downloadPath && (
               <motion.div
                 initial={{ opacity: 0, scale: 0.95 }}
                 animate={{ opacity: 1, scale: 1 }}
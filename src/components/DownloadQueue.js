@@ -0,0 +1,265 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const STATUS_STYLES = {
+  queued: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300',
+  running: 'bg-blue-100 dark:bg-blue-800 text-blue-800 dark:text-blue-200',
+  paused: 'bg-yellow-100 dark:bg-yellow-800 text-yellow-800 dark:text-yellow-200',
+  failed: 'bg-red-100 dark:bg-red-800 text-red-800 dark:text-red-200',
+  cancelled: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200',
+  done: 'bg-green-100 dark:bg-green-800 text-green-800 dark:text-green-200'
+};
+
+const STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Downloading',
+  paused: 'Paused',
+  failed: 'Failed',
+  cancelled: 'Cancelled',
+  done: 'Done'
+};
+
+const describeSource = (job) => {
+  switch (job.source) {
+    case 'batch':
+      return `Batch item #${job.batchIndex}`;
+    case 'subscription':
+      return 'New from subscription';
+    case 'clipboard':
+      return 'Copied link';
+    case 'api':
+      return 'Added through the automation API';
+    default:
+      return 'Single video';
+  }
+};
+
+// datetime-local inputs want local time without seconds or zone
+const toLocalInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const DownloadQueue = () => {
+  const [jobs, setJobs] = useState([]);
+  const [error, setError] = useState('');
+  const [schedulingId, setSchedulingId] = useState(null);
+  const [startAtInput, setStartAtInput] = useState('');
+
+  useEffect(() => {
+    if (!window.electronAPI?.getDownloadQueue) return;
+
+    window.electronAPI.getDownloadQueue()
+      .then(setJobs)
+      .catch(err => console.error('Error loading download queue:', err));
+
+    return window.electronAPI.onQueueUpdated((job) => {
+      setJobs(prev => {
+        if (job.removed) {
+          return prev.filter(item => item.id !== job.id);
+        }
+        const index = prev.findIndex(item => item.id === job.id);
+        if (index === -1) {
+          return [...prev, job];
+        }
+        const next = [...prev];
+        next[index] = job;
+        return next;
+      });
+    });
+  }, []);
+
+  const runAction = async (action, jobId) => {
+    try {
+      setError('');
+      await window.electronAPI[action](jobId);
+    } catch (err) {
+      setError(err.message || 'Queue action failed');
+    }
+  };
+
+  const openScheduler = (job) => {
+    setSchedulingId(schedulingId === job.id ? null : job.id);
+    setStartAtInput(toLocalInputValue(job.startAt ? new Date(job.startAt) : new Date(Date.now() + 60 * 60 * 1000)));
+  };
+
+  const scheduleJob = async (jobId, startAt) => {
+    try {
+      setError('');
+      await window.electronAPI.scheduleDownload(jobId, startAt);
+      setSchedulingId(null);
+    } catch (err) {
+      setError(err.message || 'Could not schedule the download');
+    }
+  };
+
+  // Start once no bandwidth window applies
+  const scheduleOffPeak = async (jobId) => {
+    try {
+      const status = await window.electronAPI.getBandwidthStatus();
+      if (!status.nextUnlimitedAt) {
+        setError('The bandwidth schedule never leaves downloads unlimited');
+        return;
+      }
+      await scheduleJob(jobId, status.nextUnlimitedAt);
+    } catch (err) {
+      setError(err.message || 'Could not read the bandwidth schedule');
+    }
+  };
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const hasFinished = jobs.some(job => ['done', 'failed', 'cancelled'].includes(job.status));
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      className="card"
+    >
+      <div className="card-body">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Download Queue ({jobs.length})
+          </h3>
+          {hasFinished && (
+            <motion.button
+              whileHover={{ scale: 1.02 }}
+              whileTap={{ scale: 0.98 }}
+              onClick={() => runAction('clearFinishedDownloads')}
+              className="btn-secondary text-sm"
+            >
+              Clear Finished
+            </motion.button>
+          )}
+        </div>
+
+        {error && (
+          <div className="mb-3 text-sm text-red-600 dark:text-red-400">
+            {error}
+          </div>
+        )}
+
+        <div className="space-y-2 max-h-72 overflow-y-auto">
+          <AnimatePresence>
+            {jobs.map(job => (
+              <motion.div
+                key={job.id}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -10 }}
+                className="p-3 rounded-lg border border-gray-200 dark:border-gray-700"
+              >
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0 mr-3">
+                    <div className="text-sm font-medium text-gray-900 dark:text-white truncate">
+                      {job.title}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      {describeSource(job)}
+                      {job.status === 'running' && typeof job.progress?.progress === 'number' && ` • ${Math.round(job.progress.progress)}%`}
+                      {job.status === 'queued' && job.startAt && new Date(job.startAt) > new Date() && ` • ⏰ Starts ${new Date(job.startAt).toLocaleString()}`}
+                    </div>
+                    {job.error && (
+                      <div className="text-xs text-red-600 dark:text-red-400 mt-1 truncate">
+                        {job.error}
+                      </div>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <span className={`px-2 py-1 rounded text-xs font-medium ${STATUS_STYLES[job.status]}`}>
+                      {STATUS_LABELS[job.status]}
+                    </span>
+                    {(job.status === 'queued' || job.status === 'running') && (
+                      <button
+                        onClick={() => runAction('pauseDownload', job.id)}
+                        className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        Pause
+                      </button>
+                    )}
+                    {(job.status === 'queued' || job.status === 'paused') && (
+                      <button
+                        onClick={() => openScheduler(job)}
+                        className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        Schedule
+                      </button>
+                    )}
+                    {job.status === 'paused' && (
+                      <button
+                        onClick={() => runAction('resumeDownload', job.id)}
+                        className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        Resume
+                      </button>
+                    )}
+                    {(job.status === 'failed' || job.status === 'cancelled') && (
+                      <button
+                        onClick={() => runAction('retryDownload', job.id)}
+                        className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        Retry
+                      </button>
+                    )}
+                    {['queued', 'running', 'paused'].includes(job.status) && (
+                      <button
+                        onClick={() => runAction('cancelDownload', job.id)}
+                        className="text-xs text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                    {job.status !== 'running' && (
+                      <button
+                        onClick={() => runAction('removeDownload', job.id)}
+                        className="text-xs text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200"
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </div>
+                </div>
+                {schedulingId === job.id && (
+                  <div className="flex flex-wrap items-center gap-2 mt-3">
+                    <input
+                      type="datetime-local"
+                      value={startAtInput}
+                      onChange={(e) => setStartAtInput(e.target.value)}
+                      className="input-primary text-sm w-auto"
+                    />
+                    <button
+                      onClick={() => scheduleJob(job.id, new Date(startAtInput).toISOString())}
+                      disabled={!startAtInput}
+                      className="btn-primary text-xs"
+                    >
+                      Start then
+                    </button>
+                    <button
+                      onClick={() => scheduleOffPeak(job.id)}
+                      className="btn-secondary text-xs"
+                    >
+                      When unlimited
+                    </button>
+                    {job.startAt && (
+                      <button
+                        onClick={() => scheduleJob(job.id, null)}
+                        className="text-xs text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white"
+                      >
+                        Start now
+                      </button>
+                    )}
+                  </div>
+                )}
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        </div>
+      </div>
+    </motion.div>
+  );
+};
+
+export default DownloadQueue;
@@ -1,20 +1,60 @@
 import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 
+const AUDIO_FORMATS = [
+  { value: 'mp3', label: 'MP3 (Universal)' },
+  { value: 'aac', label: 'AAC (High Quality)' },
+  { value: 'm4a', label: 'M4A (Apple devices)' },
+  { value: 'opus', label: 'Opus (Efficient)' },
+  { value: 'vorbis', label: 'Vorbis (OGG)' },
+  { value: 'wav', label: 'WAV (Lossless)', lossless: true },
+  { value: 'flac', label: 'FLAC (Audiophile)', lossless: true },
+  { value: 'alac', label: 'ALAC (Apple Lossless)', lossless: true }
+];
+
+// yt-dlp --audio-quality values: VBR levels (0 = best) or a constant bitrate
+const AUDIO_QUALITIES = [
+  { value: '0', label: 'VBR – Best (V0)' },
+  { value: '2', label: 'VBR – High (V2)' },
+  { value: '5', label: 'VBR – Medium (V5)' },
+  { value: '320K', label: '320 kbps' },
+  { value: '256K', label: '256 kbps' },
+  { value: '192K', label: '192 kbps' },
+  { value: '128K', label: '128 kbps' },
+  { value: '96K', label: '96 kbps' }
+];
+
+const SUBTITLE_FORMATS = [
+  { value: '', label: 'Original format' },
+  { value: 'srt', label: 'SRT (most players)' },
+  { value: 'vtt', label: 'VTT (web)' },
+  { value: 'ass', label: 'ASS (styled, MKV only when embedded)' }
+];
+
+// initialSettings may use the settings.json names (videoQuality, videoFormat) or the parameter names
 const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettings = {} }) => {
   const [parameters, setParameters] = useState({
-    quality: initialSettings.videoQuality || 'best',
-    format: initialSettings.videoFormat || 'mp4',
+    quality: initialSettings.quality || initialSettings.videoQuality || 'best',
+    format: initialSettings.format || initialSettings.videoFormat || 'mp4',
     audioFormat: initialSettings.audioFormat || 'mp3',
+    audioQuality: initialSettings.audioQuality || '0',
+    audioSampleRate: initialSettings.audioSampleRate || '', // Empty keeps the source's
+    audioChannels: initialSettings.audioChannels || '',
     extractAudio: initialSettings.extractAudio || false,
     integratedAudio: initialSettings.integratedAudio !== false, // Default to true
     downloadSubtitles: initialSettings.downloadSubtitles || false,
+    subtitleLanguages: initialSettings.subtitleLanguages || [], // Empty uses yt-dlp's default (English)
+    includeAutoSubs: initialSettings.includeAutoSubs !== false,
+    subtitleFormat: initialSettings.subtitleFormat || '',
+    embedSubtitles: initialSettings.embedSubtitles || false,
     embedThumbnail: initialSettings.embedThumbnail || false,
+    embedChapters: initialSettings.embedChapters !== false, // yt-dlp embeds chapters with the metadata
+    splitChapters: initialSettings.splitChapters || false,
     preferHEVC: initialSettings.preferHEVC || false,
     videoCodec: initialSettings.videoCodec || 'auto',
-    startTime: '',
-    endTime: '',
-    customArgs: ''
+    startTime: initialSettings.startTime || '',
+    endTime: initialSettings.endTime || '',
+    customArgs: initialSettings.customArgs || ''
   });
 
   useEffect(() => {
@@ -40,6 +80,19 @@ const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettin
     setParameters(newParams);
   };
 
+  const isLosslessAudio = AUDIO_FORMATS.some(option => option.value === parameters.audioFormat && option.lossless);
+
+  const subtitleLanguages = videoInfo?.subtitles || [];
+  const captionLanguages = (videoInfo?.automaticCaptions || [])
+    .filter(language => !subtitleLanguages.some(item => item.code === language.code));
+
+  const toggleSubtitleLanguage = (code) => {
+    const current = parameters.subtitleLanguages;
+    updateParameter('subtitleLanguages', current.includes(code)
+      ? current.filter(item => item !== code)
+      : [...current, code]);
+  };
+
   const getAvailableQualities = () => {
     if (!videoInfo?.formats) return [];
     
@@ -193,12 +246,11 @@ const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettin
           >
             {parameters.extractAudio ? (
               // Audio formats
-              <>
-                <option value="mp3">MP3 (Universal)</option>
-                <option value="aac">AAC (High Quality)</option>
-                <option value="wav">WAV (Lossless)</option>
-                <option value="flac">FLAC (Audiophile)</option>
-              </>
+              AUDIO_FORMATS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))
             ) : (
               // Video formats
               <>
@@ -221,6 +273,60 @@ const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettin
           </p>
         </div>
 
+        {/* Audio quality, sample rate and channels - Only show for audio extraction */}
+        {parameters.extractAudio && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              🎚️ Audio Quality
+            </label>
+            <select
+              value={parameters.audioQuality}
+              onChange={(e) => updateParameter('audioQuality', e.target.value)}
+              disabled={isLosslessAudio}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+            >
+              {AUDIO_QUALITIES.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+              {isLosslessAudio ? 'Lossless formats keep the full quality' : 'VBR adapts the bitrate to the content'}
+            </p>
+          </div>
+        )}
+
+        {parameters.extractAudio && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              〰️ Sample Rate &amp; Channels
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              <select
+                value={parameters.audioSampleRate}
+                onChange={(e) => updateParameter('audioSampleRate', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Original rate</option>
+                <option value="22050">22.05 kHz</option>
+                <option value="44100">44.1 kHz</option>
+                <option value="48000">48 kHz</option>
+                <option value="96000">96 kHz</option>
+              </select>
+              <select
+                value={parameters.audioChannels}
+                onChange={(e) => updateParameter('audioChannels', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                <option value="">Original channels</option>
+                <option value="2">Stereo</option>
+                <option value="1">Mono</option>
+              </select>
+            </div>
+          </div>
+        )}
+
         {/* Video Codec - Only show for video mode */}
         {!parameters.extractAudio && (
           <div>
@@ -354,8 +460,124 @@ const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettin
           />
           <span className="text-sm text-gray-700 dark:text-gray-300">🖼️ Embed thumbnail</span>
         </label>
+
+        <label className="flex items-center space-x-3">
+          <input
+            type="checkbox"
+            checked={parameters.embedChapters}
+            onChange={(e) => updateParameter('embedChapters', e.target.checked)}
+            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <span className="text-sm text-gray-700 dark:text-gray-300">🔖 Embed chapter markers</span>
+        </label>
+        
+        <label className="flex items-center space-x-3">
+          <input
+            type="checkbox"
+            checked={parameters.splitChapters}
+            onChange={(e) => updateParameter('splitChapters', e.target.checked)}
+            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <span className="text-sm text-gray-700 dark:text-gray-300">✂️ Split into one file per chapter</span>
+        </label>
       </div>
 
+      {/* Subtitle Options */}
+      {parameters.downloadSubtitles && (
+        <div className="mt-6 p-4 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 space-y-4">
+          <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300">📝 Subtitles</h4>
+
+          <div>
+            <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-2">
+              Languages
+            </label>
+            {subtitleLanguages.length > 0 || captionLanguages.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {[...subtitleLanguages, ...captionLanguages].map(language => {
+                  const isAuto = !subtitleLanguages.includes(language);
+                  const isSelected = parameters.subtitleLanguages.includes(language.code);
+                  return (
+                    <button
+                      key={`${isAuto ? 'auto' : 'sub'}-${language.code}`}
+                      type="button"
+                      onClick={() => toggleSubtitleLanguage(language.code)}
+                      title={isAuto ? 'Automatic captions' : 'Uploaded subtitles'}
+                      className={`px-2.5 py-1 rounded-full text-xs font-medium border ${
+                        isSelected
+                          ? 'bg-blue-600 border-blue-600 text-white'
+                          : 'bg-white dark:bg-gray-700 border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300'
+                      }`}
+                    >
+                      {language.name}{isAuto ? ' (auto)' : ''}
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <input
+                type="text"
+                value={parameters.subtitleLanguages.join(',')}
+                onChange={(e) => updateParameter('subtitleLanguages', e.target.value.split(',').map(code => code.trim()))}
+                placeholder="en,fr,es"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            )}
+            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+              {parameters.subtitleLanguages.length === 0 ? 'None picked: English only' : `${parameters.subtitleLanguages.length} selected`}
+              {videoInfo && subtitleLanguages.length === 0 && captionLanguages.length === 0 && ' · This video lists no subtitles'}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-2">
+                Convert to
+              </label>
+              <select
+                value={parameters.subtitleFormat}
+                onChange={(e) => updateParameter('subtitleFormat', e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {SUBTITLE_FORMATS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-2">
+                Save as
+              </label>
+              <select
+                value={parameters.embedSubtitles && !parameters.extractAudio ? 'embed' : 'sidecar'}
+                onChange={(e) => updateParameter('embedSubtitles', e.target.value === 'embed')}
+                disabled={parameters.extractAudio}
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-50"
+              >
+                <option value="sidecar">Separate files next to the video</option>
+                <option value="embed">Embedded in the video (MP4/MKV/WebM)</option>
+              </select>
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-3">
+            <input
+              type="checkbox"
+              checked={parameters.includeAutoSubs}
+              onChange={(e) => updateParameter('includeAutoSubs', e.target.checked)}
+              className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <span className="text-sm text-gray-700 dark:text-gray-300">Use automatic captions when there are no uploaded subtitles</span>
+          </label>
+
+          {parameters.embedSubtitles && parameters.subtitleFormat === 'ass' && parameters.format === 'mp4' && !parameters.extractAudio && (
+            <p className="text-xs text-amber-600 dark:text-amber-400">
+              ⚠️ MP4 can't hold ASS subtitles; pick MKV or another subtitle format.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Parameter Preview */}
       <div className="mt-6 p-4 bg-gray-100 dark:bg-gray-800 rounded-lg">
         <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">📋 Generated Command Preview:</h4>
@@ -363,7 +585,13 @@ const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettin
           yt-dlp
           {(() => {
             if (parameters.extractAudio) {
-              return ` -f "bestaudio" --extract-audio --audio-format ${parameters.audioFormat}`;
+              const resample = [
+                parameters.audioSampleRate && `-ar ${parameters.audioSampleRate}`,
+                parameters.audioChannels && `-ac ${parameters.audioChannels}`
+              ].filter(Boolean).join(' ');
+              return ` -f "bestaudio" --extract-audio --audio-format ${parameters.audioFormat}` +
+                (isLosslessAudio ? '' : ` --audio-quality ${parameters.audioQuality}`) +
+                (resample ? ` --postprocessor-args "ExtractAudio:${resample}"` : '');
             } else {
               let formatStr = '';
               if (parameters.quality === 'best') {
@@ -389,8 +617,13 @@ const DynamicParameterControls = ({ videoInfo, onParametersChange, initialSettin
               return formatStr;
             }
           })()}
-          {parameters.downloadSubtitles ? ' --write-subs --write-auto-subs' : ''}
+          {parameters.downloadSubtitles ? ` --write-subs${parameters.includeAutoSubs ? ' --write-auto-subs' : ''}` : ''}
+          {parameters.downloadSubtitles && parameters.subtitleLanguages.length > 0 ? ` --sub-langs ${parameters.subtitleLanguages.filter(Boolean).join(',')}` : ''}
+          {parameters.downloadSubtitles && parameters.subtitleFormat ? ` --convert-subs ${parameters.subtitleFormat}` : ''}
+          {parameters.downloadSubtitles && parameters.embedSubtitles && !parameters.extractAudio ? ' --embed-subs' : ''}
           {parameters.embedThumbnail ? ' --embed-thumbnail' : ''}
+          {parameters.embedChapters ? '' : ' --no-embed-chapters'}
+          {parameters.splitChapters ? ' --split-chapters' : ''}
           {parameters.startTime ? ` --download-sections "*${parameters.startTime}-${parameters.endTime || 'end'}"` : ''}
           {parameters.customArgs ? ` ${parameters.customArgs}` : ''}
           {' -o "[OUTPUT_PATH]/%(title)s.%(ext)s" "[URL]"'}
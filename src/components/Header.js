@@ -8,7 +8,7 @@ import Help from './Help';
 import About from './About';
 import Settings from './Settings';
 
-const Header = forwardRef(({ onNavigate }, ref) => {
+const Header = forwardRef(({ onNavigate, videoInfo }, ref) => {
   const { isDark, toggleTheme } = useTheme();
   const [activeModal, setActiveModal] = useState(null);
   
@@ -70,6 +70,32 @@ const Header = forwardRef(({ onNavigate }, ref) => {
 
           {/* Actions */}
           <div className="flex items-center space-x-2">
+            {/* History Button */}
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => onNavigate && onNavigate('history')}
+              className="p-2.5 rounded-lg bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors duration-200"
+              title="Download History"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+              </svg>
+            </motion.button>
+
+            {/* Subscriptions Button */}
+            <motion.button
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => onNavigate && onNavigate('subscriptions')}
+              className="p-2.5 rounded-lg bg-gray-100 dark:bg-gray-800 text-gray-600 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors duration-200"
+              title="Subscriptions"
+            >
+              <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+              </svg>
+            </motion.button>
+
             {/* Help Button */}
             <motion.button
               whileHover={{ scale: 1.05 }}
@@ -201,7 +227,7 @@ const Header = forwardRef(({ onNavigate }, ref) => {
         title="Settings"
         maxWidth="max-w-4xl"
       >
-        <Settings onNavigate={onNavigate} />
+        <Settings onNavigate={onNavigate} videoInfo={videoInfo} />
       </Modal>
     </motion.header>
   );
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All' },
+  { value: 'done', label: 'Completed' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'cancelled', label: 'Cancelled' }
+];
+
+const STATUS_STYLES = {
+  done: 'bg-green-100 dark:bg-green-800 text-green-800 dark:text-green-200',
+  failed: 'bg-red-100 dark:bg-red-800 text-red-800 dark:text-red-200',
+  cancelled: 'bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200'
+};
+
+const formatSize = (bytes) => {
+  if (!bytes) return null;
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let size = bytes;
+  let unitIndex = 0;
+
+  while (size >= 1024 && unitIndex < units.length - 1) {
+    size /= 1024;
+    unitIndex++;
+  }
+
+  return `${size.toFixed(1)} ${units[unitIndex]}`;
+};
+
+const History = ({ onNavigate }) => {
+  const [entries, setEntries] = useState([]);
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('all');
+  const [notice, setNotice] = useState(null);
+
+  const loadHistory = useCallback(async () => {
+    if (!window.electronAPI?.getDownloadHistory) return;
+
+    try {
+      const results = await window.electronAPI.getDownloadHistory({ query, status });
+      setEntries(results);
+    } catch (error) {
+      console.error('Error loading download history:', error);
+      setNotice({ message: `Failed to load history: ${error.message}`, type: 'error' });
+    }
+  }, [query, status]);
+
+  // Debounce searches while typing
+  useEffect(() => {
+    const timeout = setTimeout(loadHistory, 200);
+    return () => clearTimeout(timeout);
+  }, [loadHistory]);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onHistoryUpdated) return;
+    return window.electronAPI.onHistoryUpdated(() => loadHistory());
+  }, [loadHistory]);
+
+  const showNotice = (message, type = 'success') => {
+    setNotice({ message, type });
+    setTimeout(() => setNotice(null), 4000);
+  };
+
+  const handleOpenFile = async (entry) => {
+    const result = await window.electronAPI.openFile(entry.filePath);
+    if (!result.success) {
+      showNotice(`Could not open file: ${result.error}`, 'error');
+    }
+  };
+
+  const handleOpenFolder = async (entry) => {
+    if (entry.filePath) {
+      const result = await window.electronAPI.showItemInFolder(entry.filePath);
+      if (result.success) return;
+    }
+    window.electronAPI.openFolder(entry.outputPath);
+  };
+
+  const handleRedownload = async (entry) => {
+    try {
+      await window.electronAPI.redownloadFromHistory(entry.id);
+      showNotice(`"${entry.title}" added to the download queue`);
+    } catch (error) {
+      showNotice(`Re-download failed: ${error.message}`, 'error');
+    }
+  };
+
+  const handleRemove = async (entry) => {
+    await window.electronAPI.removeHistoryEntry(entry.id);
+    loadHistory();
+  };
+
+  const handleClear = async () => {
+    if (!window.confirm('Clear the entire download history? Downloaded files are not deleted.')) return;
+    await window.electronAPI.clearDownloadHistory();
+    loadHistory();
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex items-center justify-between"
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Download History</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Every finished, failed or cancelled download
+          </p>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => onNavigate && onNavigate('home')}
+          className="px-4 py-2 bg-brand-600 hover:bg-brand-700 text-white rounded-lg transition-colors duration-200 flex items-center space-x-2"
+        >
+          <span>←</span>
+          <span>Back to Home</span>
+        </motion.button>
+      </motion.div>
+
+      {/* Search and filters */}
+      <div className="card">
+        <div className="card-body flex flex-col md:flex-row gap-3">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search by title, URL, uploader, format or file..."
+            className="input-primary flex-1"
+          />
+          <div className="flex space-x-1 bg-gray-100 dark:bg-gray-800 p-1 rounded-lg">
+            {STATUS_FILTERS.map(filter => (
+              <button
+                key={filter.value}
+                onClick={() => setStatus(filter.value)}
+                className={`px-3 py-1.5 rounded-md text-sm font-medium transition-all duration-200 ${
+                  status === filter.value
+                    ? 'bg-white dark:bg-gray-700 text-gray-900 dark:text-white shadow-sm'
+                    : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                }`}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <AnimatePresence>
+        {notice && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className={`p-3 rounded-lg text-sm ${
+              notice.type === 'error'
+                ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+                : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300'
+            }`}
+          >
+            {notice.message}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Entries */}
+      <div className="space-y-3">
+        {entries.length === 0 ? (
+          <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+            {query || status !== 'all' ? 'No downloads match your search.' : 'No downloads yet.'}
+          </div>
+        ) : (
+          entries.map(entry => (
+            <div key={entry.id} className="card">
+              <div className="card-body">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0 mr-4">
+                    <div className="font-medium text-gray-900 dark:text-white truncate" title={entry.title}>
+                      {entry.title}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 space-x-2">
+                      {entry.uploader && <span>{entry.uploader}</span>}
+                      <span>{new Date(entry.date).toLocaleString()}</span>
+                      <span>{entry.format}</span>
+                      {formatSize(entry.fileSize) && <span>{formatSize(entry.fileSize)}</span>}
+                    </div>
+                    <div className="text-xs text-gray-400 dark:text-gray-500 mt-1 truncate" title={entry.filePath || entry.outputPath}>
+                      {entry.filePath || entry.outputPath}
+                    </div>
+                    {entry.error && (
+                      <div className="text-xs text-red-600 dark:text-red-400 mt-1">
+                        {entry.error}
+                      </div>
+                    )}
+                  </div>
+                  <span className={`px-2 py-1 rounded text-xs font-medium flex-shrink-0 ${STATUS_STYLES[entry.status] || STATUS_STYLES.cancelled}`}>
+                    {entry.status}
+                  </span>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  {entry.status === 'done' && entry.filePath && (
+                    <button onClick={() => handleOpenFile(entry)} className="btn-secondary text-sm">
+                      Open File
+                    </button>
+                  )}
+                  {entry.outputPath && (
+                    <button onClick={() => handleOpenFolder(entry)} className="btn-secondary text-sm">
+                      Open Folder
+                    </button>
+                  )}
+                  <button onClick={() => handleRedownload(entry)} className="btn-secondary text-sm">
+                    Re-download
+                  </button>
+                  <button
+                    onClick={() => handleRemove(entry)}
+                    className="text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 px-2"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+
+      {entries.length > 0 && (
+        <div className="flex justify-end">
+          <button
+            onClick={handleClear}
+            className="text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200"
+          >
+            Clear History
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default History;
@@ -19,7 +19,8 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
       const timestamp = new Date().toLocaleTimeString();
       const message = downloadProgress.message || downloadProgress;
       const type = downloadProgress.type || 'info';
-      const progress = downloadProgress.progress;
+      const progress = typeof downloadProgress.progress === 'number' ? downloadProgress.progress : null;
+      const phase = downloadProgress.phase;
       
       setLogs(prev => {
         // Check if this is a progress update that should replace the last log
@@ -32,7 +33,8 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
               timestamp,
               message,
               type,
-              progress
+              progress,
+              phase
             }];
             return updated.slice(-100);
           }
@@ -44,7 +46,8 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
           timestamp,
           message,
           type,
-          progress
+          progress,
+          phase
         };
         
         const updated = [...prev, newLog];
@@ -58,7 +61,10 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
     setLogs([]);
   };
 
-  const getLogIcon = (type) => {
+  const getLogIcon = (type, phase) => {
+    if (phase === 'merge') return '🔀';
+    if (phase === 'postprocess') return '⚙️';
+
     switch (type) {
       case 'error':
         return '❌';
@@ -172,13 +178,13 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
                           {log.timestamp}
                         </span>
                         <span className="flex-shrink-0 mt-0.5">
-                          {getLogIcon(log.type)}
+                          {getLogIcon(log.type, log.phase)}
                         </span>
                         <div className="flex-1 min-w-0">
                           <span className={`${getLogColor(log.type)} break-words`}>
                             {log.message}
                           </span>
-                          {log.progress && (
+                          {typeof log.progress === 'number' && (
                             <div className="mt-1">
                               <div className="w-full bg-gray-700 rounded-full h-1.5">
                                 <div 
@@ -186,7 +192,7 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
                                   style={{ width: `${log.progress}%` }}
                                 ></div>
                               </div>
-                              <span className="text-xs text-gray-400">{log.progress}%</span>
+                              <span className="text-xs text-gray-400">{log.progress.toFixed(1)}%</span>
                             </div>
                           )}
                         </div>
@@ -206,13 +212,13 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
             <div className="flex items-center justify-between">
               <div className="flex items-center space-x-2 flex-1 min-w-0">
                 <span className="flex-shrink-0">
-                  {getLogIcon(logs[logs.length - 1]?.type)}
+                  {getLogIcon(logs[logs.length - 1]?.type, logs[logs.length - 1]?.phase)}
                 </span>
                 <span className={`text-xs ${getLogColor(logs[logs.length - 1]?.type)} truncate`}>
                   {logs[logs.length - 1]?.message}
                 </span>
               </div>
-              {logs[logs.length - 1]?.progress && (
+              {typeof logs[logs.length - 1]?.progress === 'number' && (
                 <div className="ml-2 flex items-center space-x-2">
                   <div className="w-16 bg-gray-700 rounded-full h-1.5">
                     <div 
@@ -221,7 +227,7 @@ const MiniConsole = ({ isVisible, onToggle, downloadProgress }) => {
                     ></div>
                   </div>
                   <span className="text-xs text-gray-400 flex-shrink-0">
-                    {logs[logs.length - 1].progress}%
+                    {logs[logs.length - 1].progress.toFixed(1)}%
                   </span>
                 </div>
               )}
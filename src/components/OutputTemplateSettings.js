@@ -0,0 +1,100 @@
+import React, { useState, useEffect } from 'react';
+import Input from './ui/Input';
+import Toggle from './ui/Toggle';
+
+const DEFAULT_TEMPLATE = '%(title).200s.%(ext)s';
+
+// Fields that can be inserted with one click; the names are yt-dlp's
+const TEMPLATE_FIELDS = [
+  { token: '%(title)s', label: 'Title' },
+  { token: '%(uploader)s', label: 'Uploader' },
+  { token: '%(upload_date)s', label: 'Upload date' },
+  { token: '%(id)s', label: 'Video ID' },
+  { token: '%(playlist_title)s', label: 'Playlist' },
+  { token: '%(playlist_index)03d', label: 'Playlist index' },
+  { token: '%(resolution)s', label: 'Resolution' },
+  { token: '%(extractor)s', label: 'Site' },
+  { token: '/', label: 'Subfolder' }
+];
+
+const OutputTemplateSettings = ({ settings, updateSetting, videoInfo }) => {
+  const template = settings.outputTemplate ?? DEFAULT_TEMPLATE;
+  const restrictFilenames = settings.restrictFilenames !== false;
+  const [preview, setPreview] = useState('');
+
+  // Debounced preview from the main process, which renders templates the same way downloads do
+  useEffect(() => {
+    if (!window.electronAPI?.previewOutputTemplate) return;
+
+    const timeout = setTimeout(async () => {
+      const result = await window.electronAPI.previewOutputTemplate({
+        template,
+        videoInfo,
+        restrictFilenames,
+        ext: settings.extractAudio ? settings.audioFormat || 'mp3' : settings.videoFormat || 'mp4'
+      });
+      setPreview(result.success ? result.preview : '');
+    }, 200);
+
+    return () => clearTimeout(timeout);
+  }, [template, videoInfo, restrictFilenames, settings.extractAudio, settings.audioFormat, settings.videoFormat]);
+
+  const insertField = (token) => {
+    // Keep the extension at the end when inserting into a complete template
+    const match = template.match(/^(.*?)(\.%\(ext\)s)$/);
+    updateSetting('outputTemplate', match ? `${match[1]}${token}${match[2]}` : `${template}${token}`);
+  };
+
+  return (
+    <div>
+      <Input
+        label="📝 File Name Template"
+        value={template}
+        onChange={(e) => updateSetting('outputTemplate', e.target.value)}
+        placeholder={DEFAULT_TEMPLATE}
+        className="font-mono"
+        helperText="yt-dlp output template; use / to create subfolders inside the download location"
+      />
+
+      <div className="flex flex-wrap gap-2 mt-3">
+        {TEMPLATE_FIELDS.map(field => (
+          <button
+            key={field.token}
+            type="button"
+            onClick={() => insertField(field.token)}
+            className="px-2 py-1 text-xs rounded-md bg-gray-100 dark:bg-gray-800 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-700 transition-colors"
+            title={field.token}
+          >
+            + {field.label}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={() => updateSetting('outputTemplate', DEFAULT_TEMPLATE)}
+          className="px-2 py-1 text-xs rounded-md text-brand-600 dark:text-brand-400 hover:bg-brand-50 dark:hover:bg-brand-900/20 transition-colors"
+        >
+          Reset
+        </button>
+      </div>
+
+      <div className="mt-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-800">
+        <div className="text-xs text-gray-500 dark:text-gray-400 mb-1">
+          Preview {videoInfo ? `for "${videoInfo.title}"` : 'with sample video'}
+        </div>
+        <div className="text-sm font-mono text-gray-900 dark:text-white break-all">
+          {preview || '—'}
+        </div>
+      </div>
+
+      <Toggle
+        className="mt-4"
+        checked={restrictFilenames}
+        onChange={(checked) => updateSetting('restrictFilenames', checked)}
+        label="Restrict file names"
+        description="Use only ASCII characters and replace spaces with underscores"
+      />
+    </div>
+  );
+};
+
+export default OutputTemplateSettings;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+export const EMPTY_PLAYLIST_FILTERS = {
+  items: '',
+  minDuration: '',
+  maxDuration: '',
+  dateAfter: '',
+  dateBefore: '',
+  titleRegex: '',
+  excludeDownloaded: false
+};
+
+export const hasPlaylistFilters = (filters) =>
+  Object.keys(EMPTY_PLAYLIST_FILTERS).some(key => filters[key] !== EMPTY_PLAYLIST_FILTERS[key]);
+
+// Filters applied by yt-dlp while a playlist is analyzed, so large channels are trimmed up front
+const PlaylistFilters = ({ filters, onChange, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const active = hasPlaylistFilters(filters);
+
+  const update = (key, value) => onChange({ ...filters, [key]: value });
+
+  return (
+    <div className="rounded-lg border border-gray-200 dark:border-gray-700">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full flex items-center justify-between px-4 py-3 text-sm font-medium text-gray-700 dark:text-gray-300"
+      >
+        <span>🎚️ Playlist filters {active && <span className="ml-2 px-2 py-0.5 rounded bg-brand-100 dark:bg-brand-900/30 text-brand-700 dark:text-brand-300 text-xs">active</span>}</span>
+        <svg className={`w-4 h-4 transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
+        </svg>
+      </button>
+
+      <AnimatePresence>
+        {isOpen && (
+          <motion.div
+            initial={{ height: 0, opacity: 0 }}
+            animate={{ height: 'auto', opacity: 1 }}
+            exit={{ height: 0, opacity: 0 }}
+            className="overflow-hidden"
+          >
+            <div className="px-4 pb-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className="md:col-span-2">
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                  Items
+                </label>
+                <input
+                  type="text"
+                  value={filters.items}
+                  onChange={(e) => update('items', e.target.value)}
+                  placeholder="1-10,15,20-"
+                  className="input-primary w-full font-mono"
+                  disabled={disabled}
+                />
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                  Duration (minutes)
+                </label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="number"
+                    min="0"
+                    value={filters.minDuration}
+                    onChange={(e) => update('minDuration', e.target.value)}
+                    placeholder="Min"
+                    className="input-primary w-full"
+                    disabled={disabled}
+                  />
+                  <span className="text-gray-400">–</span>
+                  <input
+                    type="number"
+                    min="0"
+                    value={filters.maxDuration}
+                    onChange={(e) => update('maxDuration', e.target.value)}
+                    placeholder="Max"
+                    className="input-primary w-full"
+                    disabled={disabled}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                  Uploaded between
+                </label>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="date"
+                    value={filters.dateAfter}
+                    onChange={(e) => update('dateAfter', e.target.value)}
+                    className="input-primary w-full"
+                    disabled={disabled}
+                  />
+                  <span className="text-gray-400">–</span>
+                  <input
+                    type="date"
+                    value={filters.dateBefore}
+                    onChange={(e) => update('dateBefore', e.target.value)}
+                    className="input-primary w-full"
+                    disabled={disabled}
+                  />
+                </div>
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1">
+                  Title matches (regular expression, case-insensitive)
+                </label>
+                <input
+                  type="text"
+                  value={filters.titleRegex}
+                  onChange={(e) => update('titleRegex', e.target.value)}
+                  placeholder="e.g. tutorial|part \d+"
+                  className="input-primary w-full font-mono"
+                  disabled={disabled}
+                />
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={filters.excludeDownloaded}
+                  onChange={(e) => update('excludeDownloaded', e.target.checked)}
+                  className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+                  disabled={disabled}
+                />
+                <span>Leave out already downloaded videos</span>
+              </label>
+              {active && (
+                <div className="flex justify-end">
+                  <button
+                    type="button"
+                    onClick={() => onChange(EMPTY_PLAYLIST_FILTERS)}
+                    className="text-sm text-brand-600 dark:text-brand-400 hover:underline"
+                    disabled={disabled}
+                  >
+                    Clear filters
+                  </button>
+                </div>
+              )}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+export default PlaylistFilters;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+
+const formatDuration = (seconds) => {
+  if (!seconds) return '';
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60).toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${minutes.toString().padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+// "20240115" to "2024-01-15"
+const formatUploadDate = (value) => (value ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : '');
+
+// Large playlists are rendered a page at a time
+const PAGE_SIZE = 100;
+
+// Per-video checkboxes for an analyzed playlist; unticked URLs are left out of the batch
+const PlaylistItemPicker = ({ videos, excludedUrls, onChange, disabled }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
+  const [details, setDetails] = useState({}); // url -> full metadata, fetched on demand
+  const selectedCount = videos.filter(video => !excludedUrls.has(video.url)).length;
+
+  const toggle = (url) => {
+    const next = new Set(excludedUrls);
+    if (next.has(url)) {
+      next.delete(url);
+    } else {
+      next.add(url);
+    }
+    onChange(next);
+  };
+
+  // Playlist entries only carry the basics; fetch the full metadata of one video when asked
+  const loadDetails = async (url) => {
+    if (details[url] || !window.electronAPI?.getVideoInfo) return;
+
+    setDetails(prev => ({ ...prev, [url]: { loading: true } }));
+    try {
+      const info = await window.electronAPI.getVideoInfo(url);
+      setDetails(prev => ({ ...prev, [url]: { info } }));
+    } catch (error) {
+      setDetails(prev => ({ ...prev, [url]: { error: error.message } }));
+    }
+  };
+
+  const setAll = (selected) => {
+    const next = new Set(excludedUrls);
+    videos.forEach(video => (selected ? next.delete(video.url) : next.add(video.url)));
+    onChange(next);
+  };
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="text-xs text-brand-600 dark:text-brand-400 hover:underline"
+      >
+        {isOpen ? 'Hide videos' : 'Choose videos'} ({selectedCount} of {videos.length} selected)
+      </button>
+
+      {isOpen && (
+        <div className="mt-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+          <div className="flex items-center space-x-3 px-3 py-2 border-b border-gray-200 dark:border-gray-700 text-xs">
+            <button type="button" onClick={() => setAll(true)} className="text-brand-600 dark:text-brand-400 hover:underline" disabled={disabled}>
+              Select all
+            </button>
+            <button type="button" onClick={() => setAll(false)} className="text-brand-600 dark:text-brand-400 hover:underline" disabled={disabled}>
+              Select none
+            </button>
+          </div>
+          <div className="max-h-64 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700">
+            {videos.slice(0, visibleCount).map((video, index) => (
+              <div key={video.url || index}>
+                <label className="flex items-center space-x-3 px-3 py-2 text-sm cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                  <input
+                    type="checkbox"
+                    checked={!excludedUrls.has(video.url)}
+                    onChange={() => toggle(video.url)}
+                    className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+                    disabled={disabled}
+                  />
+                  <span className="w-8 text-xs text-gray-400 font-mono flex-shrink-0">
+                    {video.playlist_index || index + 1}
+                  </span>
+                  <span className="flex-1 min-w-0 truncate text-gray-900 dark:text-white" title={video.title}>
+                    {video.title}
+                  </span>
+                  {video.isArchived && (
+                    <span className="text-xs text-blue-600 dark:text-blue-400 flex-shrink-0">🗂️</span>
+                  )}
+                  <span className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">
+                    {formatDuration(video.duration)}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.preventDefault();
+                      loadDetails(video.url);
+                    }}
+                    className="text-xs text-gray-400 hover:text-brand-600 dark:hover:text-brand-400 flex-shrink-0"
+                    title="Show details"
+                  >
+                    ℹ️
+                  </button>
+                </label>
+                {details[video.url] && (
+                  <div className="flex items-center space-x-3 px-3 pb-2 pl-14 text-xs text-gray-500 dark:text-gray-400">
+                    {details[video.url].loading && <span>Loading details...</span>}
+                    {details[video.url].error && (
+                      <span className="text-red-600 dark:text-red-400">{details[video.url].error}</span>
+                    )}
+                    {details[video.url].info && (
+                      <>
+                        {details[video.url].info.thumbnail && (
+                          <img src={details[video.url].info.thumbnail} alt="" className="w-16 h-9 object-cover rounded flex-shrink-0" />
+                        )}
+                        <span className="truncate">
+                          {[
+                            details[video.url].info.uploader,
+                            formatUploadDate(details[video.url].info.uploadDate),
+                            `${details[video.url].info.formats.length} formats`
+                          ].filter(Boolean).join(' • ')}
+                        </span>
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+            {videos.length > visibleCount && (
+              <button
+                type="button"
+                onClick={() => setVisibleCount(visibleCount + PAGE_SIZE)}
+                className="w-full px-3 py-2 text-xs text-brand-600 dark:text-brand-400 hover:underline"
+              >
+                Show more ({videos.length - visibleCount} remaining)
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaylistItemPicker;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useRef } from 'react';
+
+// Named combinations of download parameters, e.g. "1080p MP4 with subs".
+// A preset can be the default for a platform and is then applied when such a link is analyzed.
+const PresetPicker = ({ parameters, onApply, platform = null, disabled = false }) => {
+  const [presets, setPresets] = useState([]);
+  const [platformDefaults, setPlatformDefaults] = useState({});
+  const [selectedId, setSelectedId] = useState('');
+  const [newName, setNewName] = useState('');
+  const [isNaming, setIsNaming] = useState(false);
+  const [status, setStatus] = useState(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const appliedPlatformRef = useRef(null);
+
+  const applyState = (state) => {
+    setPresets(state.presets || []);
+    setPlatformDefaults(state.platformDefaults || {});
+  };
+
+  useEffect(() => {
+    if (!window.electronAPI?.getPresets) return;
+
+    window.electronAPI.getPresets()
+      .then(applyState)
+      .catch(error => console.error('Error loading presets:', error))
+      .finally(() => setIsLoaded(true));
+  }, []);
+
+  // Apply the platform's default preset once per analyzed platform
+  useEffect(() => {
+    if (!isLoaded || !platform?.type || appliedPlatformRef.current === platform.type) return;
+    appliedPlatformRef.current = platform.type;
+
+    const preset = presets.find(item => item.id === platformDefaults[platform.type]);
+    if (preset) {
+      setSelectedId(preset.id);
+      onApply(preset.parameters);
+      setStatus({ message: `Using "${preset.name}", the default preset for ${platform.name}`, type: 'info' });
+    }
+  }, [isLoaded, platform, presets, platformDefaults, onApply]);
+
+  const showStatus = (message, type = 'success') => {
+    setStatus({ message, type });
+    setTimeout(() => setStatus(null), 4000);
+  };
+
+  const handleSelect = (presetId) => {
+    setSelectedId(presetId);
+    const preset = presets.find(item => item.id === presetId);
+    if (preset) {
+      onApply(preset.parameters);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+
+    try {
+      const state = await window.electronAPI.savePreset({ name: newName, parameters });
+      applyState(state);
+      const saved = state.presets.find(item => item.name.toLowerCase() === newName.trim().toLowerCase());
+      setSelectedId(saved ? saved.id : '');
+      setNewName('');
+      setIsNaming(false);
+      showStatus(`Saved preset "${newName.trim()}"`);
+    } catch (error) {
+      showStatus(`Could not save preset: ${error.message}`, 'error');
+    }
+  };
+
+  const selected = presets.find(item => item.id === selectedId);
+
+  const handleUpdate = async () => {
+    applyState(await window.electronAPI.savePreset({ id: selected.id, name: selected.name, parameters }));
+    showStatus(`Updated "${selected.name}" with the current parameters`);
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the preset "${selected.name}"?`)) return;
+    applyState(await window.electronAPI.deletePreset(selected.id));
+    setSelectedId('');
+  };
+
+  const handlePlatformDefault = async (checked) => {
+    applyState(await window.electronAPI.setPlatformPreset(platform.type, checked ? selected.id : null));
+  };
+
+  const handleImport = async () => {
+    const result = await window.electronAPI.importPresets();
+    if (result.success) {
+      applyState(result);
+      showStatus(`Imported ${result.count} presets`);
+    } else if (!result.canceled) {
+      showStatus(result.error, 'error');
+    }
+  };
+
+  const handleExport = async () => {
+    const result = await window.electronAPI.exportPresets();
+    if (result.success) {
+      showStatus(`Exported ${result.count} presets`);
+    } else if (!result.canceled) {
+      showStatus(result.error, 'error');
+    }
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800">
+      <div className="flex flex-wrap items-center gap-2">
+        <label className="text-sm font-medium text-gray-700 dark:text-gray-300">
+          ⭐ Preset
+        </label>
+        <select
+          value={selectedId}
+          onChange={(e) => handleSelect(e.target.value)}
+          className="input-primary flex-1 min-w-[12rem]"
+          disabled={disabled}
+        >
+          <option value="">Custom parameters</option>
+          {presets.map(preset => (
+            <option key={preset.id} value={preset.id}>
+              {preset.name}
+            </option>
+          ))}
+        </select>
+        {selected && (
+          <>
+            <button type="button" onClick={handleUpdate} className="btn-secondary text-sm" disabled={disabled}>
+              Update
+            </button>
+            <button
+              type="button"
+              onClick={handleDelete}
+              className="text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 px-2"
+              disabled={disabled}
+            >
+              Delete
+            </button>
+          </>
+        )}
+        <button type="button" onClick={() => setIsNaming(!isNaming)} className="btn-secondary text-sm" disabled={disabled}>
+          Save as...
+        </button>
+        <button type="button" onClick={handleImport} className="text-sm text-brand-600 dark:text-brand-400 hover:underline px-1">
+          Import
+        </button>
+        <button type="button" onClick={handleExport} className="text-sm text-brand-600 dark:text-brand-400 hover:underline px-1">
+          Export
+        </button>
+      </div>
+
+      {isNaming && (
+        <form onSubmit={handleSave} className="flex items-center gap-2 mt-3">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder='e.g. "1080p MP4 with subs"'
+            className="input-primary flex-1"
+            maxLength={60}
+            autoFocus
+          />
+          <button type="submit" className="btn-primary text-sm" disabled={!newName.trim()}>
+            Save
+          </button>
+        </form>
+      )}
+
+      {selected && platform?.type && platform.type !== 'other' && (
+        <label className="flex items-center space-x-2 mt-3 text-sm text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={platformDefaults[platform.type] === selected.id}
+            onChange={(e) => handlePlatformDefault(e.target.checked)}
+            className="rounded border-gray-300 text-brand-600 focus:ring-brand-500"
+            disabled={disabled}
+          />
+          <span>Use this preset by default for {platform.name} links</span>
+        </label>
+      )}
+
+      {status && (
+        <div className={`text-xs mt-2 ${
+          status.type === 'error' ? 'text-red-600 dark:text-red-400' : status.type === 'info' ? 'text-gray-500 dark:text-gray-400' : 'text-green-600 dark:text-green-400'
+        }`}>
+          {status.message}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresetPicker;
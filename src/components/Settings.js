@@ -2,6 +2,11 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import UpdateSettings from './UpdateSettings';
 import DependencyManager from './DependencyManager';
+import CookieSettings from './CookieSettings';
+import NetworkSettings from './NetworkSettings';
+import BandwidthScheduleSettings from './BandwidthScheduleSettings';
+import AutomationApiSettings from './AutomationApiSettings';
+import OutputTemplateSettings from './OutputTemplateSettings';
 import Button from './ui/Button';
 import Input from './ui/Input';
 import Select from './ui/Select';
@@ -9,7 +14,7 @@ import Toggle from './ui/Toggle';
 import { Tabs, TabPanel } from './ui/Tabs';
 import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/Card';
 
-const Settings = ({ onNavigate }) => {
+const Settings = ({ onNavigate, videoInfo }) => {
   const [activeTab, setActiveTab] = useState('general');
 
   const [notification, setNotification] = useState(null);
@@ -22,7 +27,15 @@ const Settings = ({ onNavigate }) => {
     extractAudio: false,
     downloadSubtitles: false,
     keepOriginal: true,
-    embedThumbnail: false
+    embedThumbnail: false,
+    maxConcurrentDownloads: 2,
+    cookieProfiles: {},
+    outputTemplate: '%(title).200s.%(ext)s',
+    restrictFilenames: true,
+    clipboardMonitor: false,
+    network: {},
+    bandwidthSchedule: { enabled: false, windows: [] },
+    automationApi: { enabled: false, port: 7789, token: '' }
   });
 
 
@@ -62,7 +75,12 @@ const Settings = ({ onNavigate }) => {
       const response = await window.electronAPI.saveSettings(newSettings);
       
       // Handle different response formats
-      if (response && response.success === true) {
+      const rejected = Object.values((response && response.rejected) || {});
+      if (response && response.success === true && rejected.length > 0) {
+        // The other settings were saved; the rejected sections go back to their stored values
+        setSettings(current => ({ ...current, ...response.restored }));
+        showNotification(`Some settings were not saved: ${rejected.join('; ')}`, 'error');
+      } else if (response && response.success === true) {
         showNotification(response.message || 'Settings saved successfully!', 'success');
       } else if (response && response.success === false && response.error) {
         console.error('Error saving settings:', response.error);
@@ -228,6 +246,24 @@ const Settings = ({ onNavigate }) => {
               </svg>
             )
           },
+          {
+            id: 'cookies',
+            label: 'Cookies',
+            icon: (
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+              </svg>
+            )
+          },
+          {
+            id: 'network',
+            label: 'Network',
+            icon: (
+              <svg fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M21 12a9 9 0 01-9 9m9-9a9 9 0 00-9-9m9 9H3m9 9a9 9 0 01-9-9m9 9c1.657 0 3-4.03 3-9s-1.343-9-3-9m0 18c-1.657 0-3-4.03-3-9s1.343-9 3-9m-9 9a9 9 0 019-9" />
+              </svg>
+            )
+          },
           {
             id: 'dependencies',
             label: 'Dependencies',
@@ -357,12 +393,43 @@ const Settings = ({ onNavigate }) => {
               options={[
                 { value: 'mp3', label: 'MP3 (Universal)' },
                 { value: 'aac', label: 'AAC (High Quality)' },
+                { value: 'm4a', label: 'M4A (Apple devices)' },
+                { value: 'opus', label: 'Opus (Efficient)' },
+                { value: 'vorbis', label: 'Vorbis (OGG)' },
                 { value: 'wav', label: 'WAV (Lossless)' },
-                { value: 'flac', label: 'FLAC (Audiophile)' }
+                { value: 'flac', label: 'FLAC (Audiophile)' },
+                { value: 'alac', label: 'ALAC (Apple Lossless)' }
               ]}
             />
           </div>
 
+          {/* Concurrent Downloads */}
+          <div>
+            <Select
+              label="⚡ Simultaneous Downloads"
+              value={settings.maxConcurrentDownloads || 2}
+              onChange={(e) => updateSetting('maxConcurrentDownloads', parseInt(e.target.value, 10))}
+              helperText="How many queued downloads run at the same time"
+              options={[
+                { value: 1, label: '1 (One at a time)' },
+                { value: 2, label: '2 (Recommended)' },
+                { value: 3, label: '3' },
+                { value: 4, label: '4' },
+                { value: 6, label: '6' },
+                { value: 8, label: '8 (Fast connections)' }
+              ]}
+            />
+          </div>
+
+          {/* File Naming */}
+          <div className="md:col-span-2">
+            <OutputTemplateSettings
+              settings={settings}
+              updateSetting={updateSetting}
+              videoInfo={videoInfo}
+            />
+          </div>
+
           {/* Additional Settings */}
           <div className="md:col-span-2">
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-4">
@@ -393,6 +460,12 @@ const Settings = ({ onNavigate }) => {
                 label="Embed thumbnail"
                 description="Add video thumbnail to the file metadata"
               />
+              <Toggle
+                checked={settings.clipboardMonitor}
+                onChange={(checked) => updateSetting('clipboardMonitor', checked)}
+                label="Watch clipboard for links"
+                description="Offer to download video links you copy"
+              />
             </div>
           </div>
 
@@ -433,6 +506,35 @@ const Settings = ({ onNavigate }) => {
         </TabPanel>
       )}
 
+      {/* Cookies Tab Content */}
+      {activeTab === 'cookies' && (
+        <TabPanel>
+          <CookieSettings
+            settings={settings}
+            updateSetting={updateSetting}
+            showNotification={showNotification}
+          />
+        </TabPanel>
+      )}
+
+      {/* Network Tab Content */}
+      {activeTab === 'network' && (
+        <TabPanel>
+          <NetworkSettings
+            settings={settings}
+            updateSetting={updateSetting}
+          />
+          <BandwidthScheduleSettings
+            settings={settings}
+            updateSetting={updateSetting}
+          />
+          <AutomationApiSettings
+            settings={settings}
+            updateSetting={updateSetting}
+          />
+        </TabPanel>
+      )}
+
       {/* Dependencies Tab Content */}
       {activeTab === 'dependencies' && (
         <motion.div
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import Select from './ui/Select';
+import Toggle from './ui/Toggle';
+
+const INTERVAL_OPTIONS = [
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 60, label: 'Every hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Once a day' }
+];
+
+const QUALITY_OPTIONS = ['best', '2160p', '1440p', '1080p', '720p', '480p'].map(value => ({
+  value,
+  label: value === 'best' ? 'Best available' : value
+}));
+
+const AUDIO_FORMAT_OPTIONS = ['mp3', 'm4a', 'opus', 'flac'].map(value => ({ value, label: value.toUpperCase() }));
+
+const EMPTY_FORM = {
+  url: '',
+  name: '',
+  outputPath: '',
+  intervalMinutes: 60,
+  quality: 'best',
+  extractAudio: false,
+  audioFormat: 'mp3',
+  downloadExisting: false
+};
+
+const describeInterval = (minutes) => {
+  const option = INTERVAL_OPTIONS.find(item => item.value === minutes);
+  return option ? option.label.toLowerCase() : `every ${minutes} minutes`;
+};
+
+const describeFormat = (options = {}) => (options.extractAudio
+  ? `${(options.audioFormat || 'mp3').toUpperCase()} audio`
+  : `${options.quality || 'best'} video`);
+
+const Subscriptions = ({ onNavigate }) => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isAdding, setIsAdding] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  const loadSubscriptions = useCallback(async () => {
+    if (!window.electronAPI?.getSubscriptions) return;
+
+    try {
+      setSubscriptions(await window.electronAPI.getSubscriptions());
+    } catch (error) {
+      console.error('Error loading subscriptions:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSubscriptions();
+
+    // Default the folder to the download path from settings
+    window.electronAPI?.getSettings?.().then(settings => {
+      if (settings?.downloadPath) {
+        setForm(prev => (prev.outputPath ? prev : { ...prev, outputPath: settings.downloadPath }));
+      }
+    });
+  }, [loadSubscriptions]);
+
+  useEffect(() => {
+    if (!window.electronAPI?.onSubscriptionsUpdated) return;
+
+    return window.electronAPI.onSubscriptionsUpdated((subscription) => {
+      setSubscriptions(prev => {
+        if (subscription.removed) {
+          return prev.filter(item => item.id !== subscription.id);
+        }
+        const exists = prev.some(item => item.id === subscription.id);
+        return exists
+          ? prev.map(item => (item.id === subscription.id ? subscription : item))
+          : [...prev, subscription];
+      });
+    });
+  }, []);
+
+  const showNotice = (message, type = 'success') => {
+    setNotice({ message, type });
+    setTimeout(() => setNotice(null), 4000);
+  };
+
+  const updateForm = (key, value) => setForm(prev => ({ ...prev, [key]: value }));
+
+  const handleSelectFolder = async () => {
+    const folder = await window.electronAPI.selectDownloadFolder();
+    if (folder) {
+      updateForm('outputPath', folder);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setIsAdding(true);
+
+    try {
+      await window.electronAPI.addSubscription({
+        url: form.url,
+        name: form.name,
+        outputPath: form.outputPath,
+        intervalMinutes: form.intervalMinutes,
+        downloadExisting: form.downloadExisting,
+        downloadOptions: {
+          quality: form.quality,
+          format: 'mp4',
+          extractAudio: form.extractAudio,
+          audioFormat: form.audioFormat
+        }
+      });
+      setForm(prev => ({ ...EMPTY_FORM, outputPath: prev.outputPath }));
+      showNotice(form.downloadExisting
+        ? 'Subscribed. Existing videos are being queued.'
+        : 'Subscribed. Only videos uploaded from now on will be downloaded.');
+    } catch (error) {
+      showNotice(`Could not subscribe: ${error.message}`, 'error');
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const handleCheck = async (subscription) => {
+    try {
+      const result = await window.electronAPI.checkSubscription(subscription.id);
+      showNotice(result.queued > 0
+        ? `Queued ${result.queued} new videos from ${subscription.name || subscription.url}`
+        : `No new videos from ${subscription.name || subscription.url}`);
+    } catch (error) {
+      showNotice(`Check failed: ${error.message}`, 'error');
+    }
+  };
+
+  const handleRemove = async (subscription) => {
+    if (!window.confirm(`Unsubscribe from ${subscription.name || subscription.url}? Downloaded files are kept.`)) return;
+    await window.electronAPI.removeSubscription(subscription.id);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="flex items-center justify-between"
+      >
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Subscriptions</h1>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            New uploads from these channels and playlists are downloaded automatically
+          </p>
+        </div>
+        <motion.button
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          onClick={() => onNavigate && onNavigate('home')}
+          className="px-4 py-2 bg-brand-600 hover:bg-brand-700 text-white rounded-lg transition-colors duration-200 flex items-center space-x-2"
+        >
+          <span>←</span>
+          <span>Back to Home</span>
+        </motion.button>
+      </motion.div>
+
+      {/* New subscription */}
+      <div className="card">
+        <form onSubmit={handleAdd} className="card-body space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => updateForm('url', e.target.value)}
+              placeholder="Channel or playlist URL"
+              className="input-primary md:col-span-2"
+              required
+            />
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              placeholder="Name (optional)"
+              className="input-primary"
+            />
+          </div>
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={form.outputPath}
+              readOnly
+              placeholder="Download folder"
+              className="input-primary flex-1"
+            />
+            <button type="button" onClick={handleSelectFolder} className="btn-secondary">
+              Browse
+            </button>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Select
+              label="Check for new videos"
+              value={form.intervalMinutes}
+              onChange={(e) => updateForm('intervalMinutes', Number(e.target.value))}
+              options={INTERVAL_OPTIONS}
+              placeholder={null}
+            />
+            {form.extractAudio ? (
+              <Select
+                label="Audio format"
+                value={form.audioFormat}
+                onChange={(e) => updateForm('audioFormat', e.target.value)}
+                options={AUDIO_FORMAT_OPTIONS}
+                placeholder={null}
+              />
+            ) : (
+              <Select
+                label="Video quality"
+                value={form.quality}
+                onChange={(e) => updateForm('quality', e.target.value)}
+                options={QUALITY_OPTIONS}
+                placeholder={null}
+              />
+            )}
+            <div className="space-y-3 pt-1">
+              <Toggle
+                size="sm"
+                checked={form.extractAudio}
+                onChange={(checked) => updateForm('extractAudio', checked)}
+                label="Audio only"
+              />
+              <Toggle
+                size="sm"
+                checked={form.downloadExisting}
+                onChange={(checked) => updateForm('downloadExisting', checked)}
+                label="Also download existing videos"
+              />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" className="btn-primary" disabled={isAdding || !form.url.trim() || !form.outputPath}>
+              {isAdding ? 'Subscribing...' : 'Subscribe'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <AnimatePresence>
+        {notice && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            className={`p-3 rounded-lg text-sm ${
+              notice.type === 'error'
+                ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300'
+                : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300'
+            }`}
+          >
+            {notice.message}
+          </motion.div>
+        )}
+      </AnimatePresence>
+
+      {/* Subscriptions */}
+      <div className="space-y-3">
+        {subscriptions.length === 0 ? (
+          <div className="text-center text-gray-500 dark:text-gray-400 py-12">
+            No subscriptions yet.
+          </div>
+        ) : (
+          subscriptions.map(subscription => (
+            <div key={subscription.id} className="card">
+              <div className="card-body">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1 min-w-0 mr-4">
+                    <div className="font-medium text-gray-900 dark:text-white truncate" title={subscription.url}>
+                      {subscription.name || subscription.url}
+                    </div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400 mt-1 space-x-2">
+                      <span>{describeFormat(subscription.downloadOptions)}</span>
+                      <span>Checked {describeInterval(subscription.intervalMinutes)}</span>
+                      {subscription.lastCheckedAt && (
+                        <span>
+                          Last check {new Date(subscription.lastCheckedAt).toLocaleString()}
+                          {subscription.lastNewCount > 0 && ` (${subscription.lastNewCount} new)`}
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-400 dark:text-gray-500 mt-1 truncate" title={subscription.outputPath}>
+                      {subscription.outputPath}
+                    </div>
+                    {subscription.lastError && (
+                      <div className="text-xs text-red-600 dark:text-red-400 mt-1">
+                        {subscription.lastError}
+                      </div>
+                    )}
+                  </div>
+                  <Toggle
+                    size="sm"
+                    checked={subscription.enabled}
+                    onChange={(checked) => window.electronAPI.updateSubscription(subscription.id, { enabled: checked })}
+                  />
+                </div>
+                <div className="flex flex-wrap gap-2 mt-3">
+                  <button
+                    onClick={() => handleCheck(subscription)}
+                    className="btn-secondary text-sm"
+                    disabled={subscription.isChecking}
+                  >
+                    {subscription.isChecking ? 'Checking...' : 'Check Now'}
+                  </button>
+                  <button onClick={() => window.electronAPI.openFolder(subscription.outputPath)} className="btn-secondary text-sm">
+                    Open Folder
+                  </button>
+                  <button
+                    onClick={() => handleRemove(subscription)}
+                    className="text-sm text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-200 px-2"
+                  >
+                    Unsubscribe
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Subscriptions;
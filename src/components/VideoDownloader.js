@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import VideoInfo from './VideoInfo';
 import FormatSelector from './FormatSelector';
@@ -6,20 +6,45 @@ import DownloadProgress from './DownloadProgress';
 import DynamicParameterControls from './DynamicParameterControls';
 import DownloadSettings from './DownloadSettings';
 import MiniConsole from './MiniConsole';
+import PresetPicker from './PresetPicker';
 
-const VideoDownloader = () => {
+const VideoDownloader = ({ onVideoInfoChange, pendingUrl, onPendingUrlHandled }) => {
   const [url, setUrl] = useState('');
   const [videoInfo, setVideoInfo] = useState(null);
   const [selectedFormat, setSelectedFormat] = useState(null);
   const [downloadPath, setDownloadPath] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [isDownloading, setIsDownloading] = useState(false);
-  const [downloadProgress, setDownloadProgress] = useState(0);
+  const [downloadProgress, setDownloadProgress] = useState(null);
   const [error, setError] = useState(null);
   const [downloadComplete, setDownloadComplete] = useState(false);
   const [dynamicParameters, setDynamicParameters] = useState({});
+  const [parameterVersion, setParameterVersion] = useState(0); // Bumped to remount the controls with new parameters
   const [showConsole, setShowConsole] = useState(false);
   const [consoleProgress, setConsoleProgress] = useState(null);
+  const [jobStatus, setJobStatus] = useState(null);
+  const [audioTags, setAudioTags] = useState(null);
+  const [selectedChapters, setSelectedChapters] = useState(null); // null downloads the whole video
+  const activeJobRef = useRef(null);
+  const analyzeUrlRef = useRef(null);
+
+  // Let Settings preview filename templates against the analyzed video
+  useEffect(() => {
+    if (onVideoInfoChange) {
+      onVideoInfoChange(videoInfo);
+    }
+  }, [videoInfo, onVideoInfoChange]);
+
+  // Analyze a link handed over from the clipboard prompt
+  useEffect(() => {
+    if (!pendingUrl) return;
+
+    setUrl(pendingUrl);
+    analyzeUrlRef.current(pendingUrl);
+    if (onPendingUrlHandled) {
+      onPendingUrlHandled();
+    }
+  }, [pendingUrl, onPendingUrlHandled]);
 
   useEffect(() => {
     // Load settings from both localStorage and electron API
@@ -65,18 +90,27 @@ const VideoDownloader = () => {
     
     loadSettings();
 
+    // Events from other queued jobs (e.g. batch items) carry a different jobId
+    const isOtherJob = (data) => data && data.jobId && data.jobId !== activeJobRef.current;
+
     // Setup download progress listener
     if (window.electronAPI) {
       window.electronAPI.onDownloadProgress((data) => {
-        setDownloadProgress(data.progress);
+        if (isOtherJob(data)) return;
+        // Info lines (destination, formats) carry no phase and leave the numbers alone
+        if (data.phase) {
+          setDownloadProgress(prev => ({ ...prev, ...data }));
+        }
         setConsoleProgress({
           message: data.message || `Download progress: ${data.progress}%`,
-          type: 'progress',
-          progress: data.progress
+          type: data.type || 'progress',
+          progress: data.percent,
+          phase: data.phase
         });
       });
 
       window.electronAPI.onDownloadError((data) => {
+        if (isOtherJob(data)) return;
         setError(data.error);
         setIsDownloading(false);
         setConsoleProgress({
@@ -87,8 +121,10 @@ const VideoDownloader = () => {
 
       // Add download complete listener
       const handleDownloadComplete = (data) => {
+        if (isOtherJob(data)) return;
         setDownloadComplete(true);
         setIsDownloading(false);
+        setDownloadProgress(prev => ({ ...prev, phase: 'done', percent: 100 }));
         if (data && data.fileName) {
           const fileSizeMB = data.fileSize ? (data.fileSize / (1024 * 1024)).toFixed(2) : 'Unknown';
           let message = `Download completed successfully! File: ${data.fileName} (${fileSizeMB} MB)`;
@@ -98,6 +134,22 @@ const VideoDownloader = () => {
             message += ` - Organized in folder: "${data.folderName}"`;
           }
           
+          // Report which formats yt-dlp actually fetched
+          if (data.formats && data.formats.length > 0) {
+            message += data.merged
+              ? ` - Merged formats ${data.formats.join(' + ')}`
+              : ` - Format ${data.formats[0]}`;
+          }
+          
+          // Mention the sidecar files written next to the media
+          const extras = [];
+          if (data.artifacts?.subtitles?.length) extras.push(`${data.artifacts.subtitles.length} subtitle file(s)`);
+          if (data.artifacts?.thumbnails?.length) extras.push('thumbnail');
+          if (data.artifacts?.infoJson) extras.push('info.json');
+          if (extras.length > 0) {
+            message += ` - Also saved: ${extras.join(', ')}`;
+          }
+          
           setConsoleProgress({
             message,
             type: 'success'
@@ -115,19 +167,58 @@ const VideoDownloader = () => {
         window.electronAPI.onDownloadComplete(handleDownloadComplete);
       }
 
+      // The queue reports the final state of the job we started
+      let unsubscribeQueue = null;
+      if (window.electronAPI.onQueueUpdated) {
+        unsubscribeQueue = window.electronAPI.onQueueUpdated((job) => {
+          if (!job || job.id !== activeJobRef.current) return;
+
+          if (job.removed) {
+            activeJobRef.current = null;
+            setJobStatus(null);
+            setIsDownloading(false);
+            return;
+          }
+
+          setJobStatus(job.status);
+          if (job.status === 'running') {
+            setIsDownloading(true);
+          } else if (job.status === 'done') {
+            setIsDownloading(false);
+            setDownloadComplete(true);
+          } else if (job.status === 'failed') {
+            setIsDownloading(false);
+            setError(`Download failed for "${job.title}": ${job.error || 'Unknown error'}`);
+          } else if (job.status === 'paused') {
+            setIsDownloading(false);
+            setConsoleProgress({ message: '⏸️ Download paused', type: 'info' });
+          } else if (job.status === 'cancelled') {
+            setIsDownloading(false);
+            setConsoleProgress({ message: '⏹️ Download cancelled, partial files removed', type: 'warning' });
+          }
+        });
+      }
+
       return () => {
         window.electronAPI.removeAllListeners('download-progress');
         window.electronAPI.removeAllListeners('download-error');
         if (window.electronAPI.removeAllListeners) {
           window.electronAPI.removeAllListeners('download-complete');
         }
+        if (unsubscribeQueue) {
+          unsubscribeQueue();
+        }
       };
     }
   }, []);
 
-  const handleUrlSubmit = async (e) => {
+  const handleUrlSubmit = (e) => {
     e.preventDefault();
-    if (!url.trim()) return;
+    analyzeUrl(url);
+  };
+
+  const analyzeUrl = async (targetUrl) => {
+    if (!targetUrl.trim()) return;
 
     setIsLoading(true);
     setError(null);
@@ -137,8 +228,10 @@ const VideoDownloader = () => {
 
     try {
       if (window.electronAPI) {
-        const info = await window.electronAPI.getVideoInfo(url.trim());
+        const info = await window.electronAPI.getVideoInfo(targetUrl.trim());
         setVideoInfo(info);
+        setAudioTags(info.tags ? { ...info.tags, coverArt: true } : null);
+        setSelectedChapters(null);
         
         // Auto-select best quality format based on current parameters
         if (info.formats && info.formats.length > 0) {
@@ -153,11 +246,13 @@ const VideoDownloader = () => {
     }
   };
 
+  analyzeUrlRef.current = analyzeUrl;
+
   const handleDownload = async () => {
     if (!videoInfo || !downloadPath) return;
 
     setIsDownloading(true);
-    setDownloadProgress(0);
+    setDownloadProgress(null);
     setError(null);
     setDownloadComplete(false);
     setShowConsole(true); // Show console when download starts
@@ -177,17 +272,36 @@ const VideoDownloader = () => {
           quality: dynamicParameters.quality || 'best',
           format: dynamicParameters.format || 'mp4',
           audioFormat: dynamicParameters.audioFormat || 'mp3',
+          audioQuality: dynamicParameters.audioQuality || '0',
+          audioSampleRate: dynamicParameters.audioSampleRate || '',
+          audioChannels: dynamicParameters.audioChannels || '',
           extractAudio: dynamicParameters.extractAudio || false,
           integratedAudio: dynamicParameters.integratedAudio !== false,
           downloadSubtitles: dynamicParameters.downloadSubtitles || false,
+          subtitleLanguages: dynamicParameters.subtitleLanguages || [],
+          includeAutoSubs: dynamicParameters.includeAutoSubs !== false,
+          subtitleFormat: dynamicParameters.subtitleFormat || '',
+          embedSubtitles: dynamicParameters.embedSubtitles || false,
           embedThumbnail: dynamicParameters.embedThumbnail || false,
+          embedChapters: dynamicParameters.embedChapters !== false,
+          splitChapters: dynamicParameters.splitChapters || false,
+          chapterSections: selectedChapters ? videoInfo.chapters.filter(chapter => selectedChapters.includes(chapter.index)) : null,
           preferHEVC: dynamicParameters.preferHEVC || false,
           videoCodec: dynamicParameters.videoCodec || 'auto',
           startTime: dynamicParameters.startTime || null,
           endTime: dynamicParameters.endTime || null,
           customArgs: dynamicParameters.customArgs || '',
           selectedFormatId: selectedFormat?.format_id || null,
-          videoTitle: videoInfo?.title // Pass video title for folder organization
+          selectedFormatType: selectedFormat?.type || null,
+          selectedFormatExt: selectedFormat?.ext || null,
+          videoTitle: videoInfo?.title, // Pass video title for folder organization
+          videoId: videoInfo?.id || null,
+          uploader: videoInfo?.uploader || null,
+          uploadDate: videoInfo?.uploadDate || null,
+          extractor: videoInfo?.extractor || null,
+          archiveKey: videoInfo?.archiveKey || null,
+          audioTags: dynamicParameters.extractAudio ? audioTags : null,
+          coverArtUrl: dynamicParameters.extractAudio && audioTags?.coverArt ? videoInfo?.thumbnail || null : null
         };
 
         const formatInfo = selectedFormat ? 
@@ -199,8 +313,17 @@ const VideoDownloader = () => {
           type: 'info'
         });
 
-        await window.electronAPI.downloadVideo(downloadOptions);
-        // Download completion is now handled by the event listener
+        // Queue the download; completion is handled by the queue and event listeners
+        const job = await window.electronAPI.enqueueDownload(downloadOptions, {
+          title: videoInfo?.title,
+          uploader: videoInfo?.uploader
+        });
+        activeJobRef.current = job.id;
+        setJobStatus(job.status);
+        setConsoleProgress({
+          message: `Added to download queue (job ${job.id.slice(0, 8)})`,
+          type: 'info'
+        });
       }
     } catch (err) {
       console.error('Video download error:', err);
@@ -211,11 +334,26 @@ const VideoDownloader = () => {
         message: `❌ ${detailedError}${err.code ? ` (Error Code: ${err.code})` : ''}`,
         type: 'error'
       });
-    } finally {
       setIsDownloading(false);
     }
   };
 
+  // Pause, resume, cancel or retry the job started from this view
+  const handleJobAction = async (action) => {
+    const jobId = activeJobRef.current;
+    if (!jobId || !window.electronAPI) return;
+
+    try {
+      if (action === 'retryDownload' || action === 'resumeDownload') {
+        setError(null);
+      }
+      await window.electronAPI[action](jobId);
+    } catch (err) {
+      console.error('Download action failed:', err);
+      setError(err.message || 'Download action failed');
+    }
+  };
+
   const handleSelectFolder = async () => {
     if (window.electronAPI) {
       try {
@@ -287,14 +425,26 @@ const VideoDownloader = () => {
     return combinedFormats[0] || formats[0];
   };
 
+  // Presets replace the current parameters; the controls are remounted to show them
+  const applyPreset = (presetParameters) => {
+    const next = { ...dynamicParameters, ...presetParameters };
+    setDynamicParameters(next);
+    setParameterVersion(version => version + 1);
+    if (videoInfo?.formats?.length > 0) {
+      setSelectedFormat(selectBestFormat(videoInfo.formats, next));
+    }
+  };
+
   const resetDownload = () => {
     setUrl('');
     setVideoInfo(null);
     setSelectedFormat(null);
-    setDownloadProgress(0);
+    setDownloadProgress(null);
     setError(null);
     setDownloadComplete(false);
     setIsDownloading(false);
+    setJobStatus(null);
+    activeJobRef.current = null;
   };
 
   const getDownloadButtonText = () => {
@@ -432,7 +582,19 @@ const VideoDownloader = () => {
             animate={{ opacity: 1, y: 0 }}
             exit={{ opacity: 0, y: -20 }}
           >
-            <VideoInfo videoInfo={videoInfo} downloadParameters={dynamicParameters} />
+            <VideoInfo
+              videoInfo={videoInfo}
+              downloadParameters={dynamicParameters}
+              audioTags={audioTags}
+              onAudioTagsChange={setAudioTags}
+              selectedChapters={selectedChapters}
+              onSelectedChaptersChange={setSelectedChapters}
+            />
+            {videoInfo.isArchived && (
+              <div className="mt-3 p-3 bg-blue-50 dark:bg-blue-900/20 border border-blue-200 dark:border-blue-800 rounded-lg text-sm text-blue-700 dark:text-blue-300">
+                🗂️ This video is already in your download archive. Downloading it again will create another copy.
+              </div>
+            )}
           </motion.div>
         )}
       </AnimatePresence>
@@ -446,7 +608,14 @@ const VideoDownloader = () => {
             exit={{ opacity: 0, y: -20 }}
             transition={{ delay: 0.1 }}
           >
+            <PresetPicker
+              parameters={dynamicParameters}
+              onApply={applyPreset}
+              platform={videoInfo.platform}
+              disabled={isDownloading}
+            />
             <DynamicParameterControls 
+               key={parameterVersion}
                videoInfo={videoInfo}
                onParametersChange={setDynamicParameters}
                initialSettings={dynamicParameters}
@@ -494,7 +663,7 @@ const VideoDownloader = () => {
 
       {/* Download Progress */}
       <AnimatePresence>
-        {(isDownloading || downloadComplete) && (
+        {(isDownloading || downloadComplete || jobStatus === 'paused' || jobStatus === 'failed') && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
@@ -503,6 +672,12 @@ const VideoDownloader = () => {
             <DownloadProgress
               progress={downloadProgress}
               isDownloading={isDownloading}
+              isPaused={jobStatus === 'paused'}
+              error={jobStatus === 'failed' ? error : null}
+              onPause={() => handleJobAction('pauseDownload')}
+              onResume={() => handleJobAction('resumeDownload')}
+              onCancel={() => handleJobAction('cancelDownload')}
+              onRetry={() => handleJobAction('retryDownload')}
               isComplete={downloadComplete}
               onOpenFolder={handleOpenFolder}
               onReset={resetDownload}
@@ -513,7 +688,7 @@ const VideoDownloader = () => {
 
       {/* Download Button */}
       <AnimatePresence>
-        {videoInfo && downloadPath && !isDownloading && !downloadComplete && (
+        {videoInfo && downloadPath && !isDownloading && !downloadComplete && jobStatus !== 'paused' && jobStatus !== 'failed' && (
           <motion.div
             initial={{ opacity: 0, y: 20 }}
             animate={{ opacity: 1, y: 0 }}
@@ -524,7 +699,7 @@ const VideoDownloader = () => {
               whileHover={{ scale: 1.02 }}
               whileTap={{ scale: 0.98 }}
               onClick={handleDownload}
-              disabled={!downloadPath}
+              disabled={!downloadPath || selectedChapters?.length === 0}
               className="btn-primary px-8 py-3 text-lg font-semibold disabled:opacity-50 disabled:cursor-not-allowed"
             >
               <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
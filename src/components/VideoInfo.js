@@ -1,7 +1,9 @@
 import React from 'react';
 import { motion } from 'framer-motion';
+import AudioTagEditor from './AudioTagEditor';
+import ChapterList from './ChapterList';
 
-const VideoInfo = ({ videoInfo, downloadParameters }) => {
+const VideoInfo = ({ videoInfo, downloadParameters, audioTags, onAudioTagsChange, selectedChapters = null, onSelectedChaptersChange }) => {
   const formatDuration = (seconds) => {
     if (!seconds) return 'Unknown';
     const hours = Math.floor(seconds / 3600);
@@ -197,12 +199,32 @@ const VideoInfo = ({ videoInfo, downloadParameters }) => {
                     <span className="text-gray-600 dark:text-gray-400">Extras:</span>
                     <span className="ml-1 font-medium text-gray-900 dark:text-white">
                       {[downloadParameters.downloadSubtitles && '📝', 
-                        downloadParameters.embedThumbnail && '🖼️'].filter(Boolean).join(' ') || '➖'}
+                        downloadParameters.embedThumbnail && '🖼️',
+                        downloadParameters.splitChapters && '✂️'].filter(Boolean).join(' ') || '➖'}
                     </span>
                   </div>
                 </div>
               </div>
             )}
+
+            {/* Chapters, with the ones to download */}
+            {videoInfo.chapters?.length > 0 && onSelectedChaptersChange && (
+              <ChapterList
+                chapters={videoInfo.chapters}
+                selected={selectedChapters}
+                onChange={onSelectedChaptersChange}
+              />
+            )}
+
+            {/* Tags for extracted audio */}
+            {downloadParameters?.extractAudio && audioTags && onAudioTagsChange && (
+              <AudioTagEditor
+                tags={audioTags}
+                parsedTitle={videoInfo.parsedTitle}
+                thumbnail={videoInfo.thumbnail}
+                onChange={onAudioTagsChange}
+              />
+            )}
           </div>
         </div>
       </div>
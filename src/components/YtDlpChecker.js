@@ -55,20 +55,20 @@ const YtDlpChecker = ({ onInstalled }) => {
     setInstallMessage('Installing yt-dlp... This may take a few minutes.');
     
     // Listen for installation progress
-    const handleProgress = (event, data) => {
+    const handleProgress = (data) => {
       if (data.tool === 'yt-dlp') {
         setInstallMessage(data.message);
       }
     };
     
+    let removeProgressListener = null;
     if (window.electronAPI && window.electronAPI.onInstallationProgress) {
-      window.electronAPI.onInstallationProgress(handleProgress);
+      removeProgressListener = window.electronAPI.onInstallationProgress(handleProgress);
     }
     
     try {
       if (window.electronAPI) {
-        // Use the correct IPC handler name
-        const result = await window.electronAPI.invoke('install-ytdlp');
+        const result = await window.electronAPI.installYtDlp();
         
         if (result.success) {
           setInstallMessage(`✅ ${result.message || 'yt-dlp installed successfully!'} Please restart the application.`);
@@ -102,8 +102,8 @@ const YtDlpChecker = ({ onInstalled }) => {
       setIsInstalling(false);
       
       // Clean up progress listener
-      if (window.electronAPI && window.electronAPI.removeInstallationProgressListener) {
-        window.electronAPI.removeInstallationProgressListener(handleProgress);
+      if (removeProgressListener) {
+        removeProgressListener();
       }
     }
   };